@@ -8,11 +8,34 @@
 import test from 'tape';
 
 import {
+    EXTRACTION_STATUS,
+    DIAGNOSTIC_CODE,
     getUniqueCharSet,
     getOrderedCharSet,
-    extractAlphabetChars
+    getCharConstraints,
+    getPrefixViolations,
+    getConstraintDTG,
+    explainCharOrder,
+    extractAlphabet,
+    extractAlphabetRobust,
+    enumerateAlphabets,
+    countAlphabets,
+    suggestComparisons,
+    getAlphabetConfidence,
+    extractCollation,
+    extractAlphabetChars,
+    AlphabetError,
+    InvalidInputError,
+    InconsistentOrderError,
+    InsufficientInformationError,
+    setLogger
 } from '../src/alphabet-extractor';
 
+import {
+    createRandom,
+    generateWordList
+} from '../src/word-list-generator';
+
 export function runTests () {
     test(`\tRunning unit test for getUniqueCharSet - should be able to get a set of unique chars from a word list:`, (assert) => {
         assert.same(getUniqueCharSet([ `bca`, `aaa`, `acb`, `ddb`, `dca` ]).sort(), [ `a`, `b`, `c`, `d` ]);
@@ -27,4 +50,543 @@ export function runTests () {
         assert.same(extractAlphabetChars([ `bca`, `aaa`, `acb`, `ddb`, `dca` ]), [ `b`, `a`, `d`, `c` ]);
         assert.end();
     });
+    test(`\tRunning unit test for getCharConstraints - should be able to get constraint edges with word pairs from a word list:`, (assert) => {
+        assert.same(getCharConstraints([ `bca`, `aaa`, `acb`, `ddb`, `dca`, `dcb` ]), [
+            { vertexStart: `b`, vertexEnd: `a`, wordPairs: [[ 0, 1 ]] },
+            { vertexStart: `a`, vertexEnd: `c`, wordPairs: [[ 1, 2 ]] },
+            { vertexStart: `a`, vertexEnd: `d`, wordPairs: [[ 2, 3 ]] },
+            { vertexStart: `d`, vertexEnd: `c`, wordPairs: [[ 3, 4 ]] },
+            { vertexStart: `a`, vertexEnd: `b`, wordPairs: [[ 4, 5 ]] }
+        ]);
+        assert.end();
+    });
+    test(`\tRunning unit test for extractAlphabet - should be able to get a structured result for a complete word list:`, (assert) => {
+        const result = extractAlphabet([ `bca`, `aaa`, `acb`, `ddb`, `dca` ]);
+
+        assert.same(result.alphabet, [ `b`, `a`, `d`, `c` ]);
+        assert.equal(result.status, EXTRACTION_STATUS.COMPLETE);
+        assert.equal(result.edges.length, 4);
+        assert.same(result.unconstrainedChars, []);
+        assert.same(result.diagnostics, []);
+        assert.end();
+    });
+    test(`\tRunning unit test for extractAlphabet - should be able to report an ambiguous word list:`, (assert) => {
+        const result = extractAlphabet([ `a`, `b`, `bz` ]);
+
+        assert.equal(result.status, EXTRACTION_STATUS.AMBIGUOUS);
+        assert.same(result.unconstrainedChars, [ `z` ]);
+        assert.same(result.diagnostics.map((diagnostic) => diagnostic.code), [
+            DIAGNOSTIC_CODE.INSUFFICIENT_INFORMATION,
+            DIAGNOSTIC_CODE.UNCONSTRAINED_CHAR
+        ]);
+        assert.equal(extractAlphabet([ `ba`, `bc`, `e` ]).status, EXTRACTION_STATUS.AMBIGUOUS);
+        assert.end();
+    });
+    test(`\tRunning unit test for extractAlphabet - should be able to report an inconsistent word list with the word pair that caused it:`, (assert) => {
+        const result = extractAlphabet([ `bca`, `aca`, `aab`, `ddb`, `dca` ]);
+        const loopDiagnostics = result.diagnostics.filter((diagnostic) => diagnostic.code === DIAGNOSTIC_CODE.LOOP_DETECTED);
+
+        assert.equal(result.status, EXTRACTION_STATUS.INCONSISTENT);
+        assert.ok(loopDiagnostics.length > 0);
+        assert.ok(loopDiagnostics.every((diagnostic) => diagnostic.wordPair !== null && diagnostic.wordPair.words.length === 2));
+        assert.end();
+    });
+    test(`\tRunning unit test for extractAlphabet - should be able to explain a loop with its word pairs and suggest what to drop:`, (assert) => {
+        const words = [ `bca`, `aca`, `aab`, `ddb`, `dca`, `ed`, `ec` ];
+        const result = extractAlphabet(words);
+
+        assert.equal(result.status, EXTRACTION_STATUS.INCONSISTENT);
+        assert.same(result.loops.map((loop) => loop.chars), [[ `a`, `d`, `c`, `a` ]]);
+        assert.same(result.loops[0].edges.map((edge) => edge.wordPairs), [[[ 2, 3 ]], [[ 3, 4 ], [ 5, 6 ]], [[ 1, 2 ]]]);
+        assert.same(result.diagnostics.filter((diagnostic) => diagnostic.code === DIAGNOSTIC_CODE.LOOP_DETECTED).map((diagnostic) => diagnostic.chars), [
+            [ `a`, `d`, `c`, `a` ]
+        ]);
+        assert.equal(result.feedbackEdges.length, 1);
+        assert.notEqual(result.feedbackEdges[0].vertexStart, `d`);
+        assert.same(extractAlphabet([ `bca`, `aaa`, `acb`, `ddb`, `dca` ]).feedbackEdges, []);
+        assert.end();
+    });
+    test(`\tRunning unit test for getPrefixViolations - should be able to find words placed before their own prefix:`, (assert) => {
+        assert.same(getPrefixViolations([ `ab`, `abc`, `ab`, `ab`, `b` ]), [[ 1, 2 ]]);
+        assert.same(getPrefixViolations([ `a`, `a`, `ab`, `abc`, `b`, `b` ]), []);
+        assert.end();
+    });
+    test(`\tRunning unit test for extractAlphabet - should be able to report a word placed before its own prefix as inconsistent:`, (assert) => {
+        const result = extractAlphabet([ `c`, `abc`, `ab`, `b` ]);
+        let messages = [];
+
+        assert.equal(result.status, EXTRACTION_STATUS.INCONSISTENT);
+        assert.same(result.diagnostics.map((diagnostic) => diagnostic.code), [ DIAGNOSTIC_CODE.PREFIX_VIOLATION ]);
+        assert.same(result.diagnostics[0].wordPair, {
+            indices: [ 1, 2 ],
+            words: [ `abc`, `ab` ]
+        });
+        assert.equal(countAlphabets([ `c`, `abc`, `ab`, `b` ]), 0);
+        assert.equal(extractAlphabet([ `c`, `c`, `ab`, `ab`, `abc`, `b` ]).status, EXTRACTION_STATUS.COMPLETE);
+        assert.same(getOrderedCharSet([ `c`, `abc`, `ab`, `b` ], {
+            logger: (level, message, error) => messages.push([ level, message, error.code ])
+        }), [[ `c`, `a`, `b` ]]);
+        assert.same(messages, [[ `warn`, `WARN: getOrderedCharSet - Word abc is placed before its own prefix ab.`, DIAGNOSTIC_CODE.PREFIX_VIOLATION ]]);
+        assert.end();
+    });
+    test(`\tRunning unit test for extractAlphabet - should be able to report an invalid input:`, (assert) => {
+        const result = extractAlphabet([ `abc`, 1 ]);
+
+        assert.equal(result.status, EXTRACTION_STATUS.INVALID_INPUT);
+        assert.same(result.alphabet, []);
+        assert.same(result.diagnostics.map((diagnostic) => diagnostic.code), [ DIAGNOSTIC_CODE.INVALID_INPUT ]);
+        assert.end();
+    });
+    test(`\tRunning unit test for enumerateAlphabets and countAlphabets - should be able to list and count all valid alphabets:`, (assert) => {
+        const words = [ `ba`, `bc`, `e` ];
+
+        assert.same([ ...enumerateAlphabets(words, 2) ], [[ `a`, `b`, `c`, `e` ], [ `a`, `b`, `e`, `c` ]]);
+        assert.equal([ ...enumerateAlphabets(words) ].length, 6);
+        assert.equal(countAlphabets(words), 6);
+        assert.same([ ...enumerateAlphabets([ `bca`, `aaa`, `acb`, `ddb`, `dca` ]) ], [[ `b`, `a`, `d`, `c` ]]);
+        assert.equal(countAlphabets([ `bca`, `aaa`, `acb`, `ddb`, `dca` ]), 1);
+        assert.equal(countAlphabets([ `bca`, `aca`, `aab`, `ddb`, `dca` ]), 0);
+        assert.end();
+    });
+    test(`\tRunning unit test for countAlphabets - should be able to estimate the count of a word list that leaves many characters unordered:`, (assert) => {
+        let messages = [];
+
+        // r comes before 30 characters that are left unordered, each word pair gets its own leading character
+        const words = [ ...Array(30).keys() ].map((index) => {
+            const prefix = String.fromCharCode(0x3B1 + index);
+
+            return [ `${prefix}r`, `${prefix}${String.fromCharCode(0x430 + index)}` ];
+        }).flat();
+        const factorial = (count) => [ ...Array(count).keys() ].reduce((product, index) => product * (index + 1), 1);
+        const count = countAlphabets(words, {
+            random: createRandom(11),
+            logger: (level, message, error) => messages.push([ level, error.code ])
+        });
+
+        // the unordered characters interleave with the chain of leading characters in binomial(61, 30) ways
+        assert.ok(Math.abs(count / (factorial(61) / factorial(31)) - 1) < 1e-9);
+        assert.same(messages, [[ `warn`, DIAGNOSTIC_CODE.LIMIT_EXCEEDED ]]);
+        assert.end();
+    });
+    test(`\tRunning unit test for extractAlphabet - should be able to use the same tokenizer across all functions:`, (assert) => {
+        const words = [ `😀a`, `😀b`, `😁a`, `a` ];
+        const option = {
+            mode: `grapheme`,
+            normalization: `NFC`
+        };
+
+        assert.same(getUniqueCharSet(words, option), [ `a`, `b`, `😀`, `😁` ]);
+        assert.same(getOrderedCharSet(words, option), [[ `😀`, `😁`, `a` ], [ `a`, `b` ]]);
+        assert.same(extractAlphabetChars(words, option), [ `😀`, `😁`, `a`, `b` ]);
+        assert.same(getUniqueCharSet([ `e\u0301`, `\u00E9` ], option), [ `\u00E9` ]);
+        assert.same(getUniqueCharSet([ `e\u0301`, `\u00E9` ]), [ `e`, `\u00E9`, `\u0301` ]);
+        assert.same(extractAlphabetChars([ `a`, `\u00E9`, `e\u0301a` ], option), [ `a`, `\u00E9` ]);
+        assert.end();
+    });
+    test(`\tRunning unit test for extractAlphabetChars - should be able to extract an alphabet with multi-character letters:`, (assert) => {
+        const words = [ `a`, `ca`, `cha`, `la`, `lla` ];
+        const option = {
+            graphemes: [ `ch`, `ll` ]
+        };
+
+        assert.same(getOrderedCharSet(words, option), [[ `a`, `c`, `ch`, `l`, `ll` ]]);
+        assert.same(extractAlphabetChars(words, option), [ `a`, `c`, `ch`, `l`, `ll` ]);
+        assert.same(getOrderedCharSet([ `cosa`, `chico`, `chopo` ], option), [[ `c`, `ch` ], [ `i`, `o` ]]);
+        assert.end();
+    });
+    test(`\tRunning benchmark test for extractAlphabet - should be able to extract a synthetic 5,000-symbol alphabet in linear time:`, (assert) => {
+        const symbolCount = 5000;
+        const symbols = [ ...Array(symbolCount).keys() ].map((index) => String.fromCharCode(0x4E00 + index));
+        let words = [];
+
+        // every symbol gets a single-symbol word followed by two branching two-symbol words
+        symbols.forEach((symbol, index) => {
+            const [ indexA, indexB ] = [ (index * 7919) % symbolCount, (index * 104729) % symbolCount ].sort((a, b) => a - b);
+
+            words.push(symbol);
+            if (indexA !== indexB) {
+                words.push(`${symbol}${symbols[indexA]}`, `${symbol}${symbols[indexB]}`);
+            }
+        });
+
+        const startTime = Date.now();
+        const result = extractAlphabet(words);
+        const duration = Date.now() - startTime;
+
+        assert.comment(`extracted ${symbolCount} symbols from ${words.length} words in ${duration}ms`);
+        assert.equal(result.status, EXTRACTION_STATUS.COMPLETE);
+        assert.same(result.alphabet, symbols);
+        assert.ok(duration < 5000);
+        assert.end();
+    });
+    test(`\tRunning unit test for getConstraintDTG - should be able to get the constraint DTG of the word list:`, (assert) => {
+        const dtg = getConstraintDTG([ `bca`, `aaa`, `acb`, `ddb`, `dca` ]);
+
+        assert.same(dtg.toJSON(), {
+            nodes: [{
+                vertexStart: `a`,
+                vertexEnds: [ `c`, `d` ]
+            }, {
+                vertexStart: `b`,
+                vertexEnds: [ `a` ]
+            }, {
+                vertexStart: `c`,
+                vertexEnds: []
+            }, {
+                vertexStart: `d`,
+                vertexEnds: [ `c` ]
+            }],
+            path: [ `b`, `a`, `d`, `c` ],
+            redundantEdges: [[ `a`, `c` ]],
+            loopEdges: []
+        });
+        assert.end();
+    });
+    test(`\tRunning unit test for explainCharOrder - should be able to explain why a character comes before another one:`, (assert) => {
+        const words = [ `bca`, `bcd`, `aaa`, `acb`, `ddb`, `dca` ];
+
+        assert.same(explainCharOrder(words, `b`, `c`), [{
+            vertexStart: `b`,
+            vertexEnd: `a`,
+            support: 1,
+            wordPairs: [{
+                indices: [ 1, 2 ],
+                words: [ `bcd`, `aaa` ]
+            }]
+        }, {
+            vertexStart: `a`,
+            vertexEnd: `c`,
+            support: 1,
+            wordPairs: [{
+                indices: [ 2, 3 ],
+                words: [ `aaa`, `acb` ]
+            }]
+        }]);
+        assert.same(explainCharOrder(words, `b`, `d`).map((edge) => edge.support), [ 1, 2 ]);
+        assert.same(explainCharOrder(words, `c`, `b`), []);
+        assert.end();
+    });
+    test(`\tRunning unit test for extractAlphabetRobust - should be able to extract alphabet from an imperfectly sorted word list:`, (assert) => {
+        const words = [ `bca`, `aaa`, `acb`, `ddb`, `dca`, `cab`, `dcd`, `abc` ];
+        const result = extractAlphabetRobust(words);
+        let messages = [];
+
+        assert.equal(extractAlphabet(words).status, `inconsistent`);
+        assert.same(result.alphabet, [ `b`, `a`, `d`, `c` ]);
+        assert.equal(result.status, `complete`);
+        assert.same(result.outliers, [{
+            indices: [ 5, 6 ],
+            words: [ `cab`, `dcd` ]
+        }, {
+            indices: [ 6, 7 ],
+            words: [ `dcd`, `abc` ]
+        }]);
+        assert.same(result.outlierEdges.map((edge) => [ edge.vertexStart, edge.vertexEnd ]), [[ `c`, `d` ], [ `d`, `a` ]]);
+        assert.equal(result.violatedWeight, 2);
+        assert.same(result.diagnostics.map((diagnostic) => diagnostic.code), [ `OUTLIER_WORD_PAIR`, `OUTLIER_WORD_PAIR` ]);
+        assert.same(extractAlphabetRobust([ `ab`, `a`, `b` ]).outliers.map((outlier) => outlier.indices), [[ 0, 1 ]]);
+        assert.equal(extractAlphabetRobust([]).status, `invalid-input`);
+        assert.same(extractAlphabetChars(words, {
+            robust: true,
+            logger: (level, message) => messages.push([ level, message ])
+        }), [ `b`, `a`, `d`, `c` ]);
+        assert.same(messages, [
+            [ `warn`, `WARN: extractAlphabetChars - Word pair cab, dcd is treated as an outlier.` ],
+            [ `warn`, `WARN: extractAlphabetChars - Word pair dcd, abc is treated as an outlier.` ]
+        ]);
+        assert.end();
+    });
+    test(`\tRunning unit test for suggestComparisons - should be able to suggest the comparisons that determine the alphabet fastest:`, (assert) => {
+        const words = [ `ba`, `bc`, `e` ];
+        const result = suggestComparisons(words);
+
+        assert.same(result.unknownPairs, [[ `a`, `b` ], [ `a`, `e` ], [ `b`, `c` ], [ `c`, `e` ]]);
+        assert.equal(result.alphabetCount, 6);
+        assert.equal(result.minComparisonCount, 3);
+        assert.same(result.suggestions.map((suggestion) => suggestion.chars), [[ `a`, `b` ], [ `c`, `e` ], [ `a`, `e` ], [ `b`, `c` ]]);
+        assert.same(result.suggestions.map((suggestion) => suggestion.probability.toFixed(3)), [ `0.500`, `0.500`, `0.833`, `0.833` ]);
+        assert.same(result.suggestions[0].wordPair, [ `ba`, `bb` ]);
+        assert.same(suggestComparisons([ `bca`, `aaa`, `acb`, `ddb`, `dca` ]), {
+            exact: true,
+            unknownPairs: [],
+            alphabetCount: 1,
+            minComparisonCount: 0,
+            suggestions: []
+        });
+        assert.end();
+    });
+    test(`\tRunning unit test for suggestComparisons - should be able to estimate the count and sample the probabilities past exactLimit:`, (assert) => {
+        const sampledResult = suggestComparisons([ `ba`, `bc`, `e` ], {
+            exactLimit: 0,
+            sampleCount: 20000,
+            random: createRandom(9)
+        });
+        const exactProbabilityMap = new Map(suggestComparisons([ `ba`, `bc`, `e` ]).suggestions.map((suggestion) => {
+            return [ suggestion.chars.join(``), suggestion.probability ];
+        }));
+
+        // r comes before 30 characters that are left unordered, which exact counting cannot go through
+        const words = [ ...Array(30).keys() ].map((index) => {
+            const prefix = String.fromCharCode(0x3B1 + index);
+
+            return [ `${prefix}r`, `${prefix}${String.fromCharCode(0x430 + index)}` ];
+        }).flat();
+        const result = suggestComparisons(words, {
+            sampleCount: 200,
+            random: createRandom(13)
+        });
+        const factorial = (count) => [ ...Array(count).keys() ].reduce((product, index) => product * (index + 1), 1);
+
+        assert.same([ sampledResult.exact, sampledResult.alphabetCount, sampledResult.minComparisonCount ], [ false, 6, 3 ]);
+        assert.ok(sampledResult.suggestions.every((suggestion) => Math.abs(suggestion.probability - exactProbabilityMap.get(suggestion.chars.join(``))) < 0.03));
+        assert.equal(result.exact, false);
+        assert.ok(Math.abs(result.alphabetCount / (factorial(61) / factorial(31)) - 1) < 1e-9);
+        assert.equal(result.suggestions.length, result.unknownPairs.length);
+        assert.ok(result.suggestions.every((suggestion) => suggestion.probability >= 0 && suggestion.probability <= 1));
+        assert.end();
+    });
+    test(`\tRunning unit test for extractAlphabet - should be able to merge equivalent characters and report them:`, (assert) => {
+        const words = [ `Bca`, `aáa`, `a-cb`, `Ddb`, `dca` ];
+
+        assert.equal(extractAlphabet(words).status, `ambiguous`);
+
+        const result = extractAlphabet(words, {
+            caseInsensitive: true,
+            accentInsensitive: true,
+            equivalences: {
+                '-': ``
+            }
+        });
+
+        assert.same(result.alphabet, [ `b`, `a`, `d`, `c` ]);
+        assert.equal(result.status, `complete`);
+        assert.same(result.mergedChars, [{
+            symbol: `a`,
+            chars: [ `a`, `á` ]
+        }, {
+            symbol: `b`,
+            chars: [ `B`, `b` ]
+        }, {
+            symbol: `d`,
+            chars: [ `D`, `d` ]
+        }]);
+        assert.same(extractAlphabet([ `bca`, `aaa` ]).mergedChars, []);
+        assert.end();
+    });
+    test(`\tRunning unit test for extractCollation - should be able to extract a multi-level collation table:`, (assert) => {
+        const words = [ `ab`, `áb`, `Áb`, `b`, `ba`, `bá`, `Bá` ];
+        const result = extractCollation(words);
+
+        assert.same(result.alphabet, [ `a`, `b` ]);
+        assert.equal(result.status, `complete`);
+        assert.same(result.levels.map((level) => [ level.level, level.status ]), [
+            [ `primary`, `complete` ],
+            [ `secondary`, `complete` ],
+            [ `tertiary`, `complete` ]
+        ]);
+        assert.same(result.levels[1].edges, [{
+            vertexStart: `a`,
+            vertexEnd: `á`,
+            wordPairs: [[ 0, 1 ], [ 4, 5 ]]
+        }]);
+        assert.same(result.table, [{
+            symbol: `a`,
+            secondary: [{
+                symbol: `a`,
+                tertiary: [ `a` ]
+            }, {
+                symbol: `á`,
+                tertiary: [ `á`, `Á` ]
+            }]
+        }, {
+            symbol: `b`,
+            secondary: [{
+                symbol: `b`,
+                tertiary: [ `b`, `B` ]
+            }]
+        }]);
+        assert.end();
+    });
+    test(`\tRunning unit test for extractCollation - should be able to report an ambiguous level:`, (assert) => {
+        const result = extractCollation([ `cote`, `coté`, `côte`, `Côte`, `côté`, `toc` ]);
+
+        assert.equal(result.status, `ambiguous`);
+        assert.same(result.levels.map((level) => level.status), [ `ambiguous`, `complete`, `complete` ]);
+        assert.same(result.diagnostics.map((diagnostic) => diagnostic.chars), [[ `c`, `e`, `o`, `t` ]]);
+        assert.equal(extractAlphabet([ `a`, `á`, `ab`, `áb`, `b` ]).status, `inconsistent`);
+        assert.equal(extractCollation([ `a`, `á`, `ab`, `áb`, `b` ]).status, `complete`);
+        assert.equal(extractCollation([ `ab`, `áb`, `ab` ]).status, `inconsistent`);
+        assert.end();
+    });
+    test(`\tRunning unit test for extractAlphabet - should be able to throw typed errors in strict mode:`, (assert) => {
+        const option = {
+            strict: true
+        };
+
+        assert.same(extractAlphabet([ `bca`, `aaa`, `acb`, `ddb`, `dca` ], option).alphabet, [ `b`, `a`, `d`, `c` ]);
+        assert.throws(() => extractAlphabet([ `bca`, 1 ], option), InvalidInputError);
+        assert.throws(() => getUniqueCharSet(null, option), /Input words are not strings or invalid/);
+        try {
+            extractAlphabet([ `a`, `b`, `c`, `a` ], option);
+            assert.fail(`should have thrown`);
+        } catch (error) {
+            assert.ok(error instanceof InconsistentOrderError && error instanceof AlphabetError);
+            assert.same([ error.code, error.source, error.chars ], [ DIAGNOSTIC_CODE.LOOP_DETECTED, `extractAlphabet`, [ `a`, `b`, `c`, `a` ]]);
+            assert.same(error.diagnostics, extractAlphabet([ `a`, `b`, `c`, `a` ]).diagnostics);
+            assert.same(error.wordPair.indices, [ 2, 3 ]);
+        }
+        try {
+            extractAlphabet([ `ab`, `abc`, `ab` ], option);
+            assert.fail(`should have thrown`);
+        } catch (error) {
+            assert.same([ error.name, error.code, error.wordPair.indices ], [ `InconsistentOrderError`, DIAGNOSTIC_CODE.PREFIX_VIOLATION, [ 1, 2 ]]);
+        }
+        try {
+            extractAlphabetChars([ `ba`, `bc`, `e` ], option);
+            assert.fail(`should have thrown`);
+        } catch (error) {
+            assert.ok(error instanceof InsufficientInformationError);
+            assert.same([ error.code, error.chars ], [ DIAGNOSTIC_CODE.INSUFFICIENT_INFORMATION, [ `a`, `b`, `c`, `e` ]]);
+            assert.equal(error.alphabet.length, 2);
+        }
+        assert.throws(() => extractAlphabetRobust([ `ba`, `bc`, `e` ], option), InsufficientInformationError);
+        assert.throws(() => extractCollation([ `ab`, `áb`, `ac`, `ãc`, `b` ], option), /Secondary level/);
+        assert.throws(() => getOrderedCharSet([ `ab`, `abc`, `ab` ], option), InconsistentOrderError);
+        assert.throws(() => extractAlphabet([ `ab` ], {
+            mode: `bytes`,
+            strict: true
+        }), /Tokenizer mode bytes is invalid/);
+        assert.end();
+    });
+    test(`\tRunning unit test for extractAlphabet - should be able to route warnings to a logger:`, (assert) => {
+        let messages = [];
+        const logger = {
+            warn: (message) => messages.push(message),
+            error: (message) => messages.push(message)
+        };
+
+        assert.same(extractAlphabetChars([ `ba`, `bc`, `e` ], {
+            logger
+        }), [ `a`, `c` ]);
+        assert.same(messages, [
+            `WARN: extractAlphabetChars - Input list of words do not have enough information to derive the complete order of the alphabet.`
+        ]);
+        messages = [];
+        setLogger(logger);
+        getCharConstraints(`bca`);
+        extractAlphabetChars([ `ba`, `bc`, `e` ], {
+            logger: null
+        });
+        setLogger(console);
+        assert.same(messages, [ `WARN: getCharConstraints - Input words are not strings or invalid.` ]);
+        assert.end();
+    });
+    test(`\tRunning unit test for extractAlphabet - should be able to report conflicting clusters as tied blocks of a partial alphabet:`, (assert) => {
+        const result = extractAlphabet([ `b`, `ad`, `ca`, `ac`, `da`, `e` ]);
+
+        assert.equal(result.status, EXTRACTION_STATUS.INCONSISTENT);
+        assert.same(result.clusters, [[ `a`, `c` ]]);
+        assert.same(result.partialAlphabet, [[ `b` ], [ `a`, `c` ], [ `d` ], [ `e` ]]);
+        assert.same(extractAlphabet([ `bca`, `aaa`, `acb`, `ddb`, `dca` ]).partialAlphabet, [[ `b` ], [ `a` ], [ `d` ], [ `c` ]]);
+        assert.same(extractAlphabet([ `ba`, `bc`, `e` ]).partialAlphabet, [[ `a` ], [ `c` ]]);
+        assert.end();
+    });
+    test(`\tRunning unit test for getOrderedCharSet - should be able to keep the order of integer-like and prototype named symbols:`, (assert) => {
+        const option = {
+            graphemes: [ `constructor`, `__proto__`, `hasOwnProperty` ]
+        };
+
+        assert.same(getOrderedCharSet([ `9a`, `1b`, `10` ]), [[ `9`, `1` ], [ `b`, `0` ]]);
+        assert.same(extractAlphabetChars([ `9`, `3`, `1`, `a` ]), [ `9`, `3`, `1`, `a` ]);
+        assert.same(getOrderedCharSet([ `constructor`, `__proto__a`, `__proto__hasOwnProperty`, `b` ], option), [
+            [ `constructor`, `__proto__`, `b` ],
+            [ `a`, `hasOwnProperty` ]
+        ]);
+        assert.end();
+    });
+    test(`\tRunning property test for extractAlphabet - should be able to recover random alphabets of letters, digits and symbols:`, (assert) => {
+        const pool = Array.from(`abcdefghijklmnopqrstuvwxyz0123456789-+*#$%&!?@~^=_.,;:`);
+
+        // a seeded generator keeps the random cases the same on every run
+        const random = createRandom(20211);
+        const randomInt = (max) => Math.floor(random() * max);
+
+        for (let run = 0; run < 100; run += 1) {
+            let shuffledPool = [ ...pool ];
+
+            for (let index = shuffledPool.length - 1; index > 0; index -= 1) {
+                const swapIndex = randomInt(index + 1);
+
+                [ shuffledPool[index], shuffledPool[swapIndex] ] = [ shuffledPool[swapIndex], shuffledPool[index] ];
+            }
+
+            const alphabet = shuffledPool.slice(0, 2 + randomInt(20));
+
+            // half of the word lists only order some of the characters, the other half order all of them
+            const determinate = run % 2 === 0;
+            const { words } = generateWordList(alphabet, {
+                count: 5 + randomInt(30),
+                lengthDistribution: [ 0, 1, 1, 1, 1 ],
+                determinate,
+                seed: randomInt(2147483648)
+            });
+            const rankMap = new Map(alphabet.map((char, rank) => [ char, rank ]));
+            const isInAlphabetOrder = (chars) => chars.every((char, index) => index === 0 || rankMap.get(chars[index - 1]) < rankMap.get(char));
+            const result = extractAlphabet(words);
+
+            // each group of the ordered char set lists its characters in the order they are first seen, which is the alphabet order
+            assert.ok(getOrderedCharSet(words).every(isInAlphabetOrder));
+            assert.ok(getCharConstraints(words).every(({ vertexStart, vertexEnd }) => isInAlphabetOrder([ vertexStart, vertexEnd ])));
+            // the alphabet of a partly ordered list is its longest chain of ordered characters
+            assert.ok(isInAlphabetOrder(result.alphabet));
+            assert.ok(result.alphabet.every((char) => getUniqueCharSet(words).includes(char)));
+            assert.equal(result.status, getConstraintDTG(words).getUnorderedVertices().length ? EXTRACTION_STATUS.AMBIGUOUS : EXTRACTION_STATUS.COMPLETE);
+            if (determinate) {
+                assert.same(result.alphabet, alphabet);
+            }
+        }
+        assert.end();
+    });
+    test(`\tRunning unit test for getOrderedCharSet - should be able to group words with a long shared prefix without recursion:`, (assert) => {
+        const prefix = `a`.repeat(20000);
+
+        assert.same(getOrderedCharSet([ `${prefix}b`, `${prefix}c`, `${prefix}cd`, `${prefix}ce` ]), [[ `b`, `c` ], [ `d`, `e` ]]);
+        assert.same(getCharConstraints([ `${prefix}b`, `${prefix}c` ]), [{
+            vertexStart: `b`,
+            vertexEnd: `c`,
+            wordPairs: [[ 0, 1 ]]
+        }]);
+        assert.end();
+    });
+    test(`\tRunning unit test for getAlphabetConfidence - should be able to tell how certain each position of the alphabet is:`, (assert) => {
+        const confidence = getAlphabetConfidence([ `ba`, `bc`, `e` ]);
+
+        assert.same([ confidence.exact, confidence.orderCount ], [ true, 6 ]);
+        assert.same(confidence.chars.map((char) => [ char.char, char.earliest, char.latest, char.rank ]), [
+            [ `a`, 0, 2, 0 ],
+            [ `b`, 0, 2, 0 ],
+            [ `c`, 1, 3, 3 ],
+            [ `e`, 1, 3, 3 ]
+        ]);
+        assert.same(confidence.chars[0].fractions.map((fraction) => Math.round(fraction * 6)), [ 3, 2, 1, 0 ]);
+        assert.same(confidence.pairProbabilities.map((probabilities) => probabilities.map((probability) => Math.round(probability * 6))), [
+            [ 0, 3, 6, 5 ],
+            [ 3, 0, 5, 6 ],
+            [ 0, 1, 0, 3 ],
+            [ 1, 0, 3, 0 ]
+        ]);
+        assert.ok(getAlphabetConfidence([ `bca`, `aaa`, `acb`, `ddb`, `dca` ]).chars.every((char) => char.confidence === 1 && char.earliest === char.latest));
+        assert.same(getAlphabetConfidence([ `ab`, `a` ]).chars, []);
+        const sampledConfidence = getAlphabetConfidence([ `ba`, `bc`, `e` ], {
+            exactLimit: 2,
+            sampleCount: 6000,
+            random: createRandom(3)
+        });
+
+        assert.equal(sampledConfidence.orderCount, 6000);
+        sampledConfidence.pairProbabilities.forEach((probabilities, index) => probabilities.forEach((probability, otherIndex) => {
+            assert.ok(Math.abs(probability - confidence.pairProbabilities[index][otherIndex]) < 0.05);
+        }));
+        assert.end();
+    });
 }
@@ -0,0 +1,117 @@
+/**
+ *
+ * Unit tests for cli using tape.
+ *
+ */
+'use strict'; // eslint-disable-line
+
+import test from 'tape';
+
+import { Readable, Writable } from 'stream';
+
+import { execFile } from 'child_process';
+
+import os from 'os';
+
+import path from 'path';
+
+import {
+    EXIT_CODE,
+    parseArgs,
+    parseCSV,
+    readWords,
+    runCli
+} from '../src/cli';
+
+const createOutput = () => {
+    const output = new Writable({
+        write (chunk, encoding, callback) {
+            output.text += chunk.toString();
+            callback();
+        }
+    });
+
+    output.text = ``;
+    return output;
+};
+
+export function runTests () {
+    test(`\tRunning unit test for parseArgs - should be able to parse the command-line options:`, (assert) => {
+        const parsedArgs = parseArgs([ `-o`, `report`, `--column=word`, `-g`, `ch,ll`, `words.csv` ]);
+
+        assert.equal(parsedArgs.file, `words.csv`);
+        assert.equal(parsedArgs.inputFormat, `csv`);
+        assert.equal(parsedArgs.outputFormat, `report`);
+        assert.equal(parsedArgs.column, `word`);
+        assert.same(parsedArgs.graphemes, [ `ch`, `ll` ]);
+        assert.equal(parseArgs([]).inputFormat, `lines`);
+        assert.equal(parseArgs([ `-r` ]).robust, true);
+        assert.same([ `caseInsensitive`, `ignore` ].map((key) => parseArgs([ `--case-insensitive`, `--ignore=-'` ])[key]), [ true, `-'` ]);
+        assert.throws(() => parseArgs([ `--unknown` ]));
+        assert.equal(parseArgs([ `-o`, `mermaid` ]).outputFormat, `mermaid`);
+        assert.throws(() => parseArgs([ `-o`, `xml` ]));
+        assert.end();
+    });
+    test(`\tRunning unit test for readWords - should be able to read words from lines, JSON and CSV:`, (assert) => {
+        assert.same(readWords(`bca\r\naaa\n\nacb\n`), [ `bca`, `aaa`, `acb` ]);
+        assert.same(readWords(`[ "bca", "aaa" ]`, { inputFormat: `json` }), [ `bca`, `aaa` ]);
+        assert.same(readWords(`{ "words": [ "bca", "aaa" ] }`, { inputFormat: `json` }), [ `bca`, `aaa` ]);
+        assert.same(readWords(`[{ "w": "bca" }, { "w": "aaa" }]`, { inputFormat: `json`, column: `w` }), [ `bca`, `aaa` ]);
+        assert.same(parseCSV(`a,"b,""c"""\r\nd,e`), [[ `a`, `b,"c"` ], [ `d`, `e` ]]);
+        assert.same(readWords(`id,word\n1,bca\n2,aaa\n`, { inputFormat: `csv`, column: `word` }), [ `bca`, `aaa` ]);
+        assert.same(readWords(`bca,1\naaa,2\n`, { inputFormat: `csv` }), [ `bca`, `aaa` ]);
+        assert.throws(() => readWords(`{}`, { inputFormat: `json` }));
+        assert.end();
+    });
+    test(`\tRunning unit test for runCli - should be able to print the alphabet and exit with the status code:`, (assert) => {
+        const run = (args, text) => {
+            const stdout = createOutput();
+            const stderr = createOutput();
+
+            return runCli(args, {
+                stdin: Readable.from([ text ]),
+                stdout,
+                stderr
+            }).then((exitCode) => ({
+                exitCode,
+                stdout: stdout.text,
+                stderr: stderr.text
+            }));
+        };
+
+        Promise.all([
+            run([], `bca\naaa\nacb\nddb\ndca\n`),
+            run([ `-o`, `json` ], `ba\nbc\ne\n`),
+            run([ `-o`, `report` ], `bca\naca\naab\nddb\ndca\n`),
+            run([ `-q` ], ``),
+            run([ `-o`, `dot` ], `ba\nbc\n`),
+            run([ `-m`, `bytes` ], `b\na\n`),
+            run([ `-q`, `-m`, `bytes` ], `b\na\n`)
+        ]).then(([ complete, ambiguous, inconsistent, invalid, graph, warned, quiet ]) => {
+            assert.same([ complete.exitCode, complete.stdout, complete.stderr ], [ EXIT_CODE.COMPLETE, `b a d c\n`, `` ]);
+            assert.same([ ambiguous.exitCode, JSON.parse(ambiguous.stdout) ], [ EXIT_CODE.AMBIGUOUS, [ `a`, `c` ]]);
+            assert.ok(ambiguous.stderr.includes(`INSUFFICIENT_INFORMATION`));
+            assert.equal(inconsistent.exitCode, EXIT_CODE.INCONSISTENT);
+            assert.equal(JSON.parse(inconsistent.stdout).status, `inconsistent`);
+            assert.equal(invalid.exitCode, EXIT_CODE.INVALID_INPUT);
+            assert.equal(graph.exitCode, EXIT_CODE.AMBIGUOUS);
+            assert.ok(graph.stdout.startsWith(`digraph "DTG" {`));
+            assert.ok(graph.stdout.includes(`"a" -> "c" [color=blue, penwidth=2];`));
+            assert.same([ warned.stdout, warned.stderr ], [ `b a\n`, `WARN: createTokenizer - Tokenizer mode bytes is invalid. Using code-unit mode.\n` ]);
+            assert.same([ quiet.stdout, quiet.stderr ], [ `b a\n`, `` ]);
+            assert.end();
+        });
+    });
+    test(`\tRunning unit test for the command-line tool - should be able to run from any working directory:`, (assert) => {
+        const child = execFile(process.execPath, [ path.join(__dirname, `..`, `bin`, `alphabet-extractor.js`) ], {
+            cwd: os.tmpdir(),
+            timeout: 60000
+        }, (error, stdout, stderr) => {
+            assert.equal(error, null);
+            assert.same([ stdout, stderr ], [ `b a d c\n`, `` ]);
+            assert.end();
+        });
+
+        child.stdin.end(`bca\naaa\nacb\nddb\ndca\n`);
+    });
+}
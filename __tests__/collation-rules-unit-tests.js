@@ -0,0 +1,113 @@
+/**
+ *
+ * Unit tests for collation rules using tape.
+ *
+ */
+'use strict'; // eslint-disable-line
+
+import test from 'tape';
+
+import Collator from '../src/collator';
+
+import {
+    toICURule,
+    toLDML,
+    parseICURule,
+    parseLDML
+} from '../src/collation-rules';
+
+import {
+    DIAGNOSTIC_CODE,
+    InvalidInputError,
+    extractAlphabetChars,
+    extractCollation
+} from '../src/alphabet-extractor';
+
+export function runTests () {
+    test(`\tRunning unit test for collation rules - should be able to export an alphabet as an ICU rule and LDML:`, (assert) => {
+        const alphabet = extractAlphabetChars([ `bca`, `aaa`, `acb`, `ddb`, `dca` ]);
+
+        assert.equal(toICURule(alphabet), `&b < a < d < c`);
+        assert.equal(toICURule([ `a`, `&`, `'`, `x y` ]), `&a < '&' < '' < 'x y'`);
+        assert.equal(toLDML(alphabet), `<collation type="standard">\n    <cr><![CDATA[&b < a < d < c]]></cr>\n</collation>\n`);
+        assert.equal(toLDML(alphabet, {
+            type: `search`
+        }).split(`\n`)[0], `<collation type="search">`);
+        assert.end();
+    });
+    test(`\tRunning unit test for collation rules - should be able to export a layered collation table as an ICU rule:`, (assert) => {
+        const collation = extractCollation([ `ab`, `áb`, `Áb`, `b`, `ba`, `bá`, `Bá` ]);
+
+        assert.equal(toICURule(collation.table), `&a << á <<< Á < b <<< B`);
+        assert.end();
+    });
+    test(`\tRunning unit test for collation rules - should be able to parse an ICU rule and LDML back:`, (assert) => {
+        const alphabet = [ `b`, `a`, `&`, `'`, `a'b`, `x y`, `<` ];
+
+        assert.same(parseICURule(toICURule(alphabet)).alphabet, alphabet);
+        assert.same(parseLDML(toLDML(alphabet)).alphabet, alphabet);
+        assert.same(parseLDML(`<collation><cr>&amp;b &lt; a &lt; c</cr></collation>`).alphabet, [ `b`, `a`, `c` ]);
+        assert.same(parseICURule(`&b <* cd &c << x # a comment\n <<< X = \\u0079`).table, [{
+            symbol: `b`,
+            secondary: [{
+                symbol: `b`,
+                tertiary: [ `b` ]
+            }]
+        }, {
+            symbol: `c`,
+            secondary: [{
+                symbol: `c`,
+                tertiary: [ `c` ]
+            }, {
+                symbol: `x`,
+                tertiary: [ `x`, `X`, `y` ]
+            }]
+        }, {
+            symbol: `d`,
+            secondary: [{
+                symbol: `d`,
+                tertiary: [ `d` ]
+            }]
+        }]);
+        assert.same(parseICURule(`&a < c &a < b`).alphabet, [ `a`, `b`, `c` ]);
+        assert.same(parseICURule(`&c < d &a < b`).alphabet, [ `c`, `d`, `a`, `b` ]);
+        assert.throws(() => parseICURule(`a < b`), /reset or a relation/);
+        assert.throws(() => parseICURule(`&a < 'b`), /unclosed quote/);
+        assert.throws(() => parseICURule(`&a < b < a`), /more than once/);
+        assert.throws(() => parseLDML(`<collation></collation>`), /no collation rule/);
+        assert.throws(() => parseICURule(`&a < \\u00zz`), /invalid \\u escape at 5/);
+        assert.throws(() => parseICURule(`&a < \\u12`), InvalidInputError);
+        assert.end();
+    });
+    test(`\tRunning unit test for collation rules - should be able to report an invalid alphabet or table:`, (assert) => {
+        let messages = [];
+        const option = {
+            logger: (level, message, error) => messages.push([ level, message, error.code ])
+        };
+
+        assert.equal(toICURule([ 1, 2 ], option), ``);
+        assert.equal(toICURule([{
+            symbol: `a`
+        }], option), ``);
+        assert.equal(toICURule([], option), ``);
+        assert.same(messages, [ 1, 2, 3 ].map(() => [ `warn`, `WARN: toICURule - Input alphabet is invalid.`, DIAGNOSTIC_CODE.INVALID_INPUT ]));
+        messages = [];
+        assert.equal(toLDML([ `a`, null ], option), `<collation type="standard">\n    <cr><![CDATA[]]></cr>\n</collation>\n`);
+        assert.equal(messages.length, 1);
+        assert.throws(() => toICURule([ 1, 2 ], {
+            strict: true
+        }), InvalidInputError);
+        assert.end();
+    });
+    test(`\tRunning unit test for collation rules - should be able to round trip with the extractor and the collator:`, (assert) => {
+        const words = [ `ab`, `áb`, `Áb`, `b`, `ba`, `bá`, `Bá` ];
+        const { table } = parseLDML(toLDML(extractCollation(words).table));
+        const collator = new Collator(table);
+
+        assert.same(table, extractCollation(words).table);
+        assert.same([ ...words ].reverse().sort(collator.compare), words);
+        assert.equal(collator.compare(`áb`, `Áb`), -1);
+        assert.equal(collator.compare(`Áb`, `b`), -1);
+        assert.end();
+    });
+}
@@ -0,0 +1,150 @@
+/**
+ *
+ * Unit tests for collator using tape.
+ *
+ */
+'use strict'; // eslint-disable-line
+
+import test from 'tape';
+
+import Collator from '../src/collator';
+
+import {
+    EXTRACTION_STATUS,
+    DIAGNOSTIC_CODE,
+    extractAlphabetChars
+} from '../src/alphabet-extractor';
+
+export function runTests () {
+    test(`\tRunning unit test for Collator - should be able to compare and sort words with an alphabet:`, (assert) => {
+        const collator = new Collator([ `b`, `a`, `d`, `c` ]);
+
+        assert.same([
+            collator.compare(`bca`, `aaa`),
+            collator.compare(`dca`, `ddb`),
+            collator.compare(`ab`, `abc`),
+            collator.compare(`abc`, `abc`)
+        ], [ -1, 1, -1, 0 ]);
+        assert.same(collator.sort([ `dca`, `acb`, `bca`, `ddb`, `aaa` ]), [ `bca`, `aaa`, `acb`, `ddb`, `dca` ]);
+        assert.same(new Collator(`zyx`).sort([ `x`, `xy`, `z`, `yz` ]), [ `z`, `yz`, `x`, `xy` ]);
+        assert.same(new Collator(`chab`, {
+            graphemes: [ `ch` ]
+        }).sort([ `ba`, `chb`, `ab`, `cha` ]), [ `cha`, `chb`, `ab`, `ba` ]);
+        assert.end();
+    });
+    test(`\tRunning unit test for Collator - should be able to validate a word list and round trip with the extractor:`, (assert) => {
+        const words = [ `bca`, `aaa`, `acb`, `ddb`, `dca` ];
+        const collator = new Collator(extractAlphabetChars(words));
+
+        assert.equal(collator.isSorted(words), -1);
+        assert.equal(collator.isSorted([ `bca`, `dca`, `aaa`, `acb` ]), 2);
+        assert.same(collator.sort([ ...words ].reverse()), words);
+        assert.end();
+    });
+    test(`\tRunning unit test for Collator - should be able to search a sorted word list:`, (assert) => {
+        const collator = new Collator([ `b`, `a`, `d`, `c` ]);
+        const sortedWords = [ `b`, `ba`, `ba`, `bd`, `a`, `dc` ];
+
+        assert.same([
+            collator.binarySearch(sortedWords, `ba`),
+            collator.binarySearch(sortedWords, `dc`),
+            collator.binarySearch(sortedWords, `c`)
+        ], [ 1, 5, -1 ]);
+        assert.same([
+            collator.lowerBound(sortedWords, `ba`),
+            collator.upperBound(sortedWords, `ba`),
+            collator.lowerBound(sortedWords, `ab`),
+            collator.upperBound(sortedWords, `c`)
+        ], [ 1, 3, 5, 6 ]);
+        assert.end();
+    });
+    test(`\tRunning unit test for Collator - should be able to handle unknown characters by policy:`, (assert) => {
+        const words = [ `bx`, `a`, `by`, `b` ];
+
+        assert.throws(() => new Collator([ `b`, `a` ]).compare(`bx`, `by`), /Character x is not in the alphabet/);
+        assert.same(new Collator([ `b`, `a` ], {
+            unknownChar: `first`
+        }).sort(words), [ `b`, `bx`, `by`, `a` ]);
+        assert.same(new Collator([ `b`, `a` ], {
+            unknownChar: `last`
+        }).sort([ `x`, `a`, `b` ]), [ `b`, `a`, `x` ]);
+        assert.same(new Collator([ `b`, `a` ], {
+            unknownChar: `code-point`
+        }).sort([ `by`, `bx`, `x`, `a`, `b` ]), [ `b`, `bx`, `by`, `a`, `x` ]);
+        assert.end();
+    });
+    test(`\tRunning unit test for Collator - should be able to sort unknown characters by code point independently of the input order:`, (assert) => {
+        const collator = new Collator([ `c`, `a` ], {
+            unknownChar: `code-point`
+        });
+        const permutations = [
+            [ `a`, `b`, `c` ],
+            [ `a`, `c`, `b` ],
+            [ `b`, `a`, `c` ],
+            [ `b`, `c`, `a` ],
+            [ `c`, `a`, `b` ],
+            [ `c`, `b`, `a` ]
+        ];
+
+        permutations.forEach((words) => assert.same(collator.sort(words), [ `c`, `a`, `b` ]));
+        assert.same([
+            collator.compare(`c`, `a`),
+            collator.compare(`a`, `b`),
+            collator.compare(`c`, `b`)
+        ], [ -1, -1, -1 ]);
+
+        // U+FFFD comes before U+1F600 by code point but not by UTF-16 code unit
+        assert.same(new Collator([ `a` ], {
+            mode: `code-point`,
+            unknownChar: `code-point`
+        }).sort([ `\u{1F600}`, `\uFFFD`, `a` ]), [ `a`, `\uFFFD`, `\u{1F600}` ]);
+        assert.end();
+    });
+    test(`\tRunning unit test for Collator - should be able to compare words with a layered collation table:`, (assert) => {
+        const collator = new Collator([{
+            symbol: `a`,
+            secondary: [{
+                symbol: `a`,
+                tertiary: [ `a`, `A` ]
+            }, {
+                symbol: `á`,
+                tertiary: [ `á`, `Á` ]
+            }]
+        }, {
+            symbol: `b`,
+            secondary: [{
+                symbol: `b`,
+                tertiary: [ `b`, `B` ]
+            }]
+        }]);
+        const compare = collator.compare;
+
+        assert.same([
+            compare(`Ab`, `áb`),
+            compare(`áb`, `Ab`),
+            compare(`ab`, `Ab`),
+            compare(`Áb`, `áb`),
+            compare(`ab`, `ab`)
+        ], [ -1, 1, -1, 1, 0 ]);
+        assert.same([ `b`, `Áb`, `ab`, `áb`, `Ab`, `ba` ].sort(compare), [ `ab`, `Ab`, `áb`, `Áb`, `b`, `ba` ]);
+        assert.end();
+    });
+    test(`\tRunning unit test for Collator - should be able to validate a word list with diagnostics:`, (assert) => {
+        const collator = new Collator([ `b`, `a`, `d`, `c` ]);
+        const result = collator.validate([ `bca`, `dca`, `aaa`, `acbd`, `acb` ]);
+
+        assert.same(collator.validate([ `bca`, `aaa`, `acb`, `ddb`, `dca` ]), {
+            status: EXTRACTION_STATUS.COMPLETE,
+            diagnostics: []
+        });
+        assert.equal(result.status, EXTRACTION_STATUS.INCONSISTENT);
+        assert.same(result.diagnostics.map((diagnostic) => diagnostic.code), [ DIAGNOSTIC_CODE.UNSORTED_WORD_PAIR, DIAGNOSTIC_CODE.PREFIX_VIOLATION ]);
+        assert.same(result.diagnostics[0].chars, [ `d`, `a` ]);
+        assert.same(result.diagnostics[0].wordPair.indices, [ 1, 2 ]);
+        assert.same(result.diagnostics[1].wordPair.indices, [ 3, 4 ]);
+        assert.same(new Collator([ `b`, `a` ], {
+            unknownChar: `throw`
+        }).validate([ `ab`, `ax` ]).status, EXTRACTION_STATUS.INVALID_INPUT);
+        assert.end();
+    });
+}
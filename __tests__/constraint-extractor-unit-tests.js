@@ -0,0 +1,179 @@
+/**
+ *
+ * Unit tests for constraint-extractor using tape.
+ *
+ */
+'use strict'; // eslint-disable-line
+
+import test from 'tape';
+
+import os from 'os';
+
+import {
+    addPairConstraint,
+    collectSymbolConstraints,
+    collectRangeConstraints,
+    mergeRangeConstraints
+} from '../src/constraint-extractor';
+
+import {
+    DIAGNOSTIC_CODE,
+    getCharConstraints,
+    getConstraintDTG,
+    getConstraintDTGParallel
+} from '../src/alphabet-extractor';
+
+import { generateWordList } from '../src/word-list-generator';
+
+export function runTests () {
+    test(`\tRunning unit test for addPairConstraint - should be able to add the constraint of a word pair to a constraint map:`, (assert) => {
+        const constraintMap = new Map();
+        const tokenizedWords = [ `bca`, `aaa`, `acb`, `ab`, `ddb`, `dca`, `da` ].map((word) => Array.from(word));
+
+        assert.same(addPairConstraint(constraintMap, [ `b`, `c`, `a` ], [ `a`, `a`, `a` ], [ 0, 1 ]), {
+            vertexStart: `b`,
+            vertexEnd: `a`,
+            wordPairs: [[ 0, 1 ]]
+        });
+        assert.equal(addPairConstraint(constraintMap, [ `b`, `a` ], [ `a` ], [ 1, 2 ]).wordPairs.length, 2);
+        assert.equal(addPairConstraint(constraintMap, [ `a`, `b` ], [ `a` ], [ 2, 3 ]), null);
+        assert.equal(constraintMap.size, 1);
+        assert.same(collectSymbolConstraints(tokenizedWords), collectRangeConstraints(tokenizedWords.map((symbols) => symbols.join(``))).edges);
+        assert.same(collectSymbolConstraints(tokenizedWords, (index) => index !== 4).map((edge) => [ edge.vertexStart, edge.vertexEnd ]), [
+            [ `b`, `a` ],
+            [ `a`, `c` ],
+            [ `c`, `b` ],
+            [ `d`, `c` ],
+            [ `c`, `a` ]
+        ]);
+        assert.end();
+    });
+    test(`\tRunning unit test for collectRangeConstraints - should be able to collect the constraints of a range of words:`, (assert) => {
+        const words = [ `bca`, `aaa`, `acb`, `ddb`, `dca` ];
+
+        assert.same(collectRangeConstraints(words, 1, 4), {
+            uniqueChars: [ `a`, `c`, `b`, `d` ],
+            edges: [{
+                vertexStart: `a`,
+                vertexEnd: `c`,
+                wordPairs: [[ 1, 2 ]]
+            }, {
+                vertexStart: `a`,
+                vertexEnd: `d`,
+                wordPairs: [[ 2, 3 ]]
+            }]
+        });
+        assert.same(collectRangeConstraints(words).edges, getCharConstraints(words));
+        assert.same(collectRangeConstraints([ `ch`, `ll` ], 0, 2, {
+            graphemes: [ `ch`, `ll` ]
+        }).edges, [{
+            vertexStart: `ch`,
+            vertexEnd: `ll`,
+            wordPairs: [[ 0, 1 ]]
+        }]);
+        assert.end();
+    });
+    test(`\tRunning unit test for mergeRangeConstraints - should be able to merge overlapping ranges into the constraints of the whole list:`, (assert) => {
+        const words = generateWordList([ `z`, `9`, `x`, `#`, `a` ], {
+            count: 200,
+            seed: 3
+        }).words;
+        const wholeConstraints = collectRangeConstraints(words);
+
+        // neighboring ranges share a word, and their word pairs are shifted by the range offset
+        assert.same(mergeRangeConstraints([ 0, 70, 140 ].map((start) => {
+            const rangeWords = words.slice(start, Math.min(words.length, start + 71));
+
+            return {
+                offset: start,
+                ...collectRangeConstraints(rangeWords)
+            };
+        })), {
+            uniqueChars: [ ...wholeConstraints.uniqueChars ].sort(),
+            edges: wholeConstraints.edges
+        });
+        assert.end();
+    });
+    test(`\tRunning unit test for getConstraintDTGParallel - should be able to get the same DTG as getConstraintDTG with worker threads:`, (assert) => {
+        const words = generateWordList([ `b`, `a`, `d`, `c`, `1`, `0`, `é` ], {
+            count: 1000,
+            determinate: true,
+            seed: 5
+        }).words;
+        let messages = [];
+        const logger = (level, message) => messages.push(message);
+
+        Promise.all([
+            getConstraintDTGParallel(words, {
+                workerCount: 3
+            }),
+            getConstraintDTGParallel([ `cosa`, `chico`, `chopo`, `llama` ], {
+                workerCount: 2,
+                graphemes: [ `ch`, `ll` ]
+            }),
+            getConstraintDTGParallel(words, {
+                workerCount: 1
+            }),
+            getConstraintDTGParallel([ `b-a`, `a-c` ], {
+                workerCount: 2,
+                tokenizer: (word) => word.split(`-`),
+                logger
+            })
+        ]).then(([ parallelDTG, graphemeDTG, singleDTG, customDTG ]) => {
+            assert.same(parallelDTG.toJSON(), getConstraintDTG(words).toJSON());
+            assert.same(singleDTG.toJSON(), getConstraintDTG(words).toJSON());
+            assert.same(graphemeDTG.toJSON(), getConstraintDTG([ `cosa`, `chico`, `chopo`, `llama` ], {
+                graphemes: [ `ch`, `ll` ]
+            }).toJSON());
+            assert.same(customDTG.getLongestPath(), [ `b`, `a` ]);
+            assert.same(messages, [
+                `WARN: getConstraintDTGParallel - Custom tokenizer function cannot be sent to worker threads. Collecting the constraints in the calling thread.`
+            ]);
+            assert.end();
+        });
+    });
+    test(`\tRunning unit test for getConstraintDTGParallel - should be able to report a worker count that is not a positive integer:`, (assert) => {
+        const words = [ `bca`, `aaa`, `acb`, `ddb`, `dca` ];
+        let messages = [];
+        const logger = (level, message, error) => messages.push([ level, message, error.code ]);
+
+        Promise.all([ NaN, 0, 1.5 ].map((workerCount) => getConstraintDTGParallel(words, {
+            workerCount,
+            logger
+        }))).then((dtgs) => {
+            dtgs.forEach((dtg) => assert.same(dtg.getLongestPath(), [ `b`, `a`, `d`, `c` ]));
+            assert.same(messages, [ NaN, 0, 1.5 ].map((workerCount) => [
+                `warn`,
+                `WARN: collectConstraintsInParallel - Worker count ${workerCount} is not a positive integer. Using the number of CPUs.`,
+                DIAGNOSTIC_CODE.INVALID_INPUT
+            ]));
+            return getConstraintDTGParallel(words, {
+                workerCount: -1,
+                strict: true
+            });
+        }).then(() => {
+            assert.fail(`strict mode should reject an invalid worker count`);
+            assert.end();
+        }, (error) => {
+            assert.equal(error.code, DIAGNOSTIC_CODE.INVALID_INPUT);
+            assert.end();
+        });
+    });
+    test(`\tRunning unit test for getConstraintDTGParallel - should be able to run the worker threads from any working directory:`, (assert) => {
+        const words = [ `bca`, `aaa`, `acb`, `ddb`, `dca` ];
+        const cwd = process.cwd();
+
+        // the workers load the sources through babel, which must not depend on where the process was started
+        process.chdir(os.tmpdir());
+        getConstraintDTGParallel(words, {
+            workerCount: 2
+        }).then((dtg) => {
+            process.chdir(cwd);
+            assert.same(dtg.toJSON(), getConstraintDTG(words).toJSON());
+            assert.end();
+        }, (error) => {
+            process.chdir(cwd);
+            assert.end(error);
+        });
+    });
+}
@@ -9,6 +9,15 @@ import test from 'tape';
 
 import DTG from '../src/directed-graph-tree';
 
+import { createRandom } from '../src/word-list-generator';
+
+import {
+    InvalidInputError,
+    InconsistentOrderError,
+    DuplicateEdgeError,
+    LimitExceededError
+} from '../src/errors';
+
 export function runTests () {
     test(`\tRunning unit test for directed graph tree - should be able to create instant and add vertices:`, (assert) => {
         const dtg = new DTG();
@@ -87,4 +96,576 @@ export function runTests () {
         ]);
         assert.end();
     });
+    test(`\tRunning unit test for directed graph tree - should be able to sort vertices topologically:`, (assert) => {
+        const dtg = new DTG();
+
+        dtg.addVertices([ `a`, `b`, `c`, `d` ]);
+        dtg.createDaisyChainEdges([ `b`, `a`, `d` ]);
+        dtg.createEdge(`a`, `c`);
+        dtg.createEdge(`d`, `c`);
+        assert.same(dtg.topologicalSort(), [ `b`, `a`, `d`, `c` ]);
+        dtg.createEdge(`c`, `a`);
+        assert.same(dtg.topologicalSort(), [ `b` ]);
+        assert.end();
+    });
+    test(`\tRunning unit test for directed graph tree - should be able to get the longest path in DTG:`, (assert) => {
+        const dtg = new DTG();
+
+        dtg.addVertices([ `a`, `b`, `c`, `d`, `e`, `f`, `g`, `h`, `i`, `x`, `y`, `z` ]);
+        dtg.createDaisyChainEdges([ `a`, `b`, `e`, `f` ]);
+        dtg.createEdge(`d`, `g`);
+        dtg.createEdge(`d`, `x`);
+        dtg.createEdge(`x`, `y`);
+        dtg.createEdge(`x`, `z`);
+        dtg.createDaisyChainEdges([ `b`, `c`, `d`, `e` ]);
+        dtg.createEdge(`f`, `g`);
+        dtg.createEdge(`h`, `i`);
+        assert.same(dtg.getLongestPath(), [ `a`, `b`, `c`, `d`, `e`, `f`, `g` ]);
+        assert.same(new DTG().getLongestPath(), []);
+        assert.end();
+    });
+    test(`\tRunning unit test for directed graph tree - should be able to get the loop closing back edges:`, (assert) => {
+        const dtg = new DTG();
+
+        dtg.addVertices([ `a`, `b`, `c`, `d` ]);
+        dtg.createDaisyChainEdges([ `a`, `b`, `c`, `d` ]);
+        assert.same(dtg.getBackEdges(), []);
+        dtg.createEdge(`d`, `b`);
+        assert.same(dtg.getBackEdges(), [[ `d`, `b` ]]);
+        assert.end();
+    });
+    test(`\tRunning unit test for directed graph tree - should be able to enumerate and count all topological orders:`, (assert) => {
+        const dtg = new DTG();
+
+        dtg.addVertices([ `a`, `b`, `c`, `d`, `e`, `f` ]);
+        dtg.createEdge(`a`, `b`);
+        dtg.createEdge(`a`, `c`);
+        dtg.createEdge(`d`, `e`);
+        assert.same([ ...dtg.enumerateTopologicalSorts(3) ], [
+            [ `a`, `b`, `c`, `d`, `e`, `f` ],
+            [ `a`, `b`, `c`, `d`, `f`, `e` ],
+            [ `a`, `b`, `c`, `f`, `d`, `e` ]
+        ]);
+        assert.equal([ ...dtg.enumerateTopologicalSorts() ].length, dtg.countTopologicalSorts());
+        assert.equal(dtg.countTopologicalSorts(), 120);
+        dtg.createEdge(`c`, `a`);
+        assert.same([ ...dtg.enumerateTopologicalSorts() ], []);
+        assert.equal(dtg.countTopologicalSorts(), 0);
+        assert.end();
+    });
+    test(`\tRunning unit test for directed graph tree - should be able to estimate the count of topological orders past the state limit:`, (assert) => {
+        let messages = [];
+        const dtg = new DTG({
+            logger: (level, message, error) => messages.push([ level, message, error.code, error.limit ])
+        });
+        const wideVertices = [ ...Array(30).keys() ].map((index) => `x${index}`);
+        const wideDTG = new DTG({
+            logger: (level, message, error) => messages.push([ level, message, error.code, error.limit ])
+        });
+        const strictDTG = new DTG({
+            strict: true
+        });
+        const factorial = (count) => [ ...Array(count).keys() ].reduce((product, index) => product * (index + 1), 1);
+
+        dtg.addVertices([ `a`, `b`, `c`, `d`, `e`, `f` ]);
+        dtg.createEdge(`a`, `b`);
+        dtg.createEdge(`a`, `c`);
+        dtg.createEdge(`d`, `e`);
+        assert.ok(Math.abs(dtg.estimateTopologicalSorts({
+            sampleCount: 5000,
+            random: createRandom(3)
+        }) / 120 - 1) < 0.05);
+        assert.ok(Math.abs(dtg.countTopologicalSorts({
+            stateLimit: 1,
+            sampleCount: 5000,
+            random: createRandom(3)
+        }) / 120 - 1) < 0.05);
+
+        // a root followed by 30 unordered vertices has C(30, 15) sets of placed vertices in its middle layer
+        wideDTG.addVertices([ `r`, ...wideVertices ]);
+        strictDTG.addVertices([ `r`, ...wideVertices ]);
+        wideVertices.forEach((vertex) => {
+            wideDTG.createEdge(`r`, vertex);
+            strictDTG.createEdge(`r`, vertex);
+        });
+        assert.ok(Math.abs(wideDTG.countTopologicalSorts() / factorial(30) - 1) < 1e-9);
+        assert.same(messages, [
+            [ `warn`, `WARN: DTG.countTopologicalSorts - Counting the topological orders exactly needs more than 1 sets of placed vertices. The count is estimated.`, `LIMIT_EXCEEDED`, 1 ],
+            [ `warn`, `WARN: DTG.countTopologicalSorts - Counting the topological orders exactly needs more than 100000 sets of placed vertices. The count is estimated.`, `LIMIT_EXCEEDED`, 100000 ]
+        ]);
+        assert.throws(() => strictDTG.countTopologicalSorts(), LimitExceededError);
+        assert.end();
+    });
+    test(`\tRunning unit test for directed graph tree - should be able to get loops and the feedback edges that break them:`, (assert) => {
+        const dtg = new DTG();
+
+        dtg.addVertices([ `a`, `b`, `c`, `d` ]);
+        dtg.createDaisyChainEdges([ `b`, `a`, `d`, `c` ]);
+        assert.same(dtg.getLoops(), []);
+        assert.same(dtg.getFeedbackEdges(), []);
+        dtg.createEdge(`c`, `a`);
+        assert.same(dtg.getLoops(), [[ `a`, `d`, `c`, `a` ]]);
+        assert.equal(dtg.getFeedbackEdges().length, 1);
+        assert.same(dtg.getFeedbackEdges((vertexStart, vertexEnd) => vertexStart === `c` && vertexEnd === `a` ? 1 : 5), [[ `c`, `a` ]]);
+        assert.same(dtg.getFeedbackEdges((vertexStart, vertexEnd) => vertexStart === `a` && vertexEnd === `d` ? 1 : 5), [[ `a`, `d` ]]);
+        assert.end();
+    });
+    test(`\tRunning unit test for directed graph tree - should be able to get the shortest path between two vertices:`, (assert) => {
+        const dtg = new DTG();
+
+        dtg.addVertices([ `a`, `b`, `c`, `d`, `e` ]);
+        dtg.createDaisyChainEdges([ `a`, `b`, `c`, `d` ]);
+        dtg.createDaisyChainEdges([ `a`, `e`, `d` ]);
+        assert.same(dtg.getPath(`a`, `d`), [ `a`, `e`, `d` ]);
+        assert.same(dtg.getPath(`b`, `d`), [ `b`, `c`, `d` ]);
+        assert.same(dtg.getPath(`a`, `a`), [ `a` ]);
+        assert.same(dtg.getPath(`d`, `a`), []);
+        assert.end();
+    });
+    test(`\tRunning unit test for directed graph tree - should be able to get the redundant and loop edges:`, (assert) => {
+        const dtg = new DTG();
+
+        dtg.addVertices([ `b`, `a`, `c`, `d`, `e` ]);
+        dtg.createDaisyChainEdges([ `b`, `a`, `c` ]);
+        dtg.createEdge(`b`, `c`);
+        dtg.createDaisyChainEdges([ `d`, `e`, `d` ]);
+        assert.same(dtg.getRedundantEdges(), [[ `b`, `c` ]]);
+        assert.same(dtg.getLoopEdges(), [[ `d`, `e` ], [ `e`, `d` ]]);
+        assert.end();
+    });
+    test(`\tRunning unit test for directed graph tree - should be able to serialize to DOT, Mermaid and JSON:`, (assert) => {
+        const dtg = new DTG();
+
+        dtg.addVertices([ `b`, `a`, `c`, `"d"` ]);
+        dtg.createDaisyChainEdges([ `b`, `a`, `c` ]);
+        dtg.createEdge(`b`, `c`);
+        dtg.createDaisyChainEdges([ `c`, `"d"`, `c` ]);
+        assert.equal(dtg.toDOT({
+            path: [ `b`, `a`, `c` ]
+        }), [
+            `digraph "DTG" {`,
+            `    rankdir=LR;`,
+            `    "b" [style=filled, fillcolor=lightblue];`,
+            `    "a" [style=filled, fillcolor=lightblue];`,
+            `    "c" [style=filled, fillcolor=lightblue];`,
+            `    "\\"d\\"";`,
+            `    "b" -> "a" [color=blue, penwidth=2];`,
+            `    "b" -> "c" [style=dashed, color=gray];`,
+            `    "a" -> "c" [color=blue, penwidth=2];`,
+            `    "c" -> "\\"d\\"" [color=red];`,
+            `    "\\"d\\"" -> "c" [color=red];`,
+            `}\n`
+        ].join(`\n`));
+        assert.equal(dtg.toMermaid({
+            path: [ `b`, `a`, `c` ]
+        }), [
+            `graph LR`,
+            `    v0["b"]`,
+            `    v1["a"]`,
+            `    v2["c"]`,
+            `    v3["#quot;d#quot;"]`,
+            `    v0 ==> v1`,
+            `    v0 -.-> v2`,
+            `    v1 ==> v2`,
+            `    v2 --> v3`,
+            `    v3 --> v2`,
+            `    linkStyle 3,4 stroke:red`,
+            `    classDef path fill:lightblue`,
+            `    class v0,v1,v2 path`,
+            ``
+        ].join(`\n`));
+        assert.same(dtg.toJSON({
+            path: [ `b`, `a`, `c` ]
+        }), {
+            nodes: [{
+                vertexStart: `b`,
+                vertexEnds: [ `a`, `c` ]
+            }, {
+                vertexStart: `a`,
+                vertexEnds: [ `c` ]
+            }, {
+                vertexStart: `c`,
+                vertexEnds: [ `"d"` ]
+            }, {
+                vertexStart: `"d"`,
+                vertexEnds: [ `c` ]
+            }],
+            path: [ `b`, `a`, `c` ],
+            redundantEdges: [[ `b`, `c` ]],
+            loopEdges: [[ `c`, `"d"` ], [ `"d"`, `c` ]]
+        });
+        assert.end();
+    });
+    test(`\tRunning unit test for directed graph tree - should be able to load DTG from JSON:`, (assert) => {
+        const dtg = new DTG();
+
+        dtg.addVertices([ `1`, `0`, `x` ]);
+        dtg.createDaisyChainEdges([ `1`, `0`, `x` ]);
+
+        const json = JSON.stringify(dtg);
+        const loadedDTG = DTG.fromJSON(json);
+        let messages = [];
+
+        assert.same(loadedDTG.topologicalSort(), [ `1`, `0`, `x` ]);
+        assert.same([
+            loadedDTG.hasEdge(`1`, `0`),
+            loadedDTG.hasEdge(`0`, `x`),
+            loadedDTG.hasEdge(`1`, `x`)
+        ], [ true, true, false ]);
+        assert.equal(JSON.stringify(loadedDTG), json);
+        assert.same(DTG.fromJSON(dtg.toJSON()).toJSON(), dtg.toJSON());
+        assert.equal(DTG.fromJSON(`{ "nodes": [ 1 ] }`, {
+            logger: (level, message, error) => messages.push([ level, message, error.source ])
+        }).topologicalSort().length, 0);
+        assert.same(messages, [[ `warn`, `WARN: DTG.fromJSON - Input JSON is not a DTG adjacency list or invalid.`, `DTG.fromJSON` ]]);
+        assert.end();
+    });
+    test(`\tRunning unit test for directed graph tree - should be able to keep the provenance of edges:`, (assert) => {
+        const dtg = new DTG();
+
+        dtg.addVertices([ `a`, `b`, `c` ]);
+        dtg.createEdge(`a`, `b`, [ 0, 1 ]);
+        dtg.createEdge(`a`, `b`, [ 3, 4 ]);
+        dtg.createEdge(`a`, `b`);
+        dtg.createEdge(`b`, `c`, [ 1, 2 ]);
+        assert.same(dtg.getEdge(`a`, `b`), {
+            vertexStart: `a`,
+            vertexEnd: `b`,
+            wordPairs: [[ 0, 1 ], [ 3, 4 ]],
+            support: 3
+        });
+        assert.equal(dtg.getEdge(`b`, `a`), null);
+        assert.same(dtg.getLongestPath(), [ `a`, `b`, `c` ]);
+        assert.same(dtg.explainOrder(`a`, `c`).map((edge) => edge.wordPairs), [[[ 0, 1 ], [ 3, 4 ]], [[ 1, 2 ]]]);
+        assert.same(dtg.explainOrder(`c`, `a`), []);
+        assert.end();
+    });
+    test(`\tRunning unit test for directed graph tree - should be able to get the transitive closure and reduction:`, (assert) => {
+        const dtg = new DTG();
+
+        dtg.addVertices([ `b`, `a`, `d`, `c` ]);
+        dtg.createEdge(`b`, `a`, [ 0, 1 ]);
+        dtg.createEdge(`a`, `c`, [ 1, 2 ]);
+        dtg.createEdge(`a`, `d`, [ 2, 3 ]);
+        dtg.createEdge(`d`, `c`, [ 3, 4 ]);
+
+        const closureDTG = dtg.getTransitiveClosure();
+        const reductionDTG = dtg.getTransitiveReduction();
+
+        assert.same(closureDTG.toJSON().nodes, [{
+            vertexStart: `b`,
+            vertexEnds: [ `a`, `c`, `d` ]
+        }, {
+            vertexStart: `a`,
+            vertexEnds: [ `c`, `d` ]
+        }, {
+            vertexStart: `d`,
+            vertexEnds: [ `c` ]
+        }, {
+            vertexStart: `c`,
+            vertexEnds: []
+        }]);
+        assert.same(closureDTG.getEdge(`b`, `c`).wordPairs, []);
+        assert.same(closureDTG.getEdge(`a`, `d`).wordPairs, [[ 2, 3 ]]);
+        assert.same(reductionDTG.toJSON().nodes.map((node) => node.vertexEnds), [[ `a` ], [ `d` ], [ `c` ], []]);
+        assert.same(reductionDTG.getEdge(`d`, `c`).wordPairs, [[ 3, 4 ]]);
+        assert.same(reductionDTG.getTransitiveClosure().toJSON().nodes.map((node) => node.vertexEnds.sort()), [[ `a`, `c`, `d` ], [ `c`, `d` ], [ `c` ], []]);
+        assert.end();
+    });
+    test(`\tRunning unit test for directed graph tree - should be able to get the minimum feedback edges:`, (assert) => {
+        const dtg = new DTG();
+        const weights = {
+            'a→b': 3,
+            'b→c': 3,
+            'c→a': 1,
+            'c→d': 1,
+            'd→c': 2
+        };
+        const getWeight = (vertexStart, vertexEnd) => weights[`${vertexStart}→${vertexEnd}`] || 1;
+
+        dtg.addVertices([ `a`, `b`, `c`, `d`, `e` ]);
+        dtg.createDaisyChainEdges([ `a`, `b`, `c`, `a` ]);
+        dtg.createDaisyChainEdges([ `c`, `d`, `c`, `e` ]);
+        assert.same(dtg.getMinimumFeedbackEdges(getWeight), [[ `c`, `a` ], [ `c`, `d` ]]);
+        assert.same(dtg.getMinimumFeedbackEdges(getWeight, 0).length, 2);
+        dtg.createEdge(`d`, `a`);
+        assert.same(dtg.getMinimumFeedbackEdges(getWeight), [[ `c`, `a` ], [ `c`, `d` ]]);
+        assert.same(dtg.getMinimumFeedbackEdges(() => 1).length, 2);
+        assert.end();
+    });
+    test(`\tRunning unit test for directed graph tree - should be able to get the incomparable pairs and rank bounds:`, (assert) => {
+        const dtg = new DTG();
+
+        dtg.addVertices([ `b`, `a`, `d`, `c` ]);
+        dtg.createDaisyChainEdges([ `b`, `a`, `d` ]);
+        dtg.createEdge(`a`, `c`);
+        assert.same(dtg.getIncomparablePairs(), [[ `d`, `c` ]]);
+        assert.same(dtg.getRankBounds(), [{
+            vertex: `b`,
+            earliest: 0,
+            latest: 0
+        }, {
+            vertex: `a`,
+            earliest: 1,
+            latest: 1
+        }, {
+            vertex: `d`,
+            earliest: 2,
+            latest: 3
+        }, {
+            vertex: `c`,
+            earliest: 2,
+            latest: 3
+        }]);
+        dtg.createEdge(`c`, `d`);
+        assert.same(dtg.getIncomparablePairs(), []);
+        assert.end();
+    });
+    test(`\tRunning unit test for directed graph tree - should be able to get the unordered vertices in linear time:`, (assert) => {
+        const dtg = new DTG();
+        const random = createRandom(9);
+
+        dtg.addVertices([ `b`, `a`, `d`, `c` ]);
+        dtg.createDaisyChainEdges([ `b`, `a`, `d` ]);
+        dtg.createEdge(`a`, `c`);
+        assert.same(dtg.getUnorderedVertices(), [ `d`, `c` ]);
+
+        // a vertex without edges leaves every other vertex unordered
+        dtg.addVertices([ `e` ]);
+        assert.same(dtg.getUnorderedVertices(), [ `b`, `a`, `d`, `c`, `e` ]);
+        dtg.createEdge(`c`, `d`);
+        dtg.createEdge(`d`, `e`);
+        assert.same(dtg.getUnorderedVertices(), []);
+
+        // the same vertices as the incomparable pairs of random graphs
+        for (let run = 0; run < 50; run += 1) {
+            const randomDTG = new DTG();
+            const vertices = [ ...Array(1 + Math.floor(random() * 7)).keys() ].map((index) => `v${index}`);
+
+            randomDTG.addVertices(vertices);
+            vertices.forEach((vertexA, indexA) => vertices.slice(indexA + 1).forEach((vertexB) => {
+                if (random() < 0.4) {
+                    randomDTG.createEdge(vertexA, vertexB);
+                }
+            }));
+            assert.same(randomDTG.getUnorderedVertices().sort(), [ ...new Set(randomDTG.getIncomparablePairs().flat()) ].sort());
+        }
+        assert.end();
+    });
+    test(`\tRunning unit test for directed graph tree - should be able to throw typed errors in strict mode:`, (assert) => {
+        const dtg = new DTG({
+            strict: true
+        });
+
+        dtg.addVertices([ `a`, `b` ]);
+        dtg.createEdge(`a`, `b`, [ 0, 1 ]);
+        assert.throws(() => dtg.addVertices([ `a` ]), InvalidInputError);
+        assert.throws(() => dtg.addVertices([ 1 ]), InvalidInputError);
+        assert.throws(() => dtg.createEdge(`a`, `c`), /Ending vertex c is not found/);
+        assert.throws(() => dtg.createEdge(`a`, `a`), InconsistentOrderError);
+        try {
+            dtg.createEdge(`a`, `b`, [ 2, 3 ]);
+            assert.fail(`should have thrown`);
+        } catch (error) {
+            assert.ok(error instanceof DuplicateEdgeError);
+            assert.same([ error.code, error.source, error.vertexStart, error.vertexEnd, error.wordPair ], [
+                `DUPLICATE_EDGE`, `DTG.createEdge`, `a`, `b`, [ 2, 3 ]
+            ]);
+        }
+        assert.equal(dtg.getEdge(`a`, `b`).support, 1);
+        assert.throws(() => DTG.fromJSON(`{`, {
+            strict: true
+        }), InvalidInputError);
+        assert.throws(() => dtg.getTransitiveClosure().createEdge(`a`, `b`), DuplicateEdgeError);
+        assert.end();
+    });
+    test(`\tRunning unit test for directed graph tree - should be able to route warnings to the logger option:`, (assert) => {
+        let messages = [];
+        const dtg = new DTG({
+            logger: (level, message, error) => messages.push([ level, message, error.source ])
+        });
+
+        dtg.addVertices([ `a`, `b` ]);
+        dtg.addVertices([ `a` ]);
+        dtg.createEdge(`a`, `c`);
+        dtg.createEdge(`a`, `b`);
+        dtg.createEdge(`a`, `b`);
+        assert.same(messages, [
+            [ `warn`, `WARN: DTG.addVertices - Vertex a is already added.`, `DTG.addVertices` ],
+            [ `error`, `ERROR: DTG.createEdge - Ending vertex c is not found.`, `DTG.createEdge` ]
+        ]);
+        assert.equal(dtg.getEdge(`a`, `b`).support, 2);
+        messages = [];
+        new DTG({
+            logger: null
+        }).addVertices([]);
+        assert.same(messages, []);
+        assert.end();
+    });
+    test(`\tRunning unit test for directed graph tree - should be able to query degrees, predecessors and successors:`, (assert) => {
+        const dtg = new DTG();
+
+        dtg.addVertices([ `b`, `a`, `d`, `c` ]);
+        dtg.createDaisyChainEdges([ `b`, `a`, `d`, `c` ]);
+        dtg.createEdge(`a`, `c`, [ 1, 2 ]);
+        assert.same([ dtg.getPredecessors(`c`), dtg.getSuccessors(`a`), dtg.getPredecessors(`b`), dtg.getSuccessors(`x`) ], [
+            [ `d`, `a` ], [ `d`, `c` ], [], []
+        ]);
+        assert.same([ `b`, `a`, `d`, `c`, `x` ].map((vertex) => [ dtg.inDegree(vertex), dtg.outDegree(vertex) ]), [
+            [ 0, 1 ], [ 1, 2 ], [ 1, 1 ], [ 2, 0 ], [ 0, 0 ]
+        ]);
+        assert.same(dtg.getEdges().map((edge) => [ edge.vertexStart, edge.vertexEnd, edge.support ]), [
+            [ `b`, `a`, 1 ], [ `a`, `d`, 1 ], [ `a`, `c`, 1 ], [ `d`, `c`, 1 ]
+        ]);
+        assert.same(dtg.getEdges()[2].wordPairs, [[ 1, 2 ]]);
+        assert.end();
+    });
+    test(`\tRunning unit test for directed graph tree - should be able to remove edges and vertices:`, (assert) => {
+        const dtg = new DTG();
+
+        dtg.addVertices([ `b`, `a`, `d`, `c` ]);
+        dtg.createDaisyChainEdges([ `b`, `a`, `d`, `c` ]);
+        dtg.createEdge(`c`, `a`);
+        assert.same([ dtg.getLoopCount(), dtg.isAcyclic() ], [ 1, false ]);
+        dtg.removeEdge(`c`, `a`);
+        assert.same([ dtg.getLoopCount(), dtg.isAcyclic(), dtg.hasEdge(`c`, `a`), dtg.getEdge(`c`, `a`) ], [ 0, true, false, null ]);
+        dtg.removeEdge(`b`, `a`);
+        assert.same([ dtg.isRootVertex(`a`), dtg.isRootVertex(`b`), dtg.isFullyConnected() ], [ true, true, false ]);
+        assert.same(dtg.getLongestPath(), [ `a`, `d`, `c` ]);
+        dtg.removeVertex(`d`);
+        assert.same([ dtg.hasVertex(`d`), dtg.getSuccessors(`a`), dtg.getPredecessors(`c`), dtg.isRootVertex(`c`) ], [ false, [], [], true ]);
+        assert.same(dtg.getEdges(), []);
+        assert.throws(() => new DTG({
+            strict: true
+        }).removeEdge(`a`, `b`), /Edge from vertex a to vertex b is not found/);
+        assert.end();
+    });
+    test(`\tRunning unit test for directed graph tree - should be able to clone and get subgraphs:`, (assert) => {
+        const dtg = new DTG();
+
+        dtg.addVertices([ `b`, `a`, `d`, `c` ]);
+        dtg.createEdge(`b`, `a`, [ 0, 1 ]);
+        dtg.createEdge(`a`, `d`, [ 2, 3 ]);
+        dtg.createEdge(`a`, `c`, [ 1, 2 ]);
+        dtg.createEdge(`d`, `c`, [ 3, 4 ]);
+
+        const cloneDTG = dtg.clone();
+
+        assert.same(cloneDTG.toJSON(), dtg.toJSON());
+        assert.same(cloneDTG.getEdges(), dtg.getEdges());
+        cloneDTG.removeEdge(`d`, `c`);
+        cloneDTG.createEdge(`c`, `d`, [ 5, 6 ]);
+        assert.same(dtg.getLongestPath(), [ `b`, `a`, `d`, `c` ]);
+        assert.same(cloneDTG.getLongestPath(), [ `b`, `a`, `c`, `d` ]);
+
+        const subgraphDTG = dtg.subgraph([ `c`, `a`, `d`, `x` ]);
+
+        assert.same(subgraphDTG.topologicalSort(), [ `a`, `d`, `c` ]);
+        assert.same(subgraphDTG.getEdges().map((edge) => edge.wordPairs), [[[ 2, 3 ]], [[ 1, 2 ]], [[ 3, 4 ]]]);
+        assert.same(dtg.subgraph([]).getEdges(), []);
+        assert.end();
+    });
+    test(`\tRunning unit test for directed graph tree - should be able to get the strongly connected components and the condensation:`, (assert) => {
+        const dtg = new DTG();
+
+        dtg.addVertices([ `b`, `a`, `d`, `c`, `e`, `f` ]);
+        dtg.createDaisyChainEdges([ `b`, `a`, `d`, `c`, `a` ]);
+        dtg.createEdge(`d`, `e`, [ 4, 5 ]);
+        dtg.createEdge(`c`, `e`, [ 5, 6 ]);
+        dtg.createDaisyChainEdges([ `e`, `f`, `e` ]);
+        assert.same(dtg.getStronglyConnectedComponents(), [[ `b` ], [ `a`, `d`, `c` ], [ `e`, `f` ]]);
+
+        const condensation = dtg.getCondensation();
+
+        assert.same(condensation.components, [[ `b` ], [ `a`, `d`, `c` ], [ `e`, `f` ]]);
+        assert.same([ condensation.dtg.isAcyclic(), condensation.dtg.getLongestPath() ], [ true, [ `0`, `1`, `2` ]]);
+        assert.same(condensation.dtg.getEdge(`1`, `2`), {
+            vertexStart: `1`,
+            vertexEnd: `2`,
+            wordPairs: [[ 4, 5 ], [ 5, 6 ]],
+            support: 2
+        });
+        dtg.removeEdge(`c`, `a`);
+        assert.same(dtg.getStronglyConnectedComponents(), [[ `b` ], [ `a` ], [ `d` ], [ `c` ], [ `e`, `f` ]]);
+        assert.same(new DTG().getCondensation().components, []);
+        assert.end();
+    });
+    test(`\tRunning unit test for directed graph tree - should be able to get the rank distribution of the topological orders:`, (assert) => {
+        const dtg = new DTG();
+        const vertices = [ `a`, `b`, `c`, `d`, `e`, `f`, `g` ];
+
+        // a seeded generator keeps the sampled fractions the same on every run
+        const random = createRandom(5);
+
+        dtg.addVertices(vertices);
+        [[ `a`, `b` ], [ `a`, `c` ], [ `c`, `d` ], [ `e`, `d` ], [ `b`, `f` ], [ `d`, `g` ]].forEach(([ vertexStart, vertexEnd ]) => {
+            dtg.createEdge(vertexStart, vertexEnd);
+        });
+
+        const orders = [ ...dtg.enumerateTopologicalSorts() ];
+        const distribution = dtg.getRankDistribution();
+        const sampledDistribution = dtg.getRankDistribution({
+            exactLimit: 0,
+            sampleCount: 2000,
+            random
+        });
+
+        assert.same([ distribution.exact, distribution.orderCount ], [ true, orders.length ]);
+        assert.same([ sampledDistribution.exact, sampledDistribution.orderCount ], [ false, 2000 ]);
+        assert.same(distribution.ranks.map((rank) => [ rank.vertex, rank.earliest, rank.latest ]), dtg.getRankBounds().map((rankBound) => {
+            return [ rankBound.vertex, rankBound.earliest, rankBound.latest ];
+        }));
+        vertices.forEach((vertex, index) => {
+            vertices.forEach((otherVertex, rank) => {
+                const fraction = orders.filter((order) => order[rank] === vertex).length / orders.length;
+                const probability = index === rank ? 0 : orders.filter((order) => order.indexOf(vertex) < order.indexOf(otherVertex)).length / orders.length;
+
+                assert.ok(Math.abs(distribution.ranks[index].fractions[rank] - fraction) < 1e-9);
+                assert.ok(Math.abs(distribution.pairProbabilities[index][rank] - probability) < 1e-9);
+                assert.ok(Math.abs(sampledDistribution.ranks[index].fractions[rank] - fraction) < 0.1);
+                assert.ok(Math.abs(sampledDistribution.pairProbabilities[index][rank] - probability) < 0.1);
+            });
+        });
+
+        dtg.createEdge(`g`, `a`);
+        assert.same(dtg.getRankDistribution(), {
+            exact: true,
+            orderCount: 0,
+            ranks: [],
+            pairProbabilities: []
+        });
+        assert.end();
+    });
+    test(`\tRunning unit test for directed graph tree - should be able to sample a rank distribution close to the exact one:`, (assert) => {
+        const dtg = new DTG();
+        const vertices = [ `a`, `b`, `c`, `d`, `e`, `f` ];
+
+        dtg.addVertices(vertices);
+        [[ `a`, `c` ], [ `b`, `c` ], [ `c`, `e` ], [ `d`, `e` ]].forEach(([ vertexStart, vertexEnd ]) => dtg.createEdge(vertexStart, vertexEnd));
+
+        const distribution = dtg.getRankDistribution();
+        const sampledDistribution = dtg.getRankDistribution({
+            exactLimit: 0,
+            sampleCount: 20000,
+            random: createRandom(17)
+        });
+
+        assert.same([ sampledDistribution.exact, sampledDistribution.orderCount ], [ false, 20000 ]);
+        sampledDistribution.ranks.forEach((rank, index) => {
+            assert.ok(Math.abs(rank.fractions.reduce((sum, fraction) => sum + fraction, 0) - 1) < 1e-9);
+            rank.fractions.forEach((fraction, position) => {
+                assert.ok(Math.abs(fraction - distribution.ranks[index].fractions[position]) < 0.03);
+            });
+            sampledDistribution.pairProbabilities[index].forEach((probability, otherIndex) => {
+                assert.ok(Math.abs(probability - distribution.pairProbabilities[index][otherIndex]) < 0.03);
+                if (index !== otherIndex) {
+                    assert.ok(Math.abs(probability + sampledDistribution.pairProbabilities[otherIndex][index] - 1) < 1e-9);
+                }
+            });
+        });
+
+        // an edge fixes the order of its pair in every sample
+        assert.same([ sampledDistribution.pairProbabilities[0][2], sampledDistribution.pairProbabilities[4][2] ], [ 1, 0 ]);
+        assert.end();
+    });
 }
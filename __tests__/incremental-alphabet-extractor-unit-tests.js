@@ -0,0 +1,112 @@
+/**
+ *
+ * Unit tests for incremental-alphabet-extractor using tape.
+ *
+ */
+'use strict'; // eslint-disable-line
+
+import test from 'tape';
+
+import { Readable } from 'stream';
+
+import AlphabetExtractor, { EXTRACTOR_EVENT } from '../src/incremental-alphabet-extractor';
+
+import { EXTRACTION_STATUS, DIAGNOSTIC_CODE } from '../src/diagnostic';
+
+import {
+    InvalidInputError,
+    InconsistentOrderError,
+    extractAlphabet
+} from '../src/alphabet-extractor';
+
+export function runTests () {
+    test(`\tRunning unit test for AlphabetExtractor - should be able to extract an alphabet from batches of words:`, (assert) => {
+        const extractor = new AlphabetExtractor();
+        let determinedAlphabets = [];
+
+        assert.equal(extractor.getStatus(), EXTRACTION_STATUS.INVALID_INPUT);
+        extractor.on(EXTRACTOR_EVENT.DETERMINED, (alphabet) => determinedAlphabets.push(alphabet));
+        extractor.addWords([ `bca`, `aaa` ]);
+        assert.equal(extractor.getStatus(), EXTRACTION_STATUS.AMBIGUOUS);
+        extractor.addWords([ `acb`, `ddb` ]);
+        assert.equal(extractor.getStatus(), EXTRACTION_STATUS.AMBIGUOUS);
+        assert.same(determinedAlphabets, []);
+        extractor.addWord(`dca`);
+        assert.equal(extractor.getStatus(), EXTRACTION_STATUS.COMPLETE);
+        assert.same(extractor.getAlphabet(), [ `b`, `a`, `d`, `c` ]);
+        assert.same(determinedAlphabets, [[ `b`, `a`, `d`, `c` ]]);
+        assert.same(extractor.getEdges(), extractAlphabet([ `bca`, `aaa`, `acb`, `ddb`, `dca` ]).edges);
+        assert.end();
+    });
+    test(`\tRunning unit test for AlphabetExtractor - should be able to emit contradictions as they appear:`, (assert) => {
+        const extractor = new AlphabetExtractor();
+        let contradictions = [];
+
+        extractor.on(EXTRACTOR_EVENT.CONTRADICTION, (contradiction) => contradictions.push(contradiction));
+        extractor.addWords([ `bca`, `aca`, `aab`, `ddb` ]);
+        assert.same(contradictions, []);
+        extractor.addWords([ `dca`, `dc` ]);
+        assert.equal(extractor.getStatus(), EXTRACTION_STATUS.INCONSISTENT);
+        assert.same(contradictions.map((contradiction) => contradiction.code), [
+            DIAGNOSTIC_CODE.LOOP_DETECTED,
+            DIAGNOSTIC_CODE.PREFIX_VIOLATION
+        ]);
+        assert.same(contradictions[0].chars, [ `d`, `c`, `a`, `d` ]);
+        assert.same(contradictions[0].wordPair, {
+            indices: [ 3, 4 ],
+            words: [ `ddb`, `dca` ]
+        });
+        assert.same(contradictions[1].wordPair.words, [ `dca`, `dc` ]);
+        assert.end();
+    });
+    test(`\tRunning unit test for AlphabetExtractor - should be able to throw contradictions in strict mode and ignore empty batches:`, (assert) => {
+        const extractor = new AlphabetExtractor({
+            strict: true
+        });
+
+        extractor.addWords([]);
+        assert.equal(extractor.getStatus(), EXTRACTION_STATUS.INVALID_INPUT);
+        extractor.addWords([ `bca`, `aca`, `aab`, `ddb` ]);
+        try {
+            extractor.addWords([ `dca` ]);
+            assert.fail(`should have thrown`);
+        } catch (error) {
+            assert.ok(error instanceof InconsistentOrderError);
+            assert.same([ error.code, error.source, error.chars, error.wordPair.indices ], [
+                DIAGNOSTIC_CODE.LOOP_DETECTED, `AlphabetExtractor.addWords`, [ `d`, `c`, `a`, `d` ], [ 3, 4 ]
+            ]);
+        }
+        assert.equal(extractor.getStatus(), EXTRACTION_STATUS.INCONSISTENT);
+        assert.throws(() => extractor.addWord(`dc`), (error) => {
+            return error instanceof InconsistentOrderError && error.code === DIAGNOSTIC_CODE.PREFIX_VIOLATION && error.source === `AlphabetExtractor.addWord`;
+        });
+        assert.throws(() => extractAlphabet([ `bca`, `aca`, `aab`, `ddb`, `dca` ], {
+            strict: true
+        }), InconsistentOrderError);
+        assert.throws(() => extractor.addWords([ `a`, 1 ]), InvalidInputError);
+        assert.end();
+    });
+    test(`\tRunning unit test for AlphabetExtractor - should be able to read words from a stream or an async iterable:`, (assert) => {
+        const textStream = Readable.from([ Buffer.from(`bca\naa`), Buffer.from(`a\r\nacb\n\nddb\n`), Buffer.from(`dca`) ], {
+            objectMode: false
+        });
+        const wordSource = (async function *() {
+            yield `bca`;
+            yield [ `aaa`, `acb` ];
+            yield `ddb`;
+            yield `dca`;
+        })();
+        const textExtractor = new AlphabetExtractor();
+        const wordExtractor = new AlphabetExtractor();
+
+        Promise.all([
+            textExtractor.addWordsFrom(textStream),
+            wordExtractor.addWordsFrom(wordSource)
+        ]).then((statuses) => {
+            assert.same(statuses, [ EXTRACTION_STATUS.COMPLETE, EXTRACTION_STATUS.COMPLETE ]);
+            assert.same(textExtractor.getAlphabet(), [ `b`, `a`, `d`, `c` ]);
+            assert.same(wordExtractor.getAlphabet(), [ `b`, `a`, `d`, `c` ]);
+            assert.end();
+        });
+    });
+}
@@ -0,0 +1,59 @@
+/**
+ *
+ * Unit tests for logger using tape.
+ *
+ */
+'use strict'; // eslint-disable-line
+
+import test from 'tape';
+
+import {
+    LOG_LEVEL,
+    setLogger,
+    getLogger,
+    log,
+    report
+} from '../src/logger';
+
+import { InvalidInputError } from '../src/errors';
+
+export function runTests () {
+    test(`\tRunning unit test for logger - should be able to log with a logger option or the default logger:`, (assert) => {
+        let messages = [];
+        const logger = {
+            warn: (message) => messages.push([ LOG_LEVEL.WARN, message ]),
+            error: (message) => messages.push([ LOG_LEVEL.ERROR, message ])
+        };
+
+        log(logger, LOG_LEVEL.WARN, `a`);
+        log((level, message) => messages.push([ level, message ]), LOG_LEVEL.ERROR, `b`);
+        log(null, LOG_LEVEL.WARN, `c`);
+        assert.same(messages, [[ `warn`, `a` ], [ `error`, `b` ]]);
+        assert.equal(getLogger(), console);
+        setLogger(logger);
+        log(undefined, LOG_LEVEL.ERROR, `d`);
+        setLogger(`not a logger`);
+        assert.equal(getLogger(), logger);
+        setLogger(console);
+        assert.same(messages.slice(2), [[ `error`, `d` ], [ `warn`, `WARN: setLogger - Input logger is not a function, an object with warn and error methods or null.` ]]);
+        assert.end();
+    });
+    test(`\tRunning unit test for logger - should be able to report an error as a warning or throw it in strict mode:`, (assert) => {
+        const error = new InvalidInputError(`Input words are not strings or invalid.`, {
+            source: `getUniqueCharSet`
+        });
+        let messages = [];
+
+        report(error, {
+            logger: (level, message, _error) => messages.push([ level, message, _error ])
+        });
+        assert.same(messages, [[ `warn`, `WARN: getUniqueCharSet - Input words are not strings or invalid.`, error ]]);
+        assert.throws(() => report(error, {
+            strict: true
+        }), InvalidInputError);
+        assert.same([ error.name, error.code, error.source, error.chars, error.diagnostics ], [
+            `InvalidInputError`, `INVALID_INPUT`, `getUniqueCharSet`, [], []
+        ]);
+        assert.end();
+    });
+}
@@ -26,8 +26,28 @@ require('@babel/register')({
 });
 
 /* load test suites */
+const loggerUnitTests = require('./logger-unit-tests'); // eslint-disable-line
 const directedGraphTreeUnitTests = require('./directed-graph-tree-unit-tests'); // eslint-disable-line
+const tokenizerUnitTests = require('./tokenizer-unit-tests'); // eslint-disable-line
 const alphabetExtractorUnitTests = require('./alphabet-extractor-unit-tests'); // eslint-disable-line
+const incrementalAlphabetExtractorUnitTests = require('./incremental-alphabet-extractor-unit-tests'); // eslint-disable-line
+const cliUnitTests = require('./cli-unit-tests'); // eslint-disable-line
+const collatorUnitTests = require('./collator-unit-tests'); // eslint-disable-line
+const collationRulesUnitTests = require('./collation-rules-unit-tests'); // eslint-disable-line
+const wordListGeneratorUnitTests = require('./word-list-generator-unit-tests'); // eslint-disable-line
+const constraintExtractorUnitTests = require('./constraint-extractor-unit-tests'); // eslint-disable-line
+const workerUnitTests = require('./worker-unit-tests'); // eslint-disable-line
+const serverUnitTests = require('./server-unit-tests'); // eslint-disable-line
 
+loggerUnitTests.runTests();
 directedGraphTreeUnitTests.runTests();
+tokenizerUnitTests.runTests();
 alphabetExtractorUnitTests.runTests();
+incrementalAlphabetExtractorUnitTests.runTests();
+cliUnitTests.runTests();
+collatorUnitTests.runTests();
+collationRulesUnitTests.runTests();
+wordListGeneratorUnitTests.runTests();
+constraintExtractorUnitTests.runTests();
+workerUnitTests.runTests();
+serverUnitTests.runTests();
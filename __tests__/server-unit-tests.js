@@ -0,0 +1,223 @@
+/**
+ *
+ * Unit tests for server using tape.
+ *
+ */
+'use strict'; // eslint-disable-line
+
+import test from 'tape';
+
+import http from 'http';
+
+import os from 'os';
+
+import {
+    pickRequestOption,
+    runEndpoint,
+    createServer
+} from '../src/server';
+
+import {
+    EXTRACTION_STATUS,
+    DIAGNOSTIC_CODE
+} from '../src/alphabet-extractor';
+
+const request = (server, endpoint, text, method = `POST`) => new Promise((resolve, reject) => {
+    const req = http.request({
+        host: `127.0.0.1`,
+        port: server.address().port,
+        path: endpoint,
+        method
+    }, (res) => {
+        let body = ``;
+
+        res.setEncoding(`utf8`);
+        res.on(`data`, (chunk) => {
+            body += chunk;
+        });
+        res.on(`end`, () => resolve({
+            statusCode: res.statusCode,
+            contentType: res.headers[`content-type`],
+            body
+        }));
+    });
+
+    req.on(`error`, reject);
+    req.end(text);
+});
+
+const listen = (option) => new Promise((resolve) => {
+    const server = createServer(option);
+
+    server.listen(0, `127.0.0.1`, () => resolve(server));
+});
+
+export function runTests () {
+    test(`\tRunning unit test for runEndpoint - should be able to extract, validate and export the graph of a word list:`, (assert) => {
+        const words = [ `bca`, `aaa`, `acb`, `ddb`, `dca` ];
+        const extractResponse = runEndpoint(`/extract`, {
+            words
+        });
+        const validateResponse = runEndpoint(`/validate`, {
+            words: [ `bca`, `dca`, `aaa` ],
+            alphabet: `badc`
+        });
+        const dotResponse = runEndpoint(`/graph`, {
+            words,
+            format: `dot`
+        });
+
+        assert.equal(extractResponse.statusCode, 200);
+        assert.same(JSON.parse(extractResponse.text).alphabet, [ `b`, `a`, `d`, `c` ]);
+        assert.equal(JSON.parse(extractResponse.text).status, EXTRACTION_STATUS.COMPLETE);
+        assert.same(JSON.parse(validateResponse.text).diagnostics.map((diagnostic) => diagnostic.code), [ DIAGNOSTIC_CODE.UNSORTED_WORD_PAIR ]);
+        assert.equal(JSON.parse(runEndpoint(`/graph`, {
+            words
+        }).text).nodes.length, 4);
+        assert.equal(dotResponse.contentType, `text/vnd.graphviz`);
+        assert.ok(dotResponse.text.startsWith(`digraph`));
+        assert.equal(runEndpoint(`/graph`, {
+            words,
+            format: `svg`
+        }).statusCode, 400);
+        assert.equal(runEndpoint(`/extract`, {
+            words: [ `a`, 1 ]
+        }).statusCode, 400);
+        assert.equal(JSON.parse(runEndpoint(`/extract`, {
+            words: [ `cba`, `cab` ],
+            option: {
+                strict: true
+            }
+        }).text).status, EXTRACTION_STATUS.AMBIGUOUS);
+        assert.end();
+    });
+    test(`\tRunning unit test for pickRequestOption - should be able to keep only the allowed request options and clamp exactLimit:`, (assert) => {
+        assert.same(pickRequestOption({
+            words: [],
+            option: {
+                mode: `grapheme`,
+                graphemes: [ `ch` ],
+                robust: true,
+                exactLimit: 24,
+                sampleCount: 1e9,
+                logger: `console`
+            }
+        }), {
+            mode: `grapheme`,
+            graphemes: [ `ch` ],
+            robust: true,
+            exactLimit: 16
+        });
+        assert.same(pickRequestOption({
+            option: {
+                exactLimit: -3.5,
+                unknownChar: `last`
+            }
+        }), {
+            exactLimit: 0,
+            unknownChar: `last`
+        });
+        assert.same(pickRequestOption({
+            option: {
+                exactLimit: `24`
+            }
+        }), {});
+        assert.same(pickRequestOption(null), {});
+        assert.end();
+    });
+    test(`\tRunning unit test for createServer - should be able to serve the endpoints over HTTP:`, (assert) => {
+        listen({
+            timeout: 0
+        }).then(async (server) => {
+            const extractResponse = await request(server, `/extract`, JSON.stringify({
+                words: [ `bca`, `aaa`, `acb`, `ddb`, `dca` ]
+            }));
+            const graphResponse = await request(server, `/graph`, JSON.stringify({
+                words: [ `ba`, `bc` ],
+                format: `dot`
+            }));
+
+            assert.equal(extractResponse.statusCode, 200);
+            assert.equal(extractResponse.contentType, `application/json; charset=utf-8`);
+            assert.same(JSON.parse(extractResponse.body).alphabet, [ `b`, `a`, `d`, `c` ]);
+            assert.equal(graphResponse.contentType, `text/vnd.graphviz; charset=utf-8`);
+            assert.ok(graphResponse.body.includes(`"a" -> "c"`));
+            assert.same((await Promise.all([
+                request(server, `//a:b/extract`, `{}`),
+                request(server, `/extract`, `{words`),
+                request(server, `/unknown`, `{}`),
+                request(server, `/extract`, ``, `GET`)
+            ])).map(({
+                statusCode,
+                body
+            }) => [ statusCode, JSON.parse(body).status, JSON.parse(body).diagnostics[0].code ]), [
+                [ 400, EXTRACTION_STATUS.INVALID_INPUT, DIAGNOSTIC_CODE.INVALID_INPUT ],
+                [ 400, EXTRACTION_STATUS.INVALID_INPUT, DIAGNOSTIC_CODE.INVALID_INPUT ],
+                [ 404, EXTRACTION_STATUS.INVALID_INPUT, DIAGNOSTIC_CODE.INVALID_INPUT ],
+                [ 405, EXTRACTION_STATUS.INVALID_INPUT, DIAGNOSTIC_CODE.INVALID_INPUT ]
+            ]);
+            server.close(() => assert.end());
+        });
+    });
+    test(`\tRunning unit test for createServer - should be able to limit the request size and run time:`, (assert) => {
+        Promise.all([
+            listen({
+                maxBodySize: 64,
+                timeout: 0
+            }),
+            listen({
+                timeout: 1
+            })
+        ]).then(async ([ smallServer, fastServer ]) => {
+            const tooLargeResponse = await request(smallServer, `/extract`, JSON.stringify({
+                words: [ `a`.repeat(100) ]
+            }));
+            const timeoutResponse = await request(fastServer, `/extract`, JSON.stringify({
+                words: [ `ba`, `bc` ]
+            }));
+
+            assert.equal(tooLargeResponse.statusCode, 413);
+            assert.equal(JSON.parse(tooLargeResponse.body).diagnostics[0].code, DIAGNOSTIC_CODE.REQUEST_TOO_LARGE);
+            assert.equal(timeoutResponse.statusCode, 503);
+            assert.equal(JSON.parse(timeoutResponse.body).diagnostics[0].code, DIAGNOSTIC_CODE.TIMEOUT);
+            smallServer.close(() => fastServer.close(() => assert.end()));
+        });
+    });
+    test(`\tRunning unit test for createServer - should be able to reuse the worker threads across requests:`, (assert) => {
+        listen({
+            timeout: 10000,
+            workerCount: 1
+        }).then(async (server) => {
+            const responses = await Promise.all([ `bca`, `aaa`, `acb`, `ddb`, `dca` ].map((word, index, words) => request(server, `/extract`, JSON.stringify({
+                words: words.slice(0, index + 1)
+            }))));
+            const validateResponse = await request(server, `/validate`, JSON.stringify({
+                words: [ `bca`, `aaa` ],
+                alphabet: [ `b`, `a`, `d`, `c` ]
+            }));
+
+            assert.same(responses.map(({ statusCode }) => statusCode), [ 200, 200, 200, 200, 200 ]);
+            assert.same(JSON.parse(responses[4].body).alphabet, [ `b`, `a`, `d`, `c` ]);
+            assert.equal(JSON.parse(validateResponse.body).status, EXTRACTION_STATUS.COMPLETE);
+            server.close(() => assert.end());
+        });
+    });
+    test(`\tRunning unit test for createServer - should be able to serve from worker threads whatever the working directory is:`, (assert) => {
+        const cwd = process.cwd();
+
+        // the pooled workers load the sources through babel, which must not depend on where the server was started
+        process.chdir(os.tmpdir());
+        listen({
+            workerCount: 1
+        }).then(async (server) => {
+            const response = await request(server, `/extract`, JSON.stringify({
+                words: [ `bca`, `aaa`, `acb`, `ddb`, `dca` ]
+            }));
+
+            process.chdir(cwd);
+            assert.equal(response.statusCode, 200);
+            assert.same(JSON.parse(response.body).alphabet, [ `b`, `a`, `d`, `c` ]);
+            server.close(() => assert.end());
+        });
+    });
+}
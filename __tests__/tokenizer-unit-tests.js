@@ -0,0 +1,112 @@
+/**
+ *
+ * Unit tests for tokenizer using tape.
+ *
+ */
+'use strict'; // eslint-disable-line
+
+import test from 'tape';
+
+import {
+    TOKENIZER_MODE,
+    segmentGraphemes,
+    createTracingTokenizer,
+    createTokenizer
+} from '../src/tokenizer';
+
+export function runTests () {
+    test(`\tRunning unit test for createTokenizer - should be able to split words into code units and code points:`, (assert) => {
+        assert.same(createTokenizer()(`a😀`), [ `a`, `\uD83D`, `\uDE00` ]);
+        assert.same(createTokenizer({ mode: TOKENIZER_MODE.CODE_UNIT })(`abc`), [ `a`, `b`, `c` ]);
+        assert.same(createTokenizer({ mode: TOKENIZER_MODE.CODE_POINT })(`a😀`), [ `a`, `😀` ]);
+        assert.end();
+    });
+    test(`\tRunning unit test for createTokenizer - should be able to split words into grapheme clusters with and without Intl.Segmenter:`, (assert) => {
+        const word = `éa👍🏽👨‍👩‍👧🇫🇷`;
+        const graphemes = [ `é`, `a`, `👍🏽`, `👨‍👩‍👧`, `🇫🇷` ];
+
+        assert.same(createTokenizer({ mode: TOKENIZER_MODE.GRAPHEME })(word), graphemes);
+        assert.same(createTokenizer({ mode: TOKENIZER_MODE.GRAPHEME, useSegmenter: false })(word), graphemes);
+        assert.same(segmentGraphemes(`🇫🇷🇩🇪\r\n`), [ `🇫🇷`, `🇩🇪`, `\r\n` ]);
+        assert.end();
+    });
+    test(`\tRunning unit test for segmentGraphemes - should be able to keep Hangul syllables and Indic conjuncts whole like Intl.Segmenter:`, (assert) => {
+        const segmenter = new Intl.Segmenter(undefined, {
+            granularity: `grapheme`
+        });
+        const words = [ `한글`.normalize(`NFD`), `ᄀ각ᆨ각`, `ᄀᆨ`, `क्षण`, `स्त्री`, `हिन्दी`, `ক্ষমা`, `સ્ત્રી`, `କ୍ଷ`, `క్ష`, `ക്ഷ`, `க்ஷ` ];
+
+        assert.same(segmentGraphemes(`क्षण`), [ `क्ष`, `ण` ]);
+        assert.same(segmentGraphemes(`한글`.normalize(`NFD`)), [ `한`, `글` ]);
+        assert.same(segmentGraphemes(`ᄀᆨ`), [ `ᄀ`, `ᆨ` ]);
+        words.forEach((word) => {
+            assert.same(segmentGraphemes(word), Array.from(segmenter.segment(word), (segmentData) => segmentData.segment));
+        });
+        assert.end();
+    });
+    test(`\tRunning unit test for createTokenizer - should be able to normalize words and plug in a custom tokenizer:`, (assert) => {
+        assert.same(createTokenizer({ mode: TOKENIZER_MODE.CODE_POINT, normalization: `NFC` })(`e\u0301`), [ `\u00E9` ]);
+        assert.same(createTokenizer({ mode: TOKENIZER_MODE.CODE_POINT, normalization: `NFD` })(`\u00E9`), [ `e`, `\u0301` ]);
+        assert.same(createTokenizer({ normalization: `NFC`, tokenizer: (word) => word.split(`-`) })(`e\u0301-b`), [ `\u00E9`, `b` ]);
+        assert.end();
+    });
+    test(`\tRunning unit test for createTokenizer - should be able to fold and merge the symbols of a custom tokenizer:`, (assert) => {
+        const tokenizer = (word) => word.split(`-`);
+
+        assert.same(createTokenizer({ tokenizer, caseInsensitive: true, graphemes: [ `a-b` ] })(`A-b-c`), [ `ab`, `c` ]);
+        assert.same(createTokenizer({ tokenizer, accentInsensitive: true, equivalences: { x: `` } })(`\u00E9-x-b`), [ `e`, `b` ]);
+        assert.same(createTokenizer({ tokenizer, mode: TOKENIZER_MODE.CODE_POINT })(`ab-c`), [ `ab`, `c` ]);
+        assert.end();
+    });
+    test(`\tRunning unit test for createTokenizer - should be able to merge multi-character letters with greedy longest match:`, (assert) => {
+        const tokenize = createTokenizer({ graphemes: [ `d`, `dz`, `dzs`, `ch`, `ll` ] });
+
+        assert.same(tokenize(`dzsem`), [ `dzs`, `e`, `m` ]);
+        assert.same(tokenize(`dzem`), [ `dz`, `e`, `m` ]);
+        assert.same(tokenize(`calle`), [ `c`, `a`, `ll`, `e` ]);
+        assert.same(tokenize(`chch`), [ `ch`, `ch` ]);
+        assert.same(createTokenizer({ mode: TOKENIZER_MODE.GRAPHEME, graphemes: [ `n\u0303a` ] })(`n\u0303an`), [ `n\u0303a`, `n` ]);
+        assert.end();
+    });
+    test(`\tRunning unit test for createTokenizer - should be able to fold characters case and accent insensitively:`, (assert) => {
+        assert.same(createTokenizer({ caseInsensitive: true })(`AbÉ`), [ `a`, `b`, `é` ]);
+        assert.same(createTokenizer({ accentInsensitive: true })(`AbÉ`), [ `A`, `b`, `E` ]);
+        assert.same(createTokenizer({ accentInsensitive: true, normalization: `NFD` })(`né`), [ `n`, `e` ]);
+        assert.same(createTokenizer({
+            caseInsensitive: true,
+            accentInsensitive: true,
+            equivalences: { '-': `` }
+        })(`Élan-vital`), [ `e`, `l`, `a`, `n`, `v`, `i`, `t`, `a`, `l` ]);
+        assert.same(createTokenizer({ caseInsensitive: true, graphemes: [ `ch` ] })(`Chat`), [ `ch`, `a`, `t` ]);
+        assert.end();
+    });
+    test(`\tRunning unit test for createTracingTokenizer - should be able to trace the raw characters of folded symbols:`, (assert) => {
+        assert.same(createTracingTokenizer({
+            caseInsensitive: true,
+            equivalences: {
+                ß: `ss`,
+                "'": ``
+            }
+        })(`Fuß'B`), [{
+            symbol: `f`,
+            raw: `F`
+        }, {
+            symbol: `u`,
+            raw: `u`
+        }, {
+            symbol: `s`,
+            raw: `ß`
+        }, {
+            symbol: `s`,
+            raw: `ß`
+        }, {
+            symbol: `b`,
+            raw: `B`
+        }]);
+        assert.same(createTracingTokenizer({ caseInsensitive: true, graphemes: [ `ch` ] })(`Ch`), [{
+            symbol: `ch`,
+            raw: `Ch`
+        }]);
+        assert.end();
+    });
+}
@@ -0,0 +1,145 @@
+/**
+ *
+ * Unit tests for word-list-generator using tape.
+ *
+ */
+'use strict'; // eslint-disable-line
+
+import test from 'tape';
+
+import Collator from '../src/collator';
+
+import {
+    generateWordList,
+    measureRecovery
+} from '../src/word-list-generator';
+
+import {
+    EXTRACTION_STATUS,
+    InvalidInputError,
+    getConstraintDTG,
+    extractAlphabet
+} from '../src/alphabet-extractor';
+
+export function runTests () {
+    test(`\tRunning unit test for generateWordList - should be able to generate a sorted word list with a length distribution:`, (assert) => {
+        const alphabet = [ `b`, `a`, `d`, `c`, `1`, `0`, `-` ];
+        const collator = new Collator(alphabet);
+        const wordList = generateWordList(alphabet, {
+            count: 50,
+            lengthDistribution: [ 0, 1, 1 ],
+            seed: 7
+        });
+
+        assert.equal(wordList.words.length, 50);
+        assert.equal(new Set(wordList.words).size, 50);
+        assert.ok(wordList.words.every((word) => word.length === 2 || word.length === 3));
+        assert.equal(collator.isSorted(wordList.words), -1);
+        assert.same(wordList.misSortedPairs, []);
+        assert.same(generateWordList(alphabet, {
+            count: 50,
+            lengthDistribution: [ 0, 1, 1 ],
+            seed: 7
+        }), wordList);
+        assert.same(generateWordList([ `b`, `a`, `d`, `c` ], {
+            count: 5,
+            determinate: true,
+            seed: 7
+        }).words, [ `b`, `acb`, `dbaa`, `dab`, `ddaab`, `c` ]);
+        assert.end();
+    });
+    test(`\tRunning unit test for generateWordList - should be able to guarantee full determinacy:`, (assert) => {
+        const alphabet = [ `z`, `9`, `x`, `#`, `a`, `5`, `q`, `+` ];
+
+        for (let seed = 0; seed < 20; seed += 1) {
+            const result = extractAlphabet(generateWordList(alphabet, {
+                count: 10,
+                determinate: true,
+                seed
+            }).words);
+
+            assert.equal(result.status, EXTRACTION_STATUS.COMPLETE);
+            assert.same(result.alphabet, alphabet);
+        }
+        assert.end();
+    });
+    test(`\tRunning unit test for generateWordList - should be able to leave character pairs unconstrained:`, (assert) => {
+        const alphabet = [ `b`, `a`, `d`, `c`, `e` ];
+
+        for (let seed = 0; seed < 10; seed += 1) {
+            const words = generateWordList(alphabet, {
+                count: 20,
+                determinate: true,
+                unconstrained: [[ `a`, `d` ]],
+                seed
+            }).words;
+
+            assert.same(getConstraintDTG(words).getIncomparablePairs().map((pair) => [ ...pair ].sort()), [[ `a`, `d` ]]);
+            assert.equal(extractAlphabet(words).status, EXTRACTION_STATUS.AMBIGUOUS);
+        }
+        assert.throws(() => generateWordList(alphabet, {
+            count: 5,
+            determinate: true,
+            unconstrained: [[ `b`, `d` ]],
+            strict: true
+        }), InvalidInputError);
+        assert.end();
+    });
+    test(`\tRunning unit test for generateWordList - should be able to inject mis-sorted word pairs:`, (assert) => {
+        const alphabet = [ `b`, `a`, `d`, `c` ];
+        const collator = new Collator(alphabet);
+        const wordList = generateWordList(alphabet, {
+            count: 30,
+            misSortedPairCount: 3,
+            seed: 11
+        });
+
+        assert.equal(wordList.misSortedPairs.length, 3);
+        wordList.misSortedPairs.forEach(([ indexA, indexB ]) => {
+            assert.equal(indexB, indexA + 1);
+            assert.ok(collator.compare(wordList.words[indexA], wordList.words[indexB]) > 0);
+        });
+        assert.same(collator.sort(wordList.words), generateWordList(alphabet, {
+            count: 30,
+            seed: 11
+        }).words);
+        assert.end();
+    });
+    test(`\tRunning unit test for measureRecovery - should be able to report the recovery accuracy of generated word lists:`, (assert) => {
+        const alphabet = [ `z`, `9`, `x`, `#`, `a`, `5` ];
+        const determinateRecovery = measureRecovery(alphabet, {
+            trials: 10,
+            count: 10,
+            determinate: true,
+            seed: 1
+        });
+        const misSortedRecovery = measureRecovery(alphabet, {
+            trials: 10,
+            count: 30,
+            determinate: true,
+            misSortedPairCount: 1,
+            seed: 1
+        });
+
+        assert.same(determinateRecovery, {
+            trials: 10,
+            recovered: 10,
+            acyclic: 10,
+            determined: 10,
+            accuracy: 1,
+            pairAccuracy: 1,
+            failedSeeds: []
+        });
+        assert.ok(misSortedRecovery.accuracy < 1);
+        assert.equal(misSortedRecovery.failedSeeds.length, 10 - misSortedRecovery.recovered);
+        assert.ok(measureRecovery(alphabet, {
+            trials: 10,
+            count: 30,
+            determinate: true,
+            misSortedPairCount: 1,
+            robust: true,
+            seed: 1
+        }).accuracy > misSortedRecovery.accuracy);
+        assert.end();
+    });
+}
@@ -0,0 +1,47 @@
+/**
+ *
+ * Unit tests for worker using tape.
+ *
+ */
+'use strict'; // eslint-disable-line
+
+import test from 'tape';
+
+import path from 'path';
+
+import { createWorkerPool } from '../src/worker';
+
+export function runTests () {
+    test(`\tRunning unit test for createWorkerPool - should be able to count the time limit of a job from the run call:`, (assert) => {
+        const pool = createWorkerPool(path.join(__dirname, `..`, `src`, `server-worker.js`), {
+            size: 1,
+            timeout: 30000
+        });
+        const body = {
+            words: [ `bca`, `aaa`, `acb`, `ddb`, `dca` ]
+        };
+
+        // the second job waits for the only worker, which takes far longer than 1ms to start, so it runs out of time in the queue
+        Promise.all([
+            pool.run({
+                endpoint: `/extract`,
+                body
+            }),
+            pool.run({
+                endpoint: `/extract`,
+                body
+            }, Date.now() + 1).catch((error) => error)
+        ]).then(([ response, error ]) => {
+            assert.equal(response.statusCode, 200);
+            assert.equal(error.code, `ETIMEDOUT`);
+            return pool.run({
+                endpoint: `/extract`,
+                body
+            });
+        }).then((response) => {
+            assert.same(JSON.parse(response.text).alphabet, [ `b`, `a`, `d`, `c` ]);
+            pool.close();
+            assert.end();
+        });
+    });
+}
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+/**
+ *
+ * alphabet-extractor command-line tool.
+ *
+ */
+'use strict'; // eslint-disable-line
+
+/* eslint quotes: 0 */
+const path = require('path'); // eslint-disable-line
+
+// babel is anchored to the package, so the sources compile from any working directory and from inside node_modules
+require('@babel/register')({
+    cwd: path.join(__dirname, '..'),
+    only: [ path.join(__dirname, '..', 'src') ],
+    ignore: [],
+    comments: false,
+    presets: [
+        [
+            '@babel/preset-env',
+            {
+                targets: {
+                    node: 'current'
+                }
+            }
+        ]
+    ]
+});
+
+const {
+    EXIT_CODE,
+    runCli
+} = require('../src/cli'); // eslint-disable-line
+
+runCli(process.argv.slice(2)).then((exitCode) => {
+    process.exitCode = exitCode;
+}).catch((error) => {
+    // an unexpected failure gets the same one line message as the errors runCli reports itself
+    process.stderr.write(`ERROR: ${error.message}\n`);
+    process.exitCode = EXIT_CODE.ERROR;
+});
@@ -15,151 +15,1252 @@
 
 import DTG from './directed-graph-tree';
 
+import {
+    createTracingTokenizer,
+    createTokenizer
+} from './tokenizer';
+
+import {
+    collectSymbolConstraints,
+    collectRangeConstraints,
+    mergeRangeConstraints,
+    collectConstraintsInParallel
+} from './constraint-extractor';
+
+import {
+    EXTRACTION_STATUS,
+    DIAGNOSTIC_CODE,
+    createDiagnostic
+} from './diagnostic';
+
+import {
+    LOG_LEVEL,
+    setLogger,
+    log,
+    report
+} from './logger';
+
+import {
+    AlphabetError,
+    InvalidInputError,
+    InconsistentOrderError,
+    InsufficientInformationError,
+    DuplicateEdgeError,
+    LimitExceededError
+} from './errors';
+
+/**
+ * @description - Collation levels, compared one after the other.
+ *                primary   - base letters, differences of accents and case are ignored
+ *                secondary - accents, differences of case are ignored
+ *                tertiary  - case
+ *
+ * @constant COLLATION_LEVEL
+ */
+const COLLATION_LEVEL = {
+    PRIMARY: `primary`,
+    SECONDARY: `secondary`,
+    TERTIARY: `tertiary`
+};
+
+/**
+ * @description - Private function to split every word of a word list into its symbols using the tokenizer option.
+ *
+ * @function tokenizeWords
+ * @param {array} words
+ * @param {object} option - tokenizer option, see createTokenizer
+ * @return {array}
+ */
+const tokenizeWords = (words, option) => words.map(createTokenizer(option));
+
+/**
+ * @description - Private function to get all unique symbols of a tokenized word list.
+ *
+ * @function collectUniqueChars
+ * @param {array} tokenizedWords
+ * @return {array}
+ */
+const collectUniqueChars = (tokenizedWords) => [ ...new Set(tokenizedWords.flat()) ].sort();
+
+/**
+ * @description - Private function to collect the raw characters folded into each symbol of a traced word list,
+ *                for the symbols that have any raw character other than themselves.
+ *
+ * @function collectMergedChars
+ * @param {array} tracedWords - the words split with a tracing tokenizer
+ * @return {array}
+ */
+const collectMergedChars = (tracedWords) => {
+    const rawCharMap = new Map();
+
+    tracedWords.flat().forEach((tracedSymbol) => {
+        if (!rawCharMap.has(tracedSymbol.symbol)) {
+            rawCharMap.set(tracedSymbol.symbol, new Set());
+        }
+        rawCharMap.get(tracedSymbol.symbol).add(tracedSymbol.raw);
+    });
+    return [ ...rawCharMap.keys() ].sort().map((symbol) => {
+        return {
+            symbol,
+            chars: [ ...rawCharMap.get(symbol) ].sort()
+        };
+    }).filter((mergedChar) => mergedChar.chars.length > 1 || mergedChar.chars[0] !== mergedChar.symbol);
+};
+
 /**
  * @description - Get all unique character set in a given word list.
+ *                Characters are the symbols given by the tokenizer option, UTF-16 code units by default.
  *
  * @function getUniqueCharSet
  * @param {array} words
+ * @param {object} option - tokenizer option, see createTokenizer
  * @return {array}
  */
-const getUniqueCharSet = (words) => {
+const getUniqueCharSet = (words, option = {}) => {
     let uniqueChars = [];
 
     if (Array.isArray(words) && words.length && words.every((word) => typeof word === `string`)) {
-        uniqueChars = [ ...new Set(words.map((word) => word.split(``)).flat()) ].sort();
+        uniqueChars = collectUniqueChars(tokenizeWords(words, option));
     } else {
-        console.warn(`WARN: getUniqueCharSet - Input words are not strings or invalid.`);
+        report(new InvalidInputError(`Input words are not strings or invalid.`, {
+            source: `getUniqueCharSet`
+        }), option);
     }
     return uniqueChars;
 };
 
+/**
+ * @description - Private function to get the position of the first differing symbols of two tokenized words.
+ *                The position is the length of the shorter word when one word is a prefix of the other.
+ *
+ * @function getFirstDifferencePosition
+ * @param {array} symbolsA
+ * @param {array} symbolsB
+ * @return {number}
+ */
+const getFirstDifferencePosition = (symbolsA, symbolsB) => {
+    const length = Math.min(symbolsA.length, symbolsB.length);
+    let position = 0;
+
+    while (position < length && symbolsA[position] === symbolsB[position]) {
+        position += 1;
+    }
+    return position;
+};
+
+/**
+ * @description - Private function to extract character ordered set from a given listed of sorted tokenized words.
+ *                Words are grouped by the symbol at a depth, and each group with more than one word is grouped again one symbol deeper.
+ *                The groups hold word indices and are taken from a stack, so long shared prefixes neither copy the words nor overflow the call stack.
+ *                Words that are used up at a depth are the prefix of their group and must come first.
+ *
+ * @function collectOrderedCharSet
+ * @param {array} tokenizedWords
+ * @param {object} option - strict and logger
+ * @return {array}
+ */
+const collectOrderedCharSet = (tokenizedWords, option) => {
+    let orderedChars = [];
+    let groups = [{
+        indices: tokenizedWords.map((symbols, index) => index),
+        depth: 0
+    }];
+
+    while (groups.length) {
+        const {
+            indices,
+            depth
+        } = groups.pop();
+
+        // a map keeps the first seen order of every symbol, where object keys would move integer-like symbols to the front
+        // and symbols such as constructor or __proto__ would collide with the object prototype
+        const orderedCharMap = indices.reduce((_orderedCharMap, wordIndex, index) => {
+            const symbols = tokenizedWords[wordIndex];
+            const char = symbols[depth];
+
+            if (symbols.length === depth) {
+                // a word that is used up is the prefix of the other words, so it cannot come after a longer word
+                if (index > 0 && tokenizedWords[indices[index - 1]].length > depth) {
+                    report(new InconsistentOrderError(`Word ${tokenizedWords[indices[index - 1]].join(``)} is placed before its own prefix ${symbols.join(``)}.`, {
+                        code: DIAGNOSTIC_CODE.PREFIX_VIOLATION,
+                        source: `getOrderedCharSet`
+                    }), option);
+                }
+            } else if (!_orderedCharMap.has(char)) {
+                _orderedCharMap.set(char, [ wordIndex ]);
+            } else {
+                _orderedCharMap.get(char).push(wordIndex);
+            }
+            return _orderedCharMap;
+        }, new Map());
+
+        orderedChars.push([ ...orderedCharMap.keys() ]);
+
+        // groups are pushed in reverse so they are taken in the order of a depth first pass
+        [ ...orderedCharMap.values() ].filter((_indices) => _indices.length > 1).reverse().forEach((_indices) => {
+            groups.push({
+                indices: _indices,
+                depth: depth + 1
+            });
+        });
+    }
+    return orderedChars;
+};
+
 /**
  * @description - Extract character ordered set from a given listed of sorted words.
+ *                A longer word placed before its own prefix (abc before ab) cannot be produced by any alphabet
+ *                and is warned about, or throws an InconsistentOrderError in strict mode. Duplicate words are allowed.
  *
- * using example: [ 'bca', 'aaa', 'acb', 'ddb', 'dca' ], in the first recursive pass,
+ * using example: [ 'bca', 'aaa', 'acb', 'ddb', 'dca' ], in the first pass, the words are grouped by their first symbol
  * orderedCharMap =
- * {
- *    'b': [ 'bca' ],
- *    'a': [ 'aaa', 'acb' ],
- *    'd': [ 'ddb', 'dca' ]
+ * Map {
+ *    'b' => [ 0 ],
+ *    'a' => [ 1, 2 ],
+ *    'd' => [ 3, 4 ]
  * }
  *
- * the second recursive pass
+ * the second pass groups the words of each group with more than one word by their second symbol
  * orderedCharMap =
- * {
- *    'a': [ 'aa' ],
- *    'c': [ 'cb' ]
+ * Map {
+ *    'a' => [ 1 ],
+ *    'c' => [ 2 ]
  * }
  * and
- * {
- *    'd': [ 'db' ],
- *    'c': [ 'ca' ]
+ * Map {
+ *    'd' => [ 3 ],
+ *    'c' => [ 4 ]
  * }
  *
  * @function getOrderedCharSet
  * @param {array} words
+ * @param {object} option - tokenizer option, see createTokenizer
  * @return {array}
  */
-const getOrderedCharSet = (words) => {
+const getOrderedCharSet = (words, option = {}) => {
     let orderedChars = [];
 
     if (Array.isArray(words) && words.length && words.every((word) => typeof word === `string`)) {
-        const orderedCharMap = words.reduce((_orderedCharMap, word) => {
-            const firstChar = word.charAt(0);
+        orderedChars = collectOrderedCharSet(tokenizeWords(words, option), option);
+    } else {
+        report(new InvalidInputError(`Input words are not strings or invalid.`, {
+            source: `getOrderedCharSet`
+        }), option);
+    }
+    return orderedChars.filter((orderedChar) => orderedChar.length > 1);
+};
 
-            if (!_orderedCharMap.hasOwnProperty(firstChar)) {
-                _orderedCharMap[firstChar] = [ word ];
-            } else {
-                _orderedCharMap[firstChar].push(word);
+/**
+ * @description - Private function to get the adjacent pairs of tokenized words where a longer word is placed before its own prefix.
+ *
+ * @function collectPrefixViolations
+ * @param {array} tokenizedWords
+ * @param {function} isComparedPair - optional check of the index of the second word of a pair, all pairs are compared by default
+ * @return {array}
+ */
+const collectPrefixViolations = (tokenizedWords, isComparedPair = () => true) => {
+    let wordPairs = [];
+
+    tokenizedWords.forEach((symbols, index) => {
+        if (index > 0 && isComparedPair(index)) {
+            const prevSymbols = tokenizedWords[index - 1];
+
+            if (prevSymbols.length > symbols.length && getFirstDifferencePosition(prevSymbols, symbols) === symbols.length) {
+                wordPairs.push([ index - 1, index ]);
             }
-            return _orderedCharMap;
-        }, {});
+        }
+    });
+    return wordPairs;
+};
 
-        orderedChars = [ Object.keys(orderedCharMap) ];
-        Object.values(orderedCharMap).filter((_words) => _words.length > 1).forEach((_words) => {
-            const trimmedWords = _words.map((word) => word.substring(1));
+/**
+ * @description - Derive the character constraint edges from every adjacent word pair in a given listed of sorted words.
+ *                The first differing characters of an adjacent word pair give an edge, and the indices of
+ *                the word pairs that support an edge are kept with it.
+ *
+ *                Example:
+ *                      Input:  [ bca, aaa, acb, ddb, dca ]
+ *                      Output: [{ vertexStart: b, vertexEnd: a, wordPairs: [[ 0, 1 ]] },
+ *                               { vertexStart: a, vertexEnd: c, wordPairs: [[ 1, 2 ]] },
+ *                               { vertexStart: a, vertexEnd: d, wordPairs: [[ 2, 3 ]] },
+ *                               { vertexStart: d, vertexEnd: c, wordPairs: [[ 3, 4 ]] }]
+ *
+ * @function getCharConstraints
+ * @param {array} words
+ * @param {object} option - tokenizer option, see createTokenizer
+ * @return {array}
+ */
+const getCharConstraints = (words, option = {}) => {
+    let constraints = [];
 
-            orderedChars.push(...getOrderedCharSet(trimmedWords));
+    if (Array.isArray(words) && words.length && words.every((word) => typeof word === `string`)) {
+        constraints = collectSymbolConstraints(tokenizeWords(words, option));
+    } else {
+        report(new InvalidInputError(`Input words are not strings or invalid.`, {
+            source: `getCharConstraints`
+        }), option);
+    }
+    return constraints;
+};
+
+/**
+ * @description - Get the adjacent word pairs where a longer word is placed before its own prefix, for example abc before ab.
+ *                No alphabet can produce such an order. Duplicate words are allowed.
+ *
+ *                Example:
+ *                      Input:  [ ab, abc, ab, ab, b ]
+ *                      Output: [[ 1, 2 ]]
+ *
+ * @function getPrefixViolations
+ * @param {array} words
+ * @param {object} option - tokenizer option, see createTokenizer
+ * @return {array}
+ */
+const getPrefixViolations = (words, option = {}) => {
+    let wordPairs = [];
+
+    if (Array.isArray(words) && words.length && words.every((word) => typeof word === `string`)) {
+        wordPairs = collectPrefixViolations(tokenizeWords(words, option));
+    } else {
+        report(new InvalidInputError(`Input words are not strings or invalid.`, {
+            source: `getPrefixViolations`
+        }), option);
+    }
+    return wordPairs;
+};
+
+/**
+ * @description - Private function to construct a topology map using a DTG from the unique chars and constraint edges.
+ *                Each edge is created once per supporting word pair so that DTG keeps its provenance,
+ *                which is why DTG is never strict.
+ *
+ * @function createConstraintDTG
+ * @param {array} uniqueChars
+ * @param {array} edges
+ * @param {object} option - logger
+ * @return {object}
+ */
+const createConstraintDTG = (uniqueChars, edges, {
+    logger
+} = {}) => {
+    const dtg = new DTG({
+        logger
+    });
+
+    if (uniqueChars.length) {
+        dtg.addVertices(uniqueChars);
+        edges.forEach((edge) => {
+            edge.wordPairs.forEach((wordPair) => {
+                dtg.createEdge(edge.vertexStart, edge.vertexEnd, wordPair);
+            });
         });
+    }
+    return dtg;
+};
+
+/**
+ * @description - Private function to throw the typed error that matches the status of an extraction result in strict mode:
+ *                an InvalidInputError for invalid input, an InconsistentOrderError for an inconsistent word list
+ *                and an InsufficientInformationError for an ambiguous one.
+ *
+ * @function checkResult
+ * @param {string} source - the extraction function
+ * @param {object} result - the extraction result
+ * @param {object} option - strict
+ * @param {object} dtg - the constraint DTG, to name the characters whose order is unknown. Otherwise the characters of the diagnostics are named
+ * @return {void}
+ */
+const checkResult = (source, result, {
+    strict = false
+} = {}, dtg = null) => {
+    if (strict && result.status !== EXTRACTION_STATUS.COMPLETE) {
+        const detail = {
+            source,
+            diagnostics: result.diagnostics
+        };
+
+        if (result.status === EXTRACTION_STATUS.INVALID_INPUT) {
+            throw new InvalidInputError(result.diagnostics[0].message, detail);
+        } else if (result.status === EXTRACTION_STATUS.INCONSISTENT) {
+            const diagnostic = result.diagnostics.find((_diagnostic) => {
+                return _diagnostic.code === DIAGNOSTIC_CODE.LOOP_DETECTED || _diagnostic.code === DIAGNOSTIC_CODE.PREFIX_VIOLATION;
+            });
+
+            throw new InconsistentOrderError(diagnostic.message, {
+                ...detail,
+                code: diagnostic.code,
+                chars: diagnostic.chars,
+                wordPair: diagnostic.wordPair
+            });
+        } else {
+            const diagnostic = result.diagnostics.find((_diagnostic) => _diagnostic.code === DIAGNOSTIC_CODE.INSUFFICIENT_INFORMATION);
+            const chars = dtg !== null ? dtg.getUnorderedVertices() : result.diagnostics.map((_diagnostic) => _diagnostic.chars).flat();
+
+            throw new InsufficientInformationError(diagnostic.message, {
+                ...detail,
+                chars: [ ...new Set(chars) ].sort(),
+                alphabet: result.alphabet
+            });
+        }
+    }
+};
+
+/**
+ * @description - Get the constraint DTG of a given listed of sorted words, for example to draw it with toDOT or toMermaid.
+ *
+ *                Example:
+ *                      getConstraintDTG([ `bca`, `aaa`, `acb`, `ddb`, `dca` ]).toDOT()
+ *
+ * @function getConstraintDTG
+ * @param {array} words
+ * @param {object} option - tokenizer option, see createTokenizer
+ * @return {object}
+ */
+const getConstraintDTG = (words, option = {}) => {
+    let dtg = new DTG({
+        logger: option.logger
+    });
+
+    if (Array.isArray(words) && words.length && words.every((word) => typeof word === `string`)) {
+        const {
+            uniqueChars,
+            edges
+        } = mergeRangeConstraints([ collectRangeConstraints(words, 0, words.length, option) ]);
+
+        dtg = createConstraintDTG(uniqueChars, edges, option);
     } else {
-        console.warn(`WARN: getOrderedCharSet - Input words are not strings or invalid.`);
+        report(new InvalidInputError(`Input words are not strings or invalid.`, {
+            source: `getConstraintDTG`
+        }), option);
     }
-    return orderedChars.filter((orderedChar) => orderedChar.length > 1);
+    return dtg;
 };
 
 /**
- * @description - Extract alphabet characters from a given listed of sorted words.
- *                Assuming the given list of words will have enough information
- *                to derive the complete set of the alphabet.
+ * @description - Get the constraint DTG of a given listed of sorted words with the word list sharded across worker threads,
+ *                for word lists of millions of words. The edge sets of the shards are merged into a single DTG
+ *                that is the same as the one of getConstraintDTG. A custom tokenizer function cannot be sent to a worker,
+ *                so with one the constraints are collected in the calling thread.
  *
- *                Example proplem:
- *                      You are given a list of words sorted in alphabetical order. The only issue is that this alphabet isn’t English.
- *                      Can you determine the ordering of the alphabet?
- *                      Note that you can assume the list of words will have enough information to derive the complete order of the alphabet.
+ *                Example:
+ *                      getConstraintDTGParallel(words, { workerCount: 4 }).then((dtg) => dtg.getLongestPath());
  *
- *                      Input:  [ bca, aaa, acb, ddb, dca ]
- *                      Output: [ b, a, d, c ]
+ * @function getConstraintDTGParallel
+ * @param {array} words
+ * @param {object} option - tokenizer option, see createTokenizer, workerCount (defaults to the number of CPUs), strict and logger
+ * @return {object} a promise of the DTG
+ */
+const getConstraintDTGParallel = async (words, option = {}) => {
+    let dtg = new DTG({
+        logger: option.logger
+    });
+
+    if (Array.isArray(words) && words.length && words.every((word) => typeof word === `string`)) {
+        if (typeof option.tokenizer === `function`) {
+            report(new InvalidInputError(`Custom tokenizer function cannot be sent to worker threads. Collecting the constraints in the calling thread.`, {
+                source: `getConstraintDTGParallel`
+            }), option);
+            dtg = getConstraintDTG(words, option);
+        } else {
+            // the tokenizer option is checked once here, the workers do not log
+            createTokenizer(option);
+
+            const {
+                uniqueChars,
+                edges
+            } = await collectConstraintsInParallel(words, option);
+
+            dtg = createConstraintDTG(uniqueChars, edges, option);
+        }
+    } else {
+        report(new InvalidInputError(`Input words are not strings or invalid.`, {
+            source: `getConstraintDTGParallel`
+        }), option);
+    }
+    return dtg;
+};
+
+/**
+ * @description - Explain why a character comes before another one in the alphabet of a given listed of sorted words.
+ *                The result is the chain of constraint edges leading from the first character to the second one,
+ *                each with its support count and the word pairs behind it. It is empty when the word list does not order them.
+ *
+ *                Example:
+ *                      Input:  [ bca, aaa, acb, ddb, dca ], b, c
+ *                      Output: [{ vertexStart: b, vertexEnd: a, support: 1, wordPairs: [{ indices: [ 0, 1 ], words: [ bca, aaa ] }] },
+ *                               { vertexStart: a, vertexEnd: c, support: 1, wordPairs: [{ indices: [ 1, 2 ], words: [ aaa, acb ] }] }]
+ *
+ * @function explainCharOrder
+ * @param {array} words
+ * @param {string} charA - the character coming first
+ * @param {string} charB - the character coming second
+ * @param {object} option - tokenizer option, see createTokenizer
+ * @return {array}
+ */
+const explainCharOrder = (words, charA, charB, option = {}) => {
+    let chain = [];
+
+    if (Array.isArray(words) && words.length && words.every((word) => typeof word === `string`)) {
+        chain = getConstraintDTG(words, option).explainOrder(charA, charB).map((edge) => {
+            return {
+                vertexStart: edge.vertexStart,
+                vertexEnd: edge.vertexEnd,
+                support: edge.support,
+                wordPairs: edge.wordPairs.map((indices) => {
+                    return {
+                        indices,
+                        words: indices.map((index) => words[index])
+                    };
+                })
+            };
+        });
+    } else {
+        report(new InvalidInputError(`Input words are not strings or invalid.`, {
+            source: `explainCharOrder`
+        }), option);
+    }
+    return chain;
+};
+
+/**
+ * @description - Extract alphabet from a given listed of sorted words and report how well the word list determines it.
  *
  *                Algorithm steps:
  *                      1) get a set unique chars from word list which should be:
  *                         [ a, b, d, c ]
- *                      2) get a set of ordered chars from word list which should be:
- *                         *b, c, a
- *                         *a, *a, a
- *                          a, *c, b
- *                         *d, *d, b
- *                          d, *c, a
- *
- *                         [ b, a, d ]
- *                         [ a, c ]
- *                         [ d, c ]
- *                      3) using the set of ordered chars information to construct a topology map using directed tree graph:
+ *                      2) get the character constraint edges from adjacent word pairs which should be:
+ *                         bca, aaa → b → a
+ *                         aaa, acb → a → c
+ *                         acb, ddb → a → d
+ *                         ddb, dca → d → c
+ *                      3) using the constraint edges to construct a topology map using directed tree graph:
  *                         dtg: b → a → d
  *                                  ↓ ↙
  *                                  c
- *                      4) from the dtg, get the longest path of visited vertices which is the resulting alphabet.
+ *                      4) from the dtg, get the longest path of visited vertices in topological order which is the resulting alphabet.
  *                         longest path: [ b, a, d, c ]
  *
- * @function extractAlphabetChars
+ *                Result:
+ *                      alphabet           - the extracted alphabet characters
+ *                      status             - complete, ambiguous, inconsistent or invalid-input
+ *                      edges              - the derived constraint edges with the word pairs supporting them
+ *                      unconstrainedChars - characters that no word pair orders against any other character
+ *                      loops              - each loop of characters, for example a → d → c → a, with the edges going around it
+ *                      feedbackEdges      - the suggested edges to drop, with their word pairs, to make the word list consistent
+ *                      clusters           - each group of mutually conflicting characters, the characters that all come before each other
+ *                      partialAlphabet    - the alphabet as a list of blocks, where each cluster is a tied block and every other
+ *                                           character is a block of its own, for example [[ b ], [ a, c, d ], [ e ]]
+ *                      mergedChars        - a list of { symbol, chars }, the raw characters folded into each symbol
+ *                                           by the caseInsensitive, accentInsensitive or equivalences options
+ *                      diagnostics        - a list of { code, message, chars, wordPair }
+ *
+ *                With the strict option, an incomplete result throws an InvalidInputError, an InconsistentOrderError
+ *                or an InsufficientInformationError instead, carrying the diagnostics.
+ *
+ * @function extractAlphabet
  * @param {array} words
- * @return {array}
+ * @param {object} option - tokenizer option, see createTokenizer, strict and logger
+ * @return {object}
  */
-const extractAlphabetChars = (words) => {
-    let alphabetChars = [];
+const extractAlphabet = (words, option = {}) => {
+    let result = {
+        alphabet: [],
+        status: EXTRACTION_STATUS.INVALID_INPUT,
+        edges: [],
+        unconstrainedChars: [],
+        loops: [],
+        feedbackEdges: [],
+        clusters: [],
+        partialAlphabet: [],
+        mergedChars: [],
+        diagnostics: []
+    };
 
     if (Array.isArray(words) && words.length && words.every((word) => typeof word === `string`)) {
-        const dtg = new DTG();
-        const uniqueChars = getUniqueCharSet(words);
-        const orderedChars = getOrderedCharSet(words);
+        const tracedWords = words.map(createTracingTokenizer(option));
+        const tokenizedWords = tracedWords.map((tracedSymbols) => tracedSymbols.map((tracedSymbol) => tracedSymbol.symbol));
+        const uniqueChars = collectUniqueChars(tokenizedWords);
+        const edges = collectSymbolConstraints(tokenizedWords);
+        const dtg = createConstraintDTG(uniqueChars, edges, option);
+        const edgeMap = new Map(edges.map((edge) => [ JSON.stringify([ edge.vertexStart, edge.vertexEnd ]), edge ]));
+        const constrainedChars = new Set(edges.map((edge) => [ edge.vertexStart, edge.vertexEnd ]).flat());
+        let inconsistentDiagnostics = [];
+        let insufficientDiagnostics = [];
 
-        // construct a topology map using a DTG
-        dtg.addVertices(uniqueChars);
-        orderedChars.forEach((orderedChar) => {
-            dtg.createDaisyChainEdges(orderedChar);
+        // alphabetical characters result is the longest path of visited vertices in DTG
+        const alphabet = dtg.getLongestPath();
+
+        // check for longer words placed before their own prefix. No alphabet can produce such an order
+        collectPrefixViolations(tokenizedWords).forEach((wordPair) => {
+            inconsistentDiagnostics.push(createDiagnostic(
+                DIAGNOSTIC_CODE.PREFIX_VIOLATION,
+                `Word ${words[wordPair[0]]} is placed before its own prefix ${words[wordPair[1]]}.`, {
+                    wordPair
+                }, words
+            ));
         });
 
-        // alphabetical characters result is the last item (longest set of visited vertices) in paths
-        // getPaths function returns a set of all possible path of visited vertices sorted from short to longest
-        alphabetChars = dtg.getPaths().pop();
+        // check for loop connection in DTG. A correctly sorted word list should have no loop.
+        // Each loop is explained by the word pairs behind every edge going around it
+        const loops = dtg.getLoops().map((loopChars) => {
+            return {
+                chars: loopChars,
+                edges: loopChars.slice(1).map((vertexEnd, index) => edgeMap.get(JSON.stringify([ loopChars[index], vertexEnd ])))
+            };
+        });
 
-        // check for loop connection in DTG. A correctly sorted word list should have no loop
-        if (dtg.getLoopCount() !== 0) {
-            console.warn(`WARN: extractAlphabetChars - Input list of words are not alphabetically sorted. Unable to derive the complete order of the alphabet.`);
-        }
+        loops.forEach((loop) => {
+            inconsistentDiagnostics.push(createDiagnostic(
+                DIAGNOSTIC_CODE.LOOP_DETECTED,
+                `Input list of words are not alphabetically sorted. Characters ${loop.chars.join(` → `)} form a loop.`, {
+                    chars: loop.chars,
+                    wordPair: loop.edges[loop.edges.length - 1].wordPairs[0]
+                }, words
+            ));
+        });
+
+        // suggest the fewest word pairs to drop to break every loop, weighting each edge by its supporting word pairs
+        const feedbackEdges = loops.length ? dtg.getFeedbackEdges((vertexStart, vertexEnd) => {
+            return edgeMap.get(JSON.stringify([ vertexStart, vertexEnd ])).wordPairs.length;
+        }).map(([ vertexStart, vertexEnd ]) => edgeMap.get(JSON.stringify([ vertexStart, vertexEnd ]))) : [];
+
+        // merge each group of mutually conflicting characters into a tied block, so the rest of the ordering stays usable
+        const condensation = dtg.getCondensation();
+        const clusters = condensation.components.filter((component) => component.length > 1);
+        const partialAlphabet = condensation.dtg.getLongestPath().map((index) => condensation.components[Number(index)]);
+
+        const unconstrainedChars = uniqueChars.length > 1 ? uniqueChars.filter((char) => !constrainedChars.has(char)) : [];
 
         // check for a fully connected DTG where there is only one root vertex and
         // compare the set of extracted alphabet and the set of unique characters in the word list. If they are not equal, then there are not enough information
-        if (!dtg.isFullyConnected() || uniqueChars.join(``) !== [ ...alphabetChars ].sort().join(``)) {
-            console.warn(`WARN: extractAlphabetChars - Input list of words do not have enough information to derive the complete order of the alphabet.`);
+        if (!dtg.isFullyConnected() || uniqueChars.length !== alphabet.length) {
+            insufficientDiagnostics.push(createDiagnostic(
+                DIAGNOSTIC_CODE.INSUFFICIENT_INFORMATION,
+                `Input list of words do not have enough information to derive the complete order of the alphabet.`
+            ));
+            unconstrainedChars.forEach((char) => {
+                insufficientDiagnostics.push(createDiagnostic(
+                    DIAGNOSTIC_CODE.UNCONSTRAINED_CHAR,
+                    `Character ${char} is not ordered against any other character.`, {
+                        chars: [ char ]
+                    }
+                ));
+            });
+        }
+
+        let status = EXTRACTION_STATUS.COMPLETE;
+
+        if (inconsistentDiagnostics.length) {
+            status = EXTRACTION_STATUS.INCONSISTENT;
+        } else if (insufficientDiagnostics.length) {
+            status = EXTRACTION_STATUS.AMBIGUOUS;
+        }
+
+        result = {
+            alphabet,
+            status,
+            edges,
+            unconstrainedChars,
+            loops,
+            feedbackEdges,
+            clusters,
+            partialAlphabet,
+            mergedChars: collectMergedChars(tracedWords),
+            diagnostics: [ ...inconsistentDiagnostics, ...insufficientDiagnostics ]
+        };
+        checkResult(`extractAlphabet`, result, option, dtg);
+    } else {
+        result.diagnostics.push(createDiagnostic(
+            DIAGNOSTIC_CODE.INVALID_INPUT,
+            `Input words are not strings or invalid.`
+        ));
+        checkResult(`extractAlphabet`, result, option);
+    }
+    return result;
+};
+
+/**
+ * @description - Extract alphabet from an imperfectly sorted list of words, treating the few mis-sorted word pairs as outliers.
+ *                Each constraint edge is weighted by the number of word pairs supporting it, and the edges of least total weight
+ *                that break every loop are dropped. The drop is exact for loops among up to exactLimit characters
+ *                and heuristic for larger ones. The alphabet is then extracted from the remaining edges.
+ *
+ *                Example:
+ *                      Input:  [ bca, aaa, acb, ddb, dca, cab, dcd ]
+ *                      Output: { alphabet: [ b, a, d, c ], outliers: [{ indices: [ 5, 6 ], words: [ cab, dcd ] }], ... }
+ *
+ *                Result:
+ *                      alphabet       - the extracted alphabet characters
+ *                      status         - complete or ambiguous once the outliers are dropped, or invalid-input
+ *                      edges          - the kept constraint edges with the word pairs supporting them
+ *                      outlierEdges   - the dropped constraint edges with the word pairs supporting them
+ *                      outliers       - the dropped word pairs, including longer words placed before their own prefix
+ *                      violatedWeight - the number of dropped word pairs
+ *                      mergedChars    - a list of { symbol, chars }, the raw characters folded into each symbol
+ *                      diagnostics    - a list of { code, message, chars, wordPair }
+ *
+ *                With the strict option, an incomplete result throws an InvalidInputError or an InsufficientInformationError instead.
+ *
+ * @function extractAlphabetRobust
+ * @param {array} words
+ * @param {object} option - tokenizer option, see createTokenizer, exactLimit (defaults to 16), strict and logger
+ * @return {object}
+ */
+const extractAlphabetRobust = (words, option = {}) => {
+    const {
+        exactLimit = 16
+    } = option;
+    let result = {
+        alphabet: [],
+        status: EXTRACTION_STATUS.INVALID_INPUT,
+        edges: [],
+        outlierEdges: [],
+        outliers: [],
+        violatedWeight: 0,
+        mergedChars: [],
+        diagnostics: []
+    };
+
+    if (Array.isArray(words) && words.length && words.every((word) => typeof word === `string`)) {
+        const tracedWords = words.map(createTracingTokenizer(option));
+        const tokenizedWords = tracedWords.map((tracedSymbols) => tracedSymbols.map((tracedSymbol) => tracedSymbol.symbol));
+        const uniqueChars = collectUniqueChars(tokenizedWords);
+        const edges = collectSymbolConstraints(tokenizedWords);
+        const dtg = createConstraintDTG(uniqueChars, edges, option);
+        const outlierEdgeKeys = new Set(dtg.getMinimumFeedbackEdges((vertexStart, vertexEnd) => {
+            return dtg.getEdge(vertexStart, vertexEnd).support;
+        }, exactLimit).map((edge) => JSON.stringify(edge)));
+        const keptEdges = edges.filter((edge) => !outlierEdgeKeys.has(JSON.stringify([ edge.vertexStart, edge.vertexEnd ])));
+        const outlierEdges = edges.filter((edge) => outlierEdgeKeys.has(JSON.stringify([ edge.vertexStart, edge.vertexEnd ])));
+        const keptDTG = createConstraintDTG(uniqueChars, keptEdges, option);
+        const alphabet = keptDTG.getLongestPath();
+        const outlierWordPairs = [
+            ...outlierEdges.map((edge) => edge.wordPairs).flat(),
+            ...collectPrefixViolations(tokenizedWords)
+        ].sort(([ indexA ], [ indexB ]) => indexA - indexB);
+        let diagnostics = outlierWordPairs.map((wordPair) => createDiagnostic(
+            DIAGNOSTIC_CODE.OUTLIER_WORD_PAIR,
+            `Word pair ${words[wordPair[0]]}, ${words[wordPair[1]]} is treated as an outlier.`, {
+                wordPair
+            }, words
+        ));
+        let status = EXTRACTION_STATUS.COMPLETE;
+
+        if (!keptDTG.isFullyConnected() || uniqueChars.length !== alphabet.length) {
+            status = EXTRACTION_STATUS.AMBIGUOUS;
+            diagnostics.push(createDiagnostic(
+                DIAGNOSTIC_CODE.INSUFFICIENT_INFORMATION,
+                `Input list of words do not have enough information to derive the complete order of the alphabet.`
+            ));
+        }
+
+        result = {
+            alphabet,
+            status,
+            edges: keptEdges,
+            outlierEdges,
+            outliers: outlierWordPairs.map((wordPair) => {
+                return {
+                    indices: wordPair,
+                    words: wordPair.map((index) => words[index])
+                };
+            }),
+            violatedWeight: outlierWordPairs.length,
+            mergedChars: collectMergedChars(tracedWords),
+            diagnostics
+        };
+        checkResult(`extractAlphabetRobust`, result, option, keptDTG);
+    } else {
+        result.diagnostics.push(createDiagnostic(
+            DIAGNOSTIC_CODE.INVALID_INPUT,
+            `Input words are not strings or invalid.`
+        ));
+        checkResult(`extractAlphabetRobust`, result, option);
+    }
+    return result;
+};
+
+/**
+ * @description - Lazily enumerate every alphabet that is consistent with a given listed of sorted words.
+ *                The alphabets are the linear extensions of the partial order held by the constraint DTG,
+ *                so an inconsistent word list (a loop or a word placed before its own prefix) has none
+ *                and a complete word list has exactly one.
+ *
+ *                Example:
+ *                      Input:  [ ba, bc, e ]
+ *                      Output: [ a, b, c, e ], [ a, b, e, c ], [ a, c, b, e ], [ b, a, c, e ], ...
+ *
+ * @function enumerateAlphabets
+ * @param {array} words
+ * @param {number} limit - the maximum number of alphabets to generate
+ * @param {object} option - tokenizer option, see createTokenizer
+ * @return {object}
+ */
+const enumerateAlphabets = function *enumerateAlphabets (words, limit = Infinity, option = {}) {
+    if (Array.isArray(words) && words.length && words.every((word) => typeof word === `string`)) {
+        const tokenizedWords = tokenizeWords(words, option);
+        const dtg = createConstraintDTG(collectUniqueChars(tokenizedWords), collectSymbolConstraints(tokenizedWords), option);
+
+        if (!collectPrefixViolations(tokenizedWords).length) {
+            yield *dtg.enumerateTopologicalSorts(limit);
+        }
+    } else {
+        report(new InvalidInputError(`Input words are not strings or invalid.`, {
+            source: `enumerateAlphabets`
+        }), option);
+    }
+};
+
+/**
+ * @description - Count the alphabets that are consistent with a given listed of sorted words without listing them.
+ *                A count of 1 means the word list determines the alphabet and 0 means it is inconsistent.
+ *                The exact count grows exponentially with the number of characters the word list leaves unordered,
+ *                so past stateLimit it is estimated and a LimitExceededError is logged, see DTG countTopologicalSorts.
+ *
+ * @function countAlphabets
+ * @param {array} words
+ * @param {object} option - tokenizer option, see createTokenizer, stateLimit (defaults to 100000),
+ *                          and for the estimate sampleCount and random, see DTG estimateTopologicalSorts
+ * @return {number}
+ */
+const countAlphabets = (words, option = {}) => {
+    let count = 0;
+
+    if (Array.isArray(words) && words.length && words.every((word) => typeof word === `string`)) {
+        const tokenizedWords = tokenizeWords(words, option);
+        const dtg = createConstraintDTG(collectUniqueChars(tokenizedWords), collectSymbolConstraints(tokenizedWords), option);
+
+        count = collectPrefixViolations(tokenizedWords).length ? 0 : dtg.countTopologicalSorts(option);
+    } else {
+        report(new InvalidInputError(`Input words are not strings or invalid.`, {
+            source: `countAlphabets`
+        }), option);
+    }
+    return count;
+};
+
+/**
+ * @description - Find the character pairs whose order a given listed of sorted words leaves unknown and suggest
+ *                the comparisons that would determine the alphabet fastest.
+ *                Each suggestion comes with the probability that its first character comes first, over all the alphabets
+ *                that are consistent with the word list, and a synthetic word pair to ask about: a word of the list holding
+ *                the first character and the same word with it replaced by the second character.
+ *                The most even comparisons come first, as either answer rules out about half of the alphabets.
+ *                The alphabet count and the probabilities are exact when the unknown pairs involve up to exactLimit characters,
+ *                as exact counting grows exponentially with them. Otherwise the count is estimated, see DTG estimateTopologicalSorts,
+ *                the probabilities are sampled, see DTG getRankDistribution, and the result is marked as not exact.
+ *
+ *                Example:
+ *                      Input:  [ ba, bc, e ]
+ *                      Output: {
+ *                                  exact: true,
+ *                                  unknownPairs: [[ a, b ], [ a, e ], [ b, c ], [ c, e ]],
+ *                                  alphabetCount: 6,
+ *                                  minComparisonCount: 3,
+ *                                  suggestions: [{ chars: [ a, b ], probability: 0.5, wordPair: [ ba, bb ] }, ... ]
+ *                              }
+ *
+ *                Result:
+ *                      exact              - whether the alphabet count and the probabilities are exact
+ *                      unknownPairs       - the pairs of characters whose order is unknown
+ *                      alphabetCount      - the number of alphabets that are consistent with the word list
+ *                      minComparisonCount - the least number of comparisons that can single out one of them
+ *                      suggestions        - a list of { chars, probability, wordPair }, the best comparison first
+ *
+ * @function suggestComparisons
+ * @param {array} words
+ * @param {object} option - tokenizer option, see createTokenizer, exactLimit (defaults to 12), and for the estimates
+ *                          sampleCount, mixingSteps and random, see DTG getRankDistribution
+ * @return {object}
+ */
+const suggestComparisons = (words, option = {}) => {
+    const {
+        exactLimit = 12,
+        sampleCount,
+        mixingSteps,
+        random
+    } = option;
+    let result = {
+        exact: true,
+        unknownPairs: [],
+        alphabetCount: 0,
+        minComparisonCount: 0,
+        suggestions: []
+    };
+
+    if (Array.isArray(words) && words.length && words.every((word) => typeof word === `string`)) {
+        const tokenizedWords = tokenizeWords(words, option);
+        const uniqueChars = collectUniqueChars(tokenizedWords);
+        const edges = collectSymbolConstraints(tokenizedWords);
+        const dtg = createConstraintDTG(uniqueChars, edges, option);
+        const unknownPairs = dtg.getIncomparablePairs();
+
+        // the exact count is only taken when few characters are unordered, it grows exponentially with them
+        const isExact = new Set(unknownPairs.flat()).size <= exactLimit;
+        let alphabetCount = 0;
+        let getProbability;
+
+        if (!collectPrefixViolations(tokenizedWords).length) {
+            alphabetCount = isExact ? dtg.countTopologicalSorts() : dtg.estimateTopologicalSorts({
+                sampleCount,
+                random
+            });
+        }
+
+        if (isExact) {
+            getProbability = (charA, charB) => {
+                const probeDTG = createConstraintDTG(uniqueChars, edges, option);
+
+                probeDTG.createEdge(charA, charB);
+                return probeDTG.countTopologicalSorts() / alphabetCount;
+            };
+        } else {
+            const distribution = dtg.getRankDistribution({
+                exactLimit: 0,
+                sampleCount,
+                mixingSteps,
+                random
+            });
+            const indexMap = new Map(distribution.ranks.map((rank, index) => [ rank.vertex, index ]));
+
+            getProbability = (charA, charB) => distribution.pairProbabilities[indexMap.get(charA)][indexMap.get(charB)];
         }
+
+        result = {
+            exact: isExact,
+            unknownPairs,
+            alphabetCount,
+            minComparisonCount: alphabetCount > 1 ? Math.ceil(Math.log2(alphabetCount)) : 0,
+            suggestions: alphabetCount > 1 ? unknownPairs.map(([ charA, charB ]) => {
+                const symbols = tokenizedWords.find((_symbols) => _symbols.includes(charA));
+                const position = symbols.indexOf(charA);
+
+                return {
+                    chars: [ charA, charB ],
+                    probability: getProbability(charA, charB),
+                    wordPair: [ symbols.join(``), [ ...symbols.slice(0, position), charB, ...symbols.slice(position + 1) ].join(``) ]
+                };
+            }).sort((suggestionA, suggestionB) => {
+                return Math.abs(suggestionA.probability - 0.5) - Math.abs(suggestionB.probability - 0.5);
+            }) : []
+        };
     } else {
-        console.warn(`WARN: extractAlphabetChars - Input words are not strings or invalid.`);
+        report(new InvalidInputError(`Input words are not strings or invalid.`, {
+            source: `suggestComparisons`
+        }), option);
     }
-    return alphabetChars;
+    return result;
+};
+
+/**
+ * @description - Tell how certain each position of the alphabet of a given listed of sorted words is, over all the alphabets
+ *                that are consistent with the word list. Each character gets the earliest and latest positions (0 based) it can take,
+ *                the fraction of the alphabets that place it at each position, its most likely position and the fraction behind it.
+ *                A character whose earliest and latest positions are the same is solid, the others are guesses.
+ *                The fractions are exact when the word list has up to exactLimit characters, and otherwise sampled, see getRankDistribution.
+ *                A word list that no alphabet can produce gets no characters.
+ *
+ *                Example:
+ *                      Input:  [ ba, bc, e ]
+ *                      Output: {
+ *                                  exact: true,
+ *                                  orderCount: 6,
+ *                                  chars: [{ char: a, earliest: 0, latest: 2, rank: 0, confidence: 0.5, fractions: [ 0.5, 0.333, 0.167, 0 ] },
+ *                                          { char: b, earliest: 0, latest: 2, rank: 0, confidence: 0.5, fractions: [ 0.5, 0.333, 0.167, 0 ] },
+ *                                          { char: c, earliest: 1, latest: 3, rank: 3, confidence: 0.5, fractions: [ 0, 0.167, 0.333, 0.5 ] },
+ *                                          { char: e, earliest: 1, latest: 3, rank: 3, confidence: 0.5, fractions: [ 0, 0.167, 0.333, 0.5 ] }],
+ *                                  pairProbabilities: [[ 0, 0.5, 1, 0.833 ], [ 0.5, 0, 0.833, 1 ], [ 0, 0.167, 0, 0.5 ], [ 0.167, 0, 0.5, 0 ]]
+ *                              }
+ *
+ *                Result:
+ *                      exact             - whether every alphabet was counted, or the alphabets were sampled
+ *                      orderCount        - the number of alphabets counted, or sampled
+ *                      chars             - a list of { char, earliest, latest, rank, confidence, fractions } by their average position
+ *                      pairProbabilities - the probability that the character of a row comes before the character of a column,
+ *                                          in the order of chars
+ *
+ * @function getAlphabetConfidence
+ * @param {array} words
+ * @param {object} option - tokenizer option, see createTokenizer, exactLimit (defaults to 12), and for sampling sampleCount,
+ *                          mixingSteps and random, see getRankDistribution
+ * @return {object}
+ */
+const getAlphabetConfidence = (words, option = {}) => {
+    let result = {
+        exact: true,
+        orderCount: 0,
+        chars: [],
+        pairProbabilities: []
+    };
+
+    if (Array.isArray(words) && words.length && words.every((word) => typeof word === `string`)) {
+        const tokenizedWords = tokenizeWords(words, option);
+        const dtg = createConstraintDTG(collectUniqueChars(tokenizedWords), collectSymbolConstraints(tokenizedWords), option);
+
+        if (!collectPrefixViolations(tokenizedWords).length) {
+            const distribution = dtg.getRankDistribution(option);
+
+            // order the characters by their average position, the sort keeps the vertex order of DTG on ties
+            const ranks = distribution.ranks.map((rank, index) => {
+                return {
+                    ...rank,
+                    index,
+                    averageRank: rank.fractions.reduce((sum, fraction, position) => sum + fraction * position, 0)
+                };
+            }).sort((rankA, rankB) => rankA.averageRank - rankB.averageRank);
+
+            result = {
+                exact: distribution.exact,
+                orderCount: distribution.orderCount,
+                chars: ranks.map(({
+                    vertex,
+                    earliest,
+                    latest,
+                    fractions
+                }) => {
+                    const rank = fractions.indexOf(Math.max(...fractions));
+
+                    return {
+                        char: vertex,
+                        earliest,
+                        latest,
+                        rank,
+                        confidence: fractions[rank],
+                        fractions
+                    };
+                }),
+                pairProbabilities: ranks.map((rankA) => ranks.map((rankB) => distribution.pairProbabilities[rankA.index][rankB.index]))
+            };
+        }
+    } else {
+        report(new InvalidInputError(`Input words are not strings or invalid.`, {
+            source: `getAlphabetConfidence`
+        }), option);
+    }
+    return result;
+};
+
+/**
+ * @description - Extract a multi-level collation from a given listed of sorted words, the way real dictionaries
+ *                compare base letters first and break ties on accents, then on case.
+ *                The primary order comes from the word pairs that differ in their base letters. The secondary order comes
+ *                from the word pairs that only differ in accents, and the tertiary order from the word pairs that only differ in case.
+ *
+ *                Example:
+ *                      Input:  [ cote, coté, côte, Côte, côté, toc ]
+ *                      Output: {
+ *                                  alphabet: [ c, t ],
+ *                                  table: [{ symbol: c, secondary: [{ symbol: c, tertiary: [ c, C ] }] },
+ *                                          { symbol: e, secondary: [{ symbol: e, tertiary: [ e ] }, { symbol: é, tertiary: [ é ] }] },
+ *                                          { symbol: o, secondary: [{ symbol: o, tertiary: [ o ] }, { symbol: ô, tertiary: [ ô ] }] },
+ *                                          { symbol: t, secondary: [{ symbol: t, tertiary: [ t ] }] }],
+ *                                  ...
+ *                              }
+ *
+ *                Result:
+ *                      alphabet    - the extracted primary alphabet
+ *                      status      - complete when every level is complete, ambiguous, inconsistent or invalid-input
+ *                      levels      - a list of { level, order, status, edges, diagnostics } for the primary, secondary and tertiary levels,
+ *                                    where order lists every symbol of the level
+ *                      table       - the layered collation table, each primary symbol with its secondary variants in order
+ *                                    and each secondary variant with its tertiary variants in order
+ *                      diagnostics - the diagnostics of every level
+ *
+ *                With the strict option, an incomplete result throws an InvalidInputError, an InconsistentOrderError
+ *                or an InsufficientInformationError instead.
+ *
+ * @function extractCollation
+ * @param {array} words
+ * @param {object} option - tokenizer option, see createTokenizer. The caseInsensitive and accentInsensitive options are set per level
+ * @return {object}
+ */
+const extractCollation = (words, option = {}) => {
+    let result = {
+        alphabet: [],
+        status: EXTRACTION_STATUS.INVALID_INPUT,
+        levels: [],
+        table: [],
+        diagnostics: []
+    };
+
+    if (Array.isArray(words) && words.length && words.every((word) => typeof word === `string`)) {
+        const levelTokenizers = [[ true, true ], [ true, false ], [ false, false ]].map(([ caseInsensitive, accentInsensitive ]) => {
+            return createTokenizer({
+                ...option,
+                caseInsensitive,
+                accentInsensitive
+            });
+        });
+        const levelTokenizedWords = levelTokenizers.map((tokenize) => words.map(tokenize));
+        const levelNames = [ COLLATION_LEVEL.PRIMARY, COLLATION_LEVEL.SECONDARY, COLLATION_LEVEL.TERTIARY ];
+        let levelDTGs = [];
+
+        const levels = levelNames.map((level, levelIndex) => {
+            const tokenizedWords = levelTokenizedWords[levelIndex];
+            const levelName = `${level.charAt(0).toUpperCase()}${level.substring(1)}`;
+
+            // a level only compares the word pairs that tie on every lower level
+            const isComparedPair = (index) => levelTokenizedWords.slice(0, levelIndex).every((_tokenizedWords) => {
+                return _tokenizedWords[index - 1].join(``) === _tokenizedWords[index].join(``);
+            });
+            const uniqueChars = collectUniqueChars(tokenizedWords);
+            const edges = collectSymbolConstraints(tokenizedWords, isComparedPair);
+            const dtg = createConstraintDTG(uniqueChars, edges, option);
+            const sortedChars = dtg.topologicalSort();
+            const order = [ ...sortedChars, ...uniqueChars.filter((char) => !sortedChars.includes(char)) ];
+            const groupMap = new Map();
+            let diagnostics = [];
+
+            // the symbols of a level are ordered within the groups that tie on the lower level
+            order.forEach((char) => {
+                const groupKey = levelIndex > 0 ? levelTokenizers[levelIndex - 1](char).join(``) : ``;
+
+                if (!groupMap.has(groupKey)) {
+                    groupMap.set(groupKey, []);
+                }
+                groupMap.get(groupKey).push(char);
+            });
+
+            collectPrefixViolations(tokenizedWords, isComparedPair).forEach((wordPair) => {
+                diagnostics.push(createDiagnostic(
+                    DIAGNOSTIC_CODE.PREFIX_VIOLATION,
+                    `${levelName} level: Word ${words[wordPair[0]]} is placed before its own prefix ${words[wordPair[1]]}.`, {
+                        wordPair
+                    }, words
+                ));
+            });
+            dtg.getLoops().forEach((loopChars) => {
+                diagnostics.push(createDiagnostic(
+                    DIAGNOSTIC_CODE.LOOP_DETECTED,
+                    `${levelName} level: Characters ${loopChars.join(` → `)} form a loop.`, {
+                        chars: loopChars
+                    }
+                ));
+            });
+
+            let status = diagnostics.length ? EXTRACTION_STATUS.INCONSISTENT : EXTRACTION_STATUS.COMPLETE;
+
+            if (status === EXTRACTION_STATUS.COMPLETE) {
+                groupMap.forEach((groupChars) => {
+                    if (groupChars.slice(1).some((char, index) => !dtg.getPath(groupChars[index], char).length)) {
+                        status = EXTRACTION_STATUS.AMBIGUOUS;
+                        diagnostics.push(createDiagnostic(
+                            DIAGNOSTIC_CODE.INSUFFICIENT_INFORMATION,
+                            `${levelName} level: Input list of words do not have enough information to derive the complete order of ${groupChars.join(`, `)}.`, {
+                                chars: groupChars
+                            }
+                        ));
+                    }
+                });
+            }
+
+            levelDTGs.push(dtg);
+            return {
+                level,
+                order,
+                status,
+                edges,
+                diagnostics
+            };
+        });
+
+        const [ primaryLevel, secondaryLevel, tertiaryLevel ] = levels;
+        const statuses = levels.map((_level) => _level.status);
+        let status = EXTRACTION_STATUS.COMPLETE;
+
+        if (statuses.includes(EXTRACTION_STATUS.INCONSISTENT)) {
+            status = EXTRACTION_STATUS.INCONSISTENT;
+        } else if (statuses.includes(EXTRACTION_STATUS.AMBIGUOUS)) {
+            status = EXTRACTION_STATUS.AMBIGUOUS;
+        }
+
+        result = {
+            alphabet: levelDTGs[0].getLongestPath(),
+            status,
+            levels,
+            table: primaryLevel.order.map((primaryChar) => {
+                return {
+                    symbol: primaryChar,
+                    secondary: secondaryLevel.order.filter((secondaryChar) => {
+                        return levelTokenizers[0](secondaryChar).join(``) === primaryChar;
+                    }).map((secondaryChar) => {
+                        return {
+                            symbol: secondaryChar,
+                            tertiary: tertiaryLevel.order.filter((tertiaryChar) => levelTokenizers[1](tertiaryChar).join(``) === secondaryChar)
+                        };
+                    })
+                };
+            }),
+            diagnostics: levels.map((_level) => _level.diagnostics).flat()
+        };
+        checkResult(`extractCollation`, result, option);
+    } else {
+        result.diagnostics.push(createDiagnostic(
+            DIAGNOSTIC_CODE.INVALID_INPUT,
+            `Input words are not strings or invalid.`
+        ));
+        checkResult(`extractCollation`, result, option);
+    }
+    return result;
+};
+
+/**
+ * @description - Extract alphabet characters from a given listed of sorted words.
+ *                Assuming the given list of words will have enough information
+ *                to derive the complete set of the alphabet.
+ *                This is a thin wrapper of extractAlphabet that logs the diagnostics as warnings with the logger option, see setLogger,
+ *                or throws them as a typed error with the strict option.
+ *                With the robust option, extractAlphabetRobust is used instead so a few mis-sorted words do not spoil the alphabet.
+ *
+ *                Example proplem:
+ *                      You are given a list of words sorted in alphabetical order. The only issue is that this alphabet isn’t English.
+ *                      Can you determine the ordering of the alphabet?
+ *                      Note that you can assume the list of words will have enough information to derive the complete order of the alphabet.
+ *
+ *                      Input:  [ bca, aaa, acb, ddb, dca ]
+ *                      Output: [ b, a, d, c ]
+ *
+ * @function extractAlphabetChars
+ * @param {array} words
+ * @param {object} option - tokenizer option, see createTokenizer, robust, strict and logger
+ * @return {array}
+ */
+const extractAlphabetChars = (words, option = {}) => {
+    const {
+        alphabet,
+        diagnostics
+    } = option.robust ? extractAlphabetRobust(words, option) : extractAlphabet(words, option);
+
+    diagnostics.forEach((diagnostic) => {
+        log(option.logger, LOG_LEVEL.WARN, `WARN: extractAlphabetChars - ${diagnostic.message}`);
+    });
+    return alphabet;
 };
 
 export {
+    EXTRACTION_STATUS,
+    DIAGNOSTIC_CODE,
+    COLLATION_LEVEL,
+    AlphabetError,
+    InvalidInputError,
+    InconsistentOrderError,
+    InsufficientInformationError,
+    DuplicateEdgeError,
+    LimitExceededError,
+    setLogger,
     getUniqueCharSet,
     getOrderedCharSet,
+    getCharConstraints,
+    getPrefixViolations,
+    getConstraintDTG,
+    getConstraintDTGParallel,
+    explainCharOrder,
+    extractAlphabet,
+    extractAlphabetRobust,
+    enumerateAlphabets,
+    countAlphabets,
+    suggestComparisons,
+    getAlphabetConfidence,
+    extractCollation,
     extractAlphabetChars
 };
@@ -0,0 +1,353 @@
+/*
+ *
+ * Command-line interface that extracts an alphabet from a sorted word list in a file or stdin.
+ *
+ */
+`use strict`; // eslint-disable-line
+
+import fs from 'fs';
+
+import path from 'path';
+
+import {
+    extractAlphabet,
+    extractAlphabetRobust,
+    getConstraintDTG
+} from './alphabet-extractor';
+
+import { EXTRACTION_STATUS } from './diagnostic';
+
+/**
+ * @description - Exit codes of the command-line tool, one for each extraction status.
+ *
+ * @constant EXIT_CODE
+ */
+const EXIT_CODE = {
+    COMPLETE: 0,
+    ERROR: 1,
+    AMBIGUOUS: 2,
+    INCONSISTENT: 3,
+    INVALID_INPUT: 4
+};
+
+const STATUS_EXIT_CODES = {
+    [EXTRACTION_STATUS.COMPLETE]: EXIT_CODE.COMPLETE,
+    [EXTRACTION_STATUS.AMBIGUOUS]: EXIT_CODE.AMBIGUOUS,
+    [EXTRACTION_STATUS.INCONSISTENT]: EXIT_CODE.INCONSISTENT,
+    [EXTRACTION_STATUS.INVALID_INPUT]: EXIT_CODE.INVALID_INPUT
+};
+
+const USAGE = `Usage: alphabet-extractor [options] [file]
+
+Extract the alphabet of a sorted word list read from file, or from stdin when file is - or missing.
+
+Options:
+  -i, --input-format <format>    lines, json or csv. Defaults to the file extension, else lines
+  -c, --column <name|index>      the JSON object key or the CSV column holding the words. Defaults to the first column
+      --header                   skip the first CSV row. Implied when the column is a name
+  -o, --output-format <format>   text, json, report, or the constraint graph as dot or mermaid. Defaults to text
+  -m, --mode <mode>              tokenizer mode: code-unit, code-point or grapheme. Defaults to code-unit
+  -n, --normalization <form>     normalize words with NFC, NFD, NFKC or NFKD
+  -g, --graphemes <list>         comma separated multi-character letters, for example ch,ll
+      --case-insensitive         fold upper case characters into lower case ones
+      --accent-insensitive       fold accented characters into their base characters
+      --ignore <chars>           characters to ignore, for example -'
+  -r, --robust                   treat the few mis-sorted word pairs as outliers instead of failing
+  -q, --quiet                    do not print the diagnostics and warnings to stderr
+  -h, --help                     print this help
+
+Exit codes:
+  0 complete, 1 error, 2 ambiguous, 3 inconsistent, 4 invalid input
+`;
+
+const OPTION_ALIASES = {
+    '-i': `--input-format`,
+    '-c': `--column`,
+    '-o': `--output-format`,
+    '-m': `--mode`,
+    '-n': `--normalization`,
+    '-g': `--graphemes`,
+    '-r': `--robust`,
+    '-q': `--quiet`,
+    '-h': `--help`
+};
+const VALUE_OPTIONS = [ `--input-format`, `--column`, `--output-format`, `--mode`, `--normalization`, `--graphemes`, `--ignore` ];
+const FLAG_OPTIONS = [ `--header`, `--case-insensitive`, `--accent-insensitive`, `--robust`, `--quiet`, `--help` ];
+
+/**
+ * @description - Parse the command-line arguments. Throws an error on an unknown or incomplete option.
+ *
+ * @function parseArgs
+ * @param {array} args - the arguments after the program name
+ * @return {object}
+ */
+const parseArgs = (args) => {
+    let parsedArgs = {
+        file: null,
+        inputFormat: null,
+        column: null,
+        header: false,
+        outputFormat: `text`,
+        mode: undefined,
+        normalization: null,
+        graphemes: [],
+        caseInsensitive: false,
+        accentInsensitive: false,
+        ignore: ``,
+        robust: false,
+        quiet: false,
+        help: false
+    };
+    let index = 0;
+
+    while (index < args.length) {
+        const arg = args[index];
+        const separatorIndex = arg.startsWith(`--`) ? arg.indexOf(`=`) : -1;
+        const name = separatorIndex > 0 ? arg.substring(0, separatorIndex) : OPTION_ALIASES[arg] || arg;
+        const inlineValue = separatorIndex > 0 ? arg.substring(separatorIndex + 1) : undefined;
+
+        if (VALUE_OPTIONS.includes(name)) {
+            const value = inlineValue !== undefined ? inlineValue : args[index + 1];
+
+            if (value === undefined) {
+                throw new Error(`Option ${name} requires a value.`);
+            }
+            if (inlineValue === undefined) {
+                index += 1;
+            }
+            if (name === `--input-format`) {
+                parsedArgs.inputFormat = value;
+            } else if (name === `--column`) {
+                parsedArgs.column = value;
+            } else if (name === `--output-format`) {
+                parsedArgs.outputFormat = value;
+            } else if (name === `--mode`) {
+                parsedArgs.mode = value;
+            } else if (name === `--normalization`) {
+                parsedArgs.normalization = value;
+            } else if (name === `--ignore`) {
+                parsedArgs.ignore = value;
+            } else {
+                parsedArgs.graphemes = value.split(`,`).filter((grapheme) => grapheme !== ``);
+            }
+        } else if (FLAG_OPTIONS.includes(name)) {
+            // --case-insensitive sets caseInsensitive
+            parsedArgs[name.substring(2).replace(/-(\w)/g, (match, char) => char.toUpperCase())] = true;
+        } else if (arg === `-` || !arg.startsWith(`-`)) {
+            if (parsedArgs.file !== null) {
+                throw new Error(`Only one input file can be given.`);
+            }
+            parsedArgs.file = arg;
+        } else {
+            throw new Error(`Unknown option ${arg}.`);
+        }
+        index += 1;
+    }
+
+    if (parsedArgs.inputFormat === null) {
+        const extension = parsedArgs.file !== null ? path.extname(parsedArgs.file).toLowerCase() : ``;
+
+        parsedArgs.inputFormat = [ `.json`, `.csv` ].includes(extension) ? extension.substring(1) : `lines`;
+    }
+    if (![ `lines`, `json`, `csv` ].includes(parsedArgs.inputFormat)) {
+        throw new Error(`Input format ${parsedArgs.inputFormat} is invalid.`);
+    }
+    if (![ `text`, `json`, `report`, `dot`, `mermaid` ].includes(parsedArgs.outputFormat)) {
+        throw new Error(`Output format ${parsedArgs.outputFormat} is invalid.`);
+    }
+    return parsedArgs;
+};
+
+/**
+ * @description - Parse CSV text into rows of fields. Quoted fields may hold commas, line breaks and doubled quotes.
+ *
+ * @function parseCSV
+ * @param {string} text
+ * @return {array}
+ */
+const parseCSV = (text) => {
+    let rows = [];
+    let row = [];
+    let field = ``;
+    let quoted = false;
+    let index = 0;
+
+    while (index < text.length) {
+        const char = text.charAt(index);
+
+        if (quoted) {
+            if (char === `"` && text.charAt(index + 1) === `"`) {
+                field += `"`;
+                index += 1;
+            } else if (char === `"`) {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === `"`) {
+            quoted = true;
+        } else if (char === `,`) {
+            row.push(field);
+            field = ``;
+        } else if (char === `\n` || char === `\r`) {
+            if (char === `\r` && text.charAt(index + 1) === `\n`) {
+                index += 1;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = ``;
+        } else {
+            field += char;
+        }
+        index += 1;
+    }
+    if (field !== `` || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+};
+
+/**
+ * @description - Read the word list out of the input text. Throws an error when the text does not hold a word list.
+ *                lines - one word per line, blank lines are skipped
+ *                json  - an array of words, an array of objects holding the words under the column key,
+ *                        or an object holding such an array under the column key or under words
+ *                csv   - the words of one column
+ *
+ * @function readWords
+ * @param {string} text
+ * @param {object} option - inputFormat, column and header
+ * @return {array}
+ */
+const readWords = (text, {
+    inputFormat = `lines`,
+    column = null,
+    header = false
+} = {}) => {
+    let words = [];
+
+    if (inputFormat === `json`) {
+        let data = JSON.parse(text);
+
+        if (data !== null && typeof data === `object` && !Array.isArray(data)) {
+            data = data[column !== null ? column : `words`];
+        }
+        if (!Array.isArray(data)) {
+            throw new Error(`JSON input does not hold an array of words.`);
+        }
+        words = data.map((item) => item !== null && typeof item === `object` && column !== null ? item[column] : item);
+    } else if (inputFormat === `csv`) {
+        const rows = parseCSV(text);
+        const isIndex = column === null || /^\d+$/.test(column);
+        const columnIndex = isIndex ? Number(column || 0) : (rows[0] || []).indexOf(column);
+
+        if (columnIndex < 0) {
+            throw new Error(`CSV input does not have a column ${column}.`);
+        }
+        words = rows.slice(header || !isIndex ? 1 : 0).map((row) => row[columnIndex]).filter((word) => word !== undefined);
+    } else {
+        words = text.split(/\r?\n/).filter((line) => line !== ``);
+    }
+    return words;
+};
+
+/**
+ * @description - Private function to read all of a stream into a string.
+ *
+ * @function readStream
+ * @param {object} stream
+ * @return {object} a promise of the text
+ */
+const readStream = (stream) => new Promise((resolve, reject) => {
+    let text = ``;
+
+    stream.setEncoding(`utf8`);
+    stream.on(`data`, (chunk) => {
+        text += chunk;
+    });
+    stream.on(`end`, () => resolve(text));
+    stream.on(`error`, reject);
+});
+
+/**
+ * @description - Run the command-line tool.
+ *
+ *                Example:
+ *                      $ printf 'bca\naaa\nacb\nddb\ndca\n' | alphabet-extractor
+ *                      b a d c
+ *
+ * @function runCli
+ * @param {array} args - the arguments after the program name
+ * @param {object} io - stdin, stdout and stderr streams, defaults to the process streams
+ * @return {object} a promise of the exit code
+ */
+const runCli = async (args, {
+    stdin = process.stdin,
+    stdout = process.stdout,
+    stderr = process.stderr
+} = {}) => {
+    let parsedArgs;
+    let words;
+
+    try {
+        parsedArgs = parseArgs(args);
+    } catch (error) {
+        stderr.write(`ERROR: ${error.message}\n\n${USAGE}`);
+        return EXIT_CODE.ERROR;
+    }
+    if (parsedArgs.help) {
+        stdout.write(USAGE);
+        return EXIT_CODE.COMPLETE;
+    }
+
+    try {
+        const text = await readStream(parsedArgs.file === null || parsedArgs.file === `-` ? stdin : fs.createReadStream(parsedArgs.file));
+
+        words = readWords(text, parsedArgs);
+    } catch (error) {
+        stderr.write(`ERROR: ${error.message}\n`);
+        return EXIT_CODE.ERROR;
+    }
+
+    const option = {
+        mode: parsedArgs.mode,
+        normalization: parsedArgs.normalization,
+        graphemes: parsedArgs.graphemes,
+        caseInsensitive: parsedArgs.caseInsensitive,
+        accentInsensitive: parsedArgs.accentInsensitive,
+        equivalences: Object.fromEntries(Array.from(parsedArgs.ignore, (char) => [ char, `` ])),
+        logger: parsedArgs.quiet ? null : (level, message) => stderr.write(`${message}\n`)
+    };
+    const result = parsedArgs.robust ? extractAlphabetRobust(words, option) : extractAlphabet(words, option);
+
+    if (parsedArgs.outputFormat === `report`) {
+        stdout.write(`${JSON.stringify(result, null, 4)}\n`);
+    } else if (parsedArgs.outputFormat === `dot` || parsedArgs.outputFormat === `mermaid`) {
+        const dtg = getConstraintDTG(words, option);
+
+        stdout.write(parsedArgs.outputFormat === `dot` ? dtg.toDOT({
+            path: result.alphabet
+        }) : dtg.toMermaid({
+            path: result.alphabet
+        }));
+    } else {
+        stdout.write(parsedArgs.outputFormat === `json` ? `${JSON.stringify(result.alphabet)}\n` : `${result.alphabet.join(` `)}\n`);
+        if (!parsedArgs.quiet) {
+            result.diagnostics.forEach((diagnostic) => {
+                stderr.write(`WARN: ${diagnostic.code} - ${diagnostic.message}\n`);
+            });
+        }
+    }
+
+    return STATUS_EXIT_CODES[result.status];
+};
+
+export {
+    EXIT_CODE,
+    parseArgs,
+    parseCSV,
+    readWords,
+    runCli
+};
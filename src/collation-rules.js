@@ -0,0 +1,371 @@
+/*
+ *
+ * Export an alphabet or a layered collation table as ICU tailoring rules and CLDR LDML, and parse such rules back.
+ *
+ */
+`use strict`; // eslint-disable-line
+
+import { report } from './logger';
+
+import { InvalidInputError } from './errors';
+
+const RELATION_OPERATORS = [ `<<<`, `<<`, `<`, `=` ];
+
+/**
+ * @description - Private function to quote a symbol for an ICU rule. White space and ASCII characters other than letters and digits
+ *                are reserved, so symbols holding any of them are quoted and apostrophes are doubled.
+ *
+ * @function quoteSymbol
+ * @param {string} symbol
+ * @return {string}
+ */
+const quoteSymbol = (symbol) => {
+    if (/^'+$/.test(symbol)) {
+        return symbol.replace(/'/g, `''`);
+    } else if (/[\s!-/:-@[-`{-~]/.test(symbol)) {
+        return `'${symbol.replace(/'/g, `''`)}'`;
+    }
+    return symbol;
+};
+
+/**
+ * @description - Private function to find the relation operator at a position of an ICU rule, longest first.
+ *
+ * @function findOperator
+ * @param {string} rule
+ * @param {number} index
+ * @return {string|undefined}
+ */
+const findOperator = (rule, index) => RELATION_OPERATORS.find((operator) => rule.startsWith(operator, index));
+
+/**
+ * @description - Private function to turn a flat alphabet into a layered collation table with one variant per symbol.
+ *                A layered collation table is checked entry by entry, like the Collator does.
+ *
+ * @function toTable
+ * @param {array} alphabet - the ordered characters of an alphabet, or a layered collation table
+ * @return {array|null} null when the alphabet is neither
+ */
+const toTable = (alphabet) => {
+    if (!Array.isArray(alphabet) || !alphabet.length) {
+        return null;
+    } else if (alphabet.every((char) => typeof char === `string`)) {
+        return alphabet.map((char) => {
+            return {
+                symbol: char,
+                secondary: [{
+                    symbol: char,
+                    tertiary: [ char ]
+                }]
+            };
+        });
+    } else if (alphabet.every((entry) => {
+        return entry !== null && typeof entry === `object` && typeof entry.symbol === `string` && Array.isArray(entry.secondary) &&
+               entry.secondary.every((variant) => variant !== null && typeof variant === `object` && Array.isArray(variant.tertiary) &&
+                                                  variant.tertiary.every((char) => typeof char === `string`));
+    })) {
+        return alphabet;
+    }
+    return null;
+};
+
+/**
+ * @description - Export an alphabet or a layered collation table as an ICU collation tailoring rule.
+ *                Primary differences are written with <, secondary ones with << and tertiary ones with <<<.
+ *
+ *                Example:
+ *                      toICURule([ `b`, `a`, `d`, `c` ])
+ *                      Output: &b < a < d < c
+ *
+ *                      toICURule(extractCollation([ `ab`, `áb`, `Áb`, `b` ]).table)
+ *                      Output: &a << á <<< Á < b
+ *
+ * @function toICURule
+ * @param {array} alphabet - the ordered characters of an alphabet, or a layered collation table
+ * @param {object} option - strict (throw an InvalidInputError instead of logging an invalid alphabet) and logger, see setLogger
+ * @return {string}
+ */
+const toICURule = (alphabet, option = {}) => {
+    const table = toTable(alphabet);
+    let rule = ``;
+
+    if (table !== null) {
+        let relations = [];
+
+        table.forEach((entry) => {
+            entry.secondary.forEach((variant, secondaryIndex) => {
+                variant.tertiary.forEach((char, tertiaryIndex) => {
+                    let operator = `<<<`;
+
+                    if (secondaryIndex === 0 && tertiaryIndex === 0) {
+                        operator = `<`;
+                    } else if (tertiaryIndex === 0) {
+                        operator = `<<`;
+                    }
+                    relations.push([ operator, quoteSymbol(char) ]);
+                });
+            });
+        });
+        if (relations.length) {
+            // the first symbol is the reset point the others are placed after
+            rule = [ `&${relations[0][1]}`, ...relations.slice(1).map(([ operator, char ]) => `${operator} ${char}`) ].join(` `);
+        }
+    } else {
+        report(new InvalidInputError(`Input alphabet is invalid.`, {
+            source: `toICURule`
+        }), option);
+    }
+    return rule;
+};
+
+/**
+ * @description - Export an alphabet or a layered collation table as a CLDR LDML collation fragment holding its ICU rule.
+ *
+ *                Example:
+ *                      toLDML([ `b`, `a`, `d`, `c` ])
+ *                      Output: <collation type="standard">
+ *                                  <cr><![CDATA[&b < a < d < c]]></cr>
+ *                              </collation>
+ *
+ * @function toLDML
+ * @param {array} alphabet - the ordered characters of an alphabet, or a layered collation table
+ * @param {object} option - type (the collation type, defaults to standard), strict and logger
+ * @return {string}
+ */
+const toLDML = (alphabet, option = {}) => {
+    const {
+        type = `standard`
+    } = option;
+    const rule = toICURule(alphabet, option).replace(/]]>/g, `]]]]><![CDATA[>`);
+    const escapedType = type.replace(/&/g, `&amp;`).replace(/"/g, `&quot;`).replace(/</g, `&lt;`);
+
+    return `<collation type="${escapedType}">\n    <cr><![CDATA[${rule}]]></cr>\n</collation>\n`;
+};
+
+/**
+ * @description - Private function to split an ICU rule into resets, relation operators and symbols.
+ *                Quoted text is taken literally, \u escapes are decoded, white space separates tokens and # starts a comment.
+ *
+ * @function tokenizeRule
+ * @param {string} rule
+ * @return {array}
+ */
+const tokenizeRule = (rule) => {
+    let tokens = [];
+    let symbol = ``;
+    let index = 0;
+    const pushSymbol = () => {
+        if (symbol !== ``) {
+            tokens.push({
+                type: `symbol`,
+                value: symbol
+            });
+            symbol = ``;
+        }
+    };
+
+    while (index < rule.length) {
+        const char = rule.charAt(index);
+        const operator = findOperator(rule, index);
+
+        if (char === `'`) {
+            if (rule.charAt(index + 1) === `'`) {
+                // a doubled apostrophe is a literal apostrophe
+                symbol += `'`;
+                index += 2;
+            } else {
+                // quoted text runs to the next single apostrophe, doubled apostrophes inside it are literal
+                const quotedText = /^'((?:[^']|'')*)'/.exec(rule.substring(index));
+
+                if (quotedText === null) {
+                    throw new InvalidInputError(`ICU rule has an unclosed quote at ${index}.`, {
+                        source: `parseICURule`
+                    });
+                }
+                symbol += quotedText[1].replace(/''/g, `'`);
+                index += quotedText[0].length;
+            }
+        } else if (char === `\\` && rule.charAt(index + 1) === `u`) {
+            const hexDigits = rule.substring(index + 2, index + 6);
+
+            if (!/^[0-9a-fA-F]{4}$/.test(hexDigits)) {
+                throw new InvalidInputError(`ICU rule has an invalid \\u escape at ${index}.`, {
+                    source: `parseICURule`
+                });
+            }
+            symbol += String.fromCharCode(parseInt(hexDigits, 16));
+            index += 6;
+        } else if (char === `#`) {
+            pushSymbol();
+            index = rule.indexOf(`\n`, index) < 0 ? rule.length : rule.indexOf(`\n`, index);
+        } else if (char === `&` || operator !== undefined) {
+            pushSymbol();
+            tokens.push({
+                type: char === `&` ? `reset` : `operator`,
+                value: char === `&` ? `&` : operator
+            });
+            index += char === `&` ? 1 : operator.length;
+            if (rule.charAt(index) === `*`) {
+                // the starred form relates each following character in turn
+                tokens[tokens.length - 1].starred = true;
+                index += 1;
+            }
+        } else if (/\s/.test(char)) {
+            pushSymbol();
+            index += 1;
+        } else {
+            symbol += char;
+            index += 1;
+        }
+    }
+    pushSymbol();
+    return tokens;
+};
+
+/**
+ * @description - Parse an ICU collation tailoring rule back into a layered collation table and its primary alphabet.
+ *                A reset to a symbol that is already placed continues after it, and a reset to a new symbol starts a new primary entry.
+ *                Throws an InvalidInputError when the rule is malformed.
+ *
+ *                Example:
+ *                      parseICURule(`&a << á <<< Á < b`)
+ *                      Output: {
+ *                                  alphabet: [ a, b ],
+ *                                  table: [{ symbol: a, secondary: [{ symbol: a, tertiary: [ a ] }, { symbol: á, tertiary: [ á, Á ] }] },
+ *                                          { symbol: b, secondary: [{ symbol: b, tertiary: [ b ] }] }]
+ *                              }
+ *
+ * @function parseICURule
+ * @param {string} rule
+ * @return {object}
+ */
+const parseICURule = (rule) => {
+    let table = [];
+    let position = null;
+
+    if (typeof rule !== `string`) {
+        throw new InvalidInputError(`ICU rule is not a string.`, {
+            source: `parseICURule`
+        });
+    }
+
+    const findPosition = (char) => {
+        let found = null;
+
+        table.forEach((entry, primaryIndex) => {
+            entry.secondary.forEach((variant, secondaryIndex) => {
+                const tertiaryIndex = variant.tertiary.indexOf(char);
+
+                if (tertiaryIndex >= 0) {
+                    found = [ primaryIndex, secondaryIndex, tertiaryIndex ];
+                }
+            });
+        });
+        return found;
+    };
+    const place = (operator, char) => {
+        const [ primaryIndex, secondaryIndex, tertiaryIndex ] = position;
+
+        if (findPosition(char) !== null) {
+            throw new InvalidInputError(`ICU rule places ${char} more than once.`, {
+                source: `parseICURule`
+            });
+        }
+        if (operator === `<`) {
+            table.splice(primaryIndex + 1, 0, {
+                symbol: char,
+                secondary: [{
+                    symbol: char,
+                    tertiary: [ char ]
+                }]
+            });
+            position = [ primaryIndex + 1, 0, 0 ];
+        } else if (operator === `<<`) {
+            table[primaryIndex].secondary.splice(secondaryIndex + 1, 0, {
+                symbol: char,
+                tertiary: [ char ]
+            });
+            position = [ primaryIndex, secondaryIndex + 1, 0 ];
+        } else {
+            // tertiary differences and identical symbols both stay in the same tertiary list
+            table[primaryIndex].secondary[secondaryIndex].tertiary.splice(tertiaryIndex + 1, 0, char);
+            position = [ primaryIndex, secondaryIndex, tertiaryIndex + 1 ];
+        }
+    };
+    const tokens = tokenizeRule(rule);
+    let index = 0;
+
+    while (index < tokens.length) {
+        const token = tokens[index];
+        const nextToken = tokens[index + 1];
+
+        if (token.type === `symbol`) {
+            throw new InvalidInputError(`ICU rule has ${token.value} where a reset or a relation is expected.`, {
+                source: `parseICURule`
+            });
+        } else if (nextToken === undefined || nextToken.type !== `symbol`) {
+            throw new InvalidInputError(`ICU rule is missing a symbol after ${token.value}.`, {
+                source: `parseICURule`
+            });
+        } else if (token.type === `reset`) {
+            position = findPosition(nextToken.value);
+            if (position === null) {
+                table.push({
+                    symbol: nextToken.value,
+                    secondary: [{
+                        symbol: nextToken.value,
+                        tertiary: [ nextToken.value ]
+                    }]
+                });
+                position = [ table.length - 1, 0, 0 ];
+            }
+        } else if (token.type === `operator`) {
+            if (position === null) {
+                throw new InvalidInputError(`ICU rule must start with a reset.`, {
+                    source: `parseICURule`
+                });
+            }
+            (token.starred ? Array.from(nextToken.value) : [ nextToken.value ]).forEach((char) => place(token.value, char));
+        }
+        index += 2;
+    }
+    return {
+        alphabet: table.map((entry) => entry.symbol),
+        table
+    };
+};
+
+/**
+ * @description - Parse the ICU rule of a CLDR LDML collation fragment back into a layered collation table and its primary alphabet.
+ *                Throws an InvalidInputError when the fragment has no rule or the rule is malformed.
+ *
+ * @function parseLDML
+ * @param {string} ldml
+ * @return {object}
+ */
+const parseLDML = (ldml) => {
+    const match = typeof ldml === `string` ? /<cr>([\s\S]*?)<\/cr>/.exec(ldml) : null;
+
+    if (match === null) {
+        throw new InvalidInputError(`LDML has no collation rule.`, {
+            source: `parseLDML`
+        });
+    }
+
+    // CDATA sections are taken literally, the rest of the text has its entities decoded
+    const rule = match[1].split(/(<!\[CDATA\[[\s\S]*?\]\]>)/).map((part) => {
+        if (part.startsWith(`<![CDATA[`)) {
+            return part.substring(9, part.length - 3);
+        }
+        return part.replace(/&lt;/g, `<`).replace(/&gt;/g, `>`).replace(/&quot;/g, `"`).replace(/&apos;/g, `'`).replace(/&amp;/g, `&`);
+    }).join(``);
+
+    return parseICURule(rule);
+};
+
+export {
+    toICURule,
+    toLDML,
+    parseICURule,
+    parseLDML
+};
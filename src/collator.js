@@ -0,0 +1,415 @@
+/*
+ *
+ * A collator that compares, sorts and searches words with an extracted or user supplied alphabet.
+ *
+ */
+`use strict`; // eslint-disable-line
+
+import { createTokenizer } from './tokenizer';
+
+import {
+    EXTRACTION_STATUS,
+    DIAGNOSTIC_CODE,
+    createDiagnostic
+} from './diagnostic';
+
+import { report } from './logger';
+
+import { InvalidInputError } from './errors';
+
+/**
+ * @description - Policies for characters that are not in the alphabet.
+ *                throw      - throw an error
+ *                first      - sort before every character of the alphabet, all unknown characters rank the same
+ *                last       - sort after every character of the alphabet, all unknown characters rank the same
+ *                code-point - sort after every character of the alphabet, unknown characters rank among themselves by code point
+ *
+ * @constant UNKNOWN_CHAR_POLICY
+ */
+const UNKNOWN_CHAR_POLICY = {
+    THROW: `throw`,
+    FIRST: `first`,
+    LAST: `last`,
+    CODE_POINT: `code-point`
+};
+
+/**
+ * @description - Private function to compare two symbols by code point, unlike the < operator that compares UTF-16 code units.
+ *
+ * @function compareCodePoints
+ * @param {string} symbolA
+ * @param {string} symbolB
+ * @return {number}
+ */
+const compareCodePoints = (symbolA, symbolB) => {
+    const codePointsA = Array.from(symbolA, (char) => char.codePointAt(0));
+    const codePointsB = Array.from(symbolB, (char) => char.codePointAt(0));
+    const length = Math.min(codePointsA.length, codePointsB.length);
+
+    for (let index = 0; index < length; index += 1) {
+        if (codePointsA[index] !== codePointsB[index]) {
+            return Math.sign(codePointsA[index] - codePointsB[index]);
+        }
+    }
+    return Math.sign(codePointsA.length - codePointsB.length);
+};
+
+/**
+ * @description - A Collator module. Words are split into symbols with the same tokenizer option as the extractor,
+ *                so the alphabet of extractAlphabetChars sorts its own word list back.
+ *                The alphabet can also be the layered collation table of extractCollation or parseICURule,
+ *                in which case words are compared on base letters first, then on accents, then on case.
+ *                Like Intl.Collator, compare is bound to the collator so it can be passed to Array.prototype.sort.
+ *
+ *                Example:
+ *                      const collator = new Collator([ `b`, `a`, `d`, `c` ]);
+ *
+ *                      collator.sort([ `dca`, `aaa`, `bca` ]); // [ bca, aaa, dca ]
+ *                      collator.isSorted([ `bca`, `dca`, `aaa` ]); // 2
+ *                      [ `dca`, `aaa`, `bca` ].sort(collator.compare); // [ bca, aaa, dca ]
+ *
+ * @module Collator
+ * @param {array|string} alphabet - the ordered characters of the alphabet, a string of them split with the tokenizer,
+ *                                  or a layered collation table
+ * @param {object} option - tokenizer option, see createTokenizer, unknownChar (one of the unknown char policies, defaults to throw),
+ *                          strict (throw an InvalidInputError instead of logging invalid input) and logger, see setLogger
+ * @return {object}
+ */
+const Collator = function (alphabet, option = {}) {
+    const collator = this;
+    const {
+        unknownChar = UNKNOWN_CHAR_POLICY.THROW,
+        strict = false,
+        logger
+    } = option;
+
+    collator._tokenize = createTokenizer(option);
+    collator._rankMap = new Map();
+    collator._unknownChar = unknownChar;
+    collator._option = {
+        strict,
+        logger
+    };
+
+    if (!Object.values(UNKNOWN_CHAR_POLICY).includes(unknownChar)) {
+        collator._unknownChar = UNKNOWN_CHAR_POLICY.THROW;
+        report(new InvalidInputError(`Unknown char policy ${unknownChar} is invalid. Using ${UNKNOWN_CHAR_POLICY.THROW} policy.`, {
+            source: `Collator`
+        }), collator._option);
+    }
+
+    const chars = typeof alphabet === `string` ? collator._tokenize(alphabet) : alphabet;
+    const setRanks = (char, ranks) => {
+        if (collator._rankMap.has(char)) {
+            report(new InvalidInputError(`Character ${char} is already in the alphabet.`, {
+                source: `Collator`,
+                chars: [ char ]
+            }), collator._option);
+        } else {
+            collator._rankMap.set(char, ranks);
+        }
+    };
+
+    // each character ranks on the primary, secondary and tertiary levels
+    if (Array.isArray(chars) && chars.length && chars.every((char) => typeof char === `string`)) {
+        chars.forEach((char, rank) => setRanks(char, [ rank, 0, 0 ]));
+    } else if (Array.isArray(chars) && chars.length && chars.every((entry) => {
+        return entry !== null && typeof entry === `object` && typeof entry.symbol === `string` && Array.isArray(entry.secondary) &&
+               entry.secondary.every((variant) => variant !== null && typeof variant === `object` && Array.isArray(variant.tertiary) &&
+                                                  variant.tertiary.every((char) => typeof char === `string`));
+    })) {
+        chars.forEach((entry, primaryRank) => {
+            entry.secondary.forEach((variant, secondaryRank) => {
+                variant.tertiary.forEach((char, tertiaryRank) => setRanks(char, [ primaryRank, secondaryRank, tertiaryRank ]));
+            });
+        });
+    } else {
+        report(new InvalidInputError(`Input alphabet is not strings or invalid.`, {
+            source: `Collator`
+        }), collator._option);
+    }
+    collator.compare = collator.compare.bind(collator);
+};
+
+Collator.prototype = {
+    /* ----- Collator Prototype Definitions --------------------- */
+    /**
+     * @description - Private function to compare two symbols at the first position where two words differ.
+     *                Unknown characters follow the unknown char policy on the primary level and tie on the other levels.
+     *
+     * @method _compareSymbols
+     * @param {string} symbolA
+     * @param {string} symbolB
+     * @param {number} level - 0 for primary, 1 for secondary and 2 for tertiary
+     * @returns {number}
+     */
+    _compareSymbols: function (symbolA, symbolB, level) {
+        const collator = this;
+        const hasSymbolA = collator._rankMap.has(symbolA);
+        const hasSymbolB = collator._rankMap.has(symbolB);
+
+        if (hasSymbolA && hasSymbolB) {
+            return Math.sign(collator._rankMap.get(symbolA)[level] - collator._rankMap.get(symbolB)[level]);
+        } else if (collator._unknownChar === UNKNOWN_CHAR_POLICY.THROW) {
+            throw new InvalidInputError(`Character ${hasSymbolA ? symbolB : symbolA} is not in the alphabet.`, {
+                source: `Collator.compare`,
+                chars: [ hasSymbolA ? symbolB : symbolA ]
+            });
+        } else if (level > 0) {
+            return 0;
+        } else if (hasSymbolA === hasSymbolB) {
+            return collator._unknownChar === UNKNOWN_CHAR_POLICY.CODE_POINT ? compareCodePoints(symbolA, symbolB) : 0;
+        }
+
+        // only one of the symbols is unknown, unknown symbols never interleave with known ones so the order stays transitive
+        const sign = collator._unknownChar === UNKNOWN_CHAR_POLICY.FIRST ? 1 : -1;
+
+        return hasSymbolA ? sign : -sign;
+    },
+    /**
+     * @description - Private function to compare two words already split into symbols, one level after the other.
+     *
+     * @method _compareSymbolLists
+     * @param {array} symbolsA
+     * @param {array} symbolsB
+     * @returns {number}
+     */
+    _compareSymbolLists: function (symbolsA, symbolsB) {
+        const collator = this;
+        const length = Math.min(symbolsA.length, symbolsB.length);
+
+        for (let level = 0; level < 3; level += 1) {
+            for (let position = 0; position < length; position += 1) {
+                if (symbolsA[position] !== symbolsB[position]) {
+                    const order = collator._compareSymbols(symbolsA[position], symbolsB[position], level);
+
+                    if (order !== 0) {
+                        return order;
+                    }
+                }
+            }
+            if (level === 0 && symbolsA.length !== symbolsB.length) {
+                // a word comes after its own prefix
+                return Math.sign(symbolsA.length - symbolsB.length);
+            }
+        }
+        return 0;
+    },
+    /**
+     * @description - Private function to find the first index of a sorted word list where the word is not before the given word,
+     *                or after it when upper is true.
+     *
+     * @method _search
+     * @param {array} sortedWords
+     * @param {string} word
+     * @param {boolean} upper
+     * @returns {number}
+     */
+    _search: function (sortedWords, word, upper) {
+        const collator = this;
+        const symbols = collator._tokenize(word);
+        let low = 0;
+        let high = sortedWords.length;
+
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            const order = collator._compareSymbolLists(collator._tokenize(sortedWords[middle]), symbols);
+
+            if (order < 0 || (upper && order === 0)) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    },
+    /**
+     * @description - Compare two words. The result is negative when the first word comes first,
+     *                positive when it comes second and 0 when the words sort the same.
+     *
+     * @method compare
+     * @param {string} wordA
+     * @param {string} wordB
+     * @returns {number}
+     */
+    compare: function (wordA, wordB) {
+        const collator = this;
+        return collator._compareSymbolLists(collator._tokenize(wordA), collator._tokenize(wordB));
+    },
+    /**
+     * @description - Sort a list of words. Each word is split into symbols only once and equal words keep their order.
+     *
+     * @method sort
+     * @param {array} words
+     * @returns {array} a new sorted list of words
+     */
+    sort: function (words) {
+        const collator = this;
+
+        if (Array.isArray(words) && words.every((word) => typeof word === `string`)) {
+            return words.map((word) => {
+                return {
+                    word,
+                    symbols: collator._tokenize(word)
+                };
+            }).sort((itemA, itemB) => collator._compareSymbolLists(itemA.symbols, itemB.symbols)).map((item) => item.word);
+        }
+        report(new InvalidInputError(`Input words are not strings or invalid.`, {
+            source: `Collator.sort`
+        }), collator._option);
+        return [];
+    },
+    /**
+     * @description - Check if a list of words is sorted.
+     *                The result is the index of the first word that comes before its previous word, or -1 when the list is sorted.
+     *
+     * @method isSorted
+     * @param {array} words
+     * @returns {number}
+     */
+    isSorted: function (words) {
+        const collator = this;
+
+        if (Array.isArray(words) && words.every((word) => typeof word === `string`)) {
+            let prevSymbols = null;
+
+            return words.findIndex((word) => {
+                const symbols = collator._tokenize(word);
+                const isViolating = prevSymbols !== null && collator._compareSymbolLists(prevSymbols, symbols) > 0;
+
+                prevSymbols = symbols;
+                return isViolating;
+            });
+        }
+        report(new InvalidInputError(`Input words are not strings or invalid.`, {
+            source: `Collator.isSorted`
+        }), collator._option);
+        return -1;
+    },
+    /**
+     * @description - Validate a list of words against the alphabet, with the same result structure as extractAlphabet.
+     *                The status is complete when the list is sorted, inconsistent when a word pair is out of order
+     *                and invalid-input when the words are invalid or, with the throw policy, hold characters not in the alphabet.
+     *                Each word pair out of order gets an UNSORTED_WORD_PAIR diagnostic with its first differing characters,
+     *                or a PREFIX_VIOLATION one when a longer word comes before its own prefix.
+     *
+     *                Example:
+     *                      new Collator([ `b`, `a`, `d`, `c` ]).validate([ `bca`, `dca`, `aaa` ])
+     *                      Output: {
+     *                                  status: inconsistent,
+     *                                  diagnostics: [{ code: UNSORTED_WORD_PAIR, message: Word aaa should come before dca.,
+     *                                                  chars: [ d, a ], wordPair: { indices: [ 1, 2 ], words: [ dca, aaa ] } }]
+     *                              }
+     *
+     * @method validate
+     * @param {array} words
+     * @returns {object}
+     */
+    validate: function (words) {
+        const collator = this;
+        let result = {
+            status: EXTRACTION_STATUS.COMPLETE,
+            diagnostics: []
+        };
+
+        if (Array.isArray(words) && words.every((word) => typeof word === `string`)) {
+            const tokenizedWords = words.map(collator._tokenize);
+            const unknownChars = [ ...new Set(tokenizedWords.flat()) ].filter((char) => !collator._rankMap.has(char));
+
+            if (unknownChars.length && collator._unknownChar === UNKNOWN_CHAR_POLICY.THROW) {
+                result = {
+                    status: EXTRACTION_STATUS.INVALID_INPUT,
+                    diagnostics: unknownChars.map((char) => createDiagnostic(DIAGNOSTIC_CODE.UNKNOWN_CHAR, `Character ${char} is not in the alphabet.`, {
+                        chars: [ char ]
+                    }))
+                };
+            } else {
+                tokenizedWords.forEach((symbols, index) => {
+                    const prevSymbols = tokenizedWords[index - 1];
+
+                    if (index > 0 && collator._compareSymbolLists(prevSymbols, symbols) > 0) {
+                        const position = prevSymbols.findIndex((symbol, _position) => symbol !== symbols[_position]);
+
+                        result.diagnostics.push(position < symbols.length ? createDiagnostic(DIAGNOSTIC_CODE.UNSORTED_WORD_PAIR,
+                            `Word ${words[index]} should come before ${words[index - 1]}.`, {
+                                chars: [ prevSymbols[position], symbols[position] ],
+                                wordPair: [ index - 1, index ]
+                            }, words) : createDiagnostic(DIAGNOSTIC_CODE.PREFIX_VIOLATION,
+                            `Word ${words[index - 1]} is placed before its own prefix ${words[index]}.`, {
+                                wordPair: [ index - 1, index ]
+                            }, words));
+                    }
+                });
+                if (result.diagnostics.length) {
+                    result.status = EXTRACTION_STATUS.INCONSISTENT;
+                }
+            }
+        } else {
+            report(new InvalidInputError(`Input words are not strings or invalid.`, {
+                source: `Collator.validate`
+            }), collator._option);
+            result = {
+                status: EXTRACTION_STATUS.INVALID_INPUT,
+                diagnostics: [ createDiagnostic(DIAGNOSTIC_CODE.INVALID_INPUT, `Input words are not strings or invalid.`) ]
+            };
+        }
+        return result;
+    },
+    /**
+     * @description - Find a word in a sorted list of words with a binary search.
+     *                The result is the index of the first equal word, or -1 when the word is not found.
+     *
+     * @method binarySearch
+     * @param {array} sortedWords
+     * @param {string} word
+     * @returns {number}
+     */
+    binarySearch: function (sortedWords, word) {
+        const collator = this;
+        const index = collator.lowerBound(sortedWords, word);
+
+        return index < sortedWords.length && collator.compare(sortedWords[index], word) === 0 ? index : -1;
+    },
+    /**
+     * @description - Get the first index of a sorted list of words where the word could be inserted and keep the list sorted,
+     *                that is the index of the first word that does not come before it.
+     *
+     * @method lowerBound
+     * @param {array} sortedWords
+     * @param {string} word
+     * @returns {number}
+     */
+    lowerBound: function (sortedWords, word) {
+        const collator = this;
+        return collator._search(sortedWords, word, false);
+    },
+    /**
+     * @description - Get the last index of a sorted list of words where the word could be inserted and keep the list sorted,
+     *                that is the index of the first word that comes after it.
+     *
+     * @method upperBound
+     * @param {array} sortedWords
+     * @param {string} word
+     * @returns {number}
+     */
+    upperBound: function (sortedWords, word) {
+        const collator = this;
+        return collator._search(sortedWords, word, true);
+    },
+    /**
+     * @description - Get the alphabet of the collator.
+     *
+     * @method getAlphabet
+     * @returns {array}
+     */
+    getAlphabet: function () {
+        const collator = this;
+        return [ ...collator._rankMap.keys() ];
+    }
+};
+
+export {
+    UNKNOWN_CHAR_POLICY
+};
+
+export default Collator;
@@ -0,0 +1,229 @@
+/*
+ *
+ * Iterative constraint extraction over index ranges of a sorted word list, sharded across worker threads for very large word lists.
+ *
+ */
+`use strict`; // eslint-disable-line
+
+import os from 'os';
+
+import path from 'path';
+
+import {
+    TOKENIZER_OPTION_NAMES,
+    createTokenizer
+} from './tokenizer';
+
+import { runWorker } from './worker';
+
+import { report } from './logger';
+
+import { InvalidInputError } from './errors';
+
+/**
+ * @description - Add the constraint of an adjacent pair of tokenized words to a map of constraint edges keyed by their two characters.
+ *                The first differing characters of the pair give the edge, and the indices of the pair are added to its word pairs.
+ *                This is the one place where a word pair turns into a constraint, for the extractor, the incremental extractor and the workers.
+ *
+ *                Example:
+ *                      addPairConstraint(new Map(), [ `b`, `c`, `a` ], [ `a`, `a`, `a` ], [ 0, 1 ])
+ *                      Output: { vertexStart: b, vertexEnd: a, wordPairs: [[ 0, 1 ]] }
+ *
+ * @function addPairConstraint
+ * @param {object} constraintMap
+ * @param {array} prevSymbols
+ * @param {array} symbols
+ * @param {array} wordPair - the indices of the two words
+ * @return {object} the edge, new when its word pairs only hold this pair, or null when one word is a prefix of the other
+ */
+const addPairConstraint = (constraintMap, prevSymbols, symbols, wordPair) => {
+    const length = Math.min(prevSymbols.length, symbols.length);
+    let position = 0;
+
+    while (position < length && prevSymbols[position] === symbols[position]) {
+        position += 1;
+    }
+    if (position === length) {
+        return null;
+    }
+
+    const vertexStart = prevSymbols[position];
+    const vertexEnd = symbols[position];
+    const key = JSON.stringify([ vertexStart, vertexEnd ]);
+
+    if (constraintMap.has(key)) {
+        constraintMap.get(key).wordPairs.push(wordPair);
+    } else {
+        constraintMap.set(key, {
+            vertexStart,
+            vertexEnd,
+            wordPairs: [ wordPair ]
+        });
+    }
+    return constraintMap.get(key);
+};
+
+/**
+ * @description - Collect the constraint edges of the adjacent pairs of a tokenized word list.
+ *                Edges are listed in the order they are first found and keep the indices of the word pairs that support them.
+ *
+ * @function collectSymbolConstraints
+ * @param {array} tokenizedWords
+ * @param {function} isComparedPair - optional check of the index of the second word of a pair, all pairs are compared by default
+ * @return {array}
+ */
+const collectSymbolConstraints = (tokenizedWords, isComparedPair = () => true) => {
+    const constraintMap = new Map();
+
+    tokenizedWords.forEach((symbols, index) => {
+        if (index > 0 && isComparedPair(index)) {
+            addPairConstraint(constraintMap, tokenizedWords[index - 1], symbols, [ index - 1, index ]);
+        }
+    });
+    return [ ...constraintMap.values() ];
+};
+
+/**
+ * @description - Collect the unique characters and the constraint edges of the adjacent word pairs in a range of a sorted word list.
+ *                Words are split one at a time and only the previous word is kept, so no word is copied or trimmed.
+ *                Edges are listed in the order they are first found and keep the indices of the word pairs that support them.
+ *
+ *                Example:
+ *                      collectRangeConstraints([ `bca`, `aaa`, `acb`, `ddb`, `dca` ], 1, 4)
+ *                      Output: { uniqueChars: [ a, c, b, d ],
+ *                                edges: [{ vertexStart: a, vertexEnd: c, wordPairs: [[ 1, 2 ]] },
+ *                                        { vertexStart: a, vertexEnd: d, wordPairs: [[ 2, 3 ]] }] }
+ *
+ * @function collectRangeConstraints
+ * @param {array} words
+ * @param {number} start - the index of the first word of the range
+ * @param {number} end - the index after the last word of the range
+ * @param {object} option - tokenizer option, see createTokenizer
+ * @return {object}
+ */
+const collectRangeConstraints = (words, start = 0, end = words.length, option = {}) => {
+    const tokenize = createTokenizer(option);
+    const uniqueChars = new Set();
+    const constraintMap = new Map();
+    let prevSymbols = null;
+
+    for (let index = start; index < end; index += 1) {
+        const symbols = tokenize(words[index]);
+
+        symbols.forEach((symbol) => uniqueChars.add(symbol));
+        if (prevSymbols !== null) {
+            addPairConstraint(constraintMap, prevSymbols, symbols, [ index - 1, index ]);
+        }
+        prevSymbols = symbols;
+    }
+    return {
+        uniqueChars: [ ...uniqueChars ],
+        edges: [ ...constraintMap.values() ]
+    };
+};
+
+/**
+ * @description - Merge the constraints collected from consecutive ranges of a word list, in the order of the ranges.
+ *                The word pair indices of each range are shifted by its offset, so the merged edges are the same as
+ *                the ones collected from the whole word list at once.
+ *
+ * @function mergeRangeConstraints
+ * @param {array} rangeConstraints - a list of { offset, uniqueChars, edges }
+ * @return {object} the sorted unique characters and the edges
+ */
+const mergeRangeConstraints = (rangeConstraints) => {
+    const uniqueChars = new Set();
+    const constraintMap = new Map();
+
+    rangeConstraints.forEach(({
+        offset = 0,
+        uniqueChars: _uniqueChars,
+        edges
+    }) => {
+        _uniqueChars.forEach((char) => uniqueChars.add(char));
+        edges.forEach((edge) => {
+            const key = JSON.stringify([ edge.vertexStart, edge.vertexEnd ]);
+            const wordPairs = edge.wordPairs.map(([ indexA, indexB ]) => [ indexA + offset, indexB + offset ]);
+
+            if (constraintMap.has(key)) {
+                constraintMap.get(key).wordPairs.push(...wordPairs);
+            } else {
+                constraintMap.set(key, {
+                    vertexStart: edge.vertexStart,
+                    vertexEnd: edge.vertexEnd,
+                    wordPairs
+                });
+            }
+        });
+    });
+    return {
+        uniqueChars: [ ...uniqueChars ].sort(),
+        edges: [ ...constraintMap.values() ]
+    };
+};
+
+/**
+ * @description - Collect the unique characters and the constraint edges of a sorted word list across worker threads.
+ *                The word list is cut into one range per worker. Neighboring ranges share a word so that the word pair
+ *                across the cut is compared, and the ranges are merged in order so the result is the same as collecting them sequentially.
+ *                Only the tokenizer option that can be sent to a worker is used, a custom tokenizer function can not be sent.
+ *                The workers load the sources through babel, see runWorker.
+ *
+ * @function collectConstraintsInParallel
+ * @param {array} words
+ * @param {object} option - tokenizer option, see createTokenizer, workerCount (defaults to the number of CPUs), strict and logger.
+ *                          With one worker or fewer than 4 words the constraints are collected in the calling thread.
+ *                          A workerCount that is not a positive integer is reported and the number of CPUs is used
+ * @return {object} a promise of the sorted unique characters and the edges
+ */
+const collectConstraintsInParallel = async (words, option = {}) => {
+    let {
+        workerCount = os.cpus().length
+    } = option;
+
+    if (!Number.isInteger(workerCount) || workerCount < 1) {
+        report(new InvalidInputError(`Worker count ${workerCount} is not a positive integer. Using the number of CPUs.`, {
+            source: `collectConstraintsInParallel`
+        }), option);
+        workerCount = os.cpus().length;
+    }
+
+    const rangeCount = Math.max(1, Math.min(workerCount, Math.floor(words.length / 2)));
+    const rangeSize = Math.ceil(words.length / rangeCount);
+
+    // the workers stay silent, any warning about the tokenizer option is given once by the caller
+    const workerOption = TOKENIZER_OPTION_NAMES.filter((name) => option[name] !== undefined).reduce((_workerOption, name) => {
+        _workerOption[name] = option[name];
+        return _workerOption;
+    }, {
+        logger: null
+    });
+    const ranges = [ ...Array(rangeCount).keys() ].map((rangeIndex) => {
+        return [ Math.max(0, rangeIndex * rangeSize - 1), Math.min(words.length, (rangeIndex + 1) * rangeSize) ];
+    }).filter(([ start, end ]) => end - start > 0);
+
+    // a single range is not worth starting a worker for
+    if (ranges.length === 1) {
+        return mergeRangeConstraints([ collectRangeConstraints(words, 0, words.length, workerOption) ]);
+    }
+
+    const rangeConstraints = await Promise.all(ranges.map(async ([ start, end ]) => {
+        return {
+            offset: start,
+            ...await runWorker(path.join(__dirname, `constraint-worker.js`), {
+                words: words.slice(start, end),
+                option: workerOption
+            })
+        };
+    }));
+
+    return mergeRangeConstraints(rangeConstraints);
+};
+
+export {
+    addPairConstraint,
+    collectSymbolConstraints,
+    collectRangeConstraints,
+    mergeRangeConstraints,
+    collectConstraintsInParallel
+};
@@ -0,0 +1,20 @@
+/*
+ *
+ * Worker thread entry that collects the constraints of one range of a sorted word list, see collectConstraintsInParallel.
+ *
+ */
+`use strict`; // eslint-disable-line
+
+import {
+    parentPort,
+    workerData
+} from 'worker_threads';
+
+import { collectRangeConstraints } from './constraint-extractor';
+
+const {
+    words,
+    option
+} = workerData.input;
+
+parentPort.postMessage(collectRangeConstraints(words, 0, words.length, option));
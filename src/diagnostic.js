@@ -0,0 +1,70 @@
+/*
+ *
+ * Extraction statuses and machine-readable diagnostics shared by the extractors.
+ *
+ */
+`use strict`; // eslint-disable-line
+
+/**
+ * @description - Extraction result statuses.
+ *
+ * @constant EXTRACTION_STATUS
+ */
+const EXTRACTION_STATUS = {
+    COMPLETE: `complete`,
+    AMBIGUOUS: `ambiguous`,
+    INCONSISTENT: `inconsistent`,
+    INVALID_INPUT: `invalid-input`
+};
+
+/**
+ * @description - Extraction and validation diagnostic codes, also the codes of the errors thrown in strict mode
+ *                and of the error responses of the server.
+ *
+ * @constant DIAGNOSTIC_CODE
+ */
+const DIAGNOSTIC_CODE = {
+    INVALID_INPUT: `INVALID_INPUT`,
+    LOOP_DETECTED: `LOOP_DETECTED`,
+    PREFIX_VIOLATION: `PREFIX_VIOLATION`,
+    INSUFFICIENT_INFORMATION: `INSUFFICIENT_INFORMATION`,
+    UNCONSTRAINED_CHAR: `UNCONSTRAINED_CHAR`,
+    OUTLIER_WORD_PAIR: `OUTLIER_WORD_PAIR`,
+    DUPLICATE_EDGE: `DUPLICATE_EDGE`,
+    UNSORTED_WORD_PAIR: `UNSORTED_WORD_PAIR`,
+    UNKNOWN_CHAR: `UNKNOWN_CHAR`,
+    REQUEST_TOO_LARGE: `REQUEST_TOO_LARGE`,
+    TIMEOUT: `TIMEOUT`,
+    LIMIT_EXCEEDED: `LIMIT_EXCEEDED`
+};
+
+/**
+ * @description - Create a diagnostic that references the word pair that caused it.
+ *
+ * @function createDiagnostic
+ * @param {string} code - one of the diagnostic codes
+ * @param {string} message - a readable description
+ * @param {object} option - chars and word pair indices referenced by the diagnostic
+ * @param {array} words - the input word list, or any lookup of words by index
+ * @return {object}
+ */
+const createDiagnostic = (code, message, {
+    chars = [],
+    wordPair = null
+} = {}, words = []) => {
+    return {
+        code,
+        message,
+        chars,
+        wordPair: Array.isArray(wordPair) ? {
+            indices: wordPair,
+            words: wordPair.map((index) => words[index])
+        } : null
+    };
+};
+
+export {
+    EXTRACTION_STATUS,
+    DIAGNOSTIC_CODE,
+    createDiagnostic
+};
@@ -5,15 +5,45 @@
  */
 `use strict`; // eslint-disable-line
 
+import {
+    LOG_LEVEL,
+    log,
+    report
+} from './logger';
+
+import {
+    InvalidInputError,
+    InconsistentOrderError,
+    DuplicateEdgeError,
+    LimitExceededError
+} from './errors';
+
+// the exact minimum feedback arc set solver keeps a cost for every set of vertices, encoded as the bits of an integer
+const MAX_EXACT_FEEDBACK_VERTICES = 24;
+
 /**
- * @description - A DTG module.
+ * @description - A DTG module. Every edge keeps its provenance, the word pairs that produced it and its support count,
+ *                the number of times it was created.
+ *                In strict mode invalid input throws an InvalidInputError, an edge from a vertex to itself an InconsistentOrderError
+ *                and an edge created again a DuplicateEdgeError. Otherwise they are logged with the logger option, see setLogger.
  *
  * @module DTG
+ * @param {object} option - strict (defaults to false) and logger
  * @return {object}
  */
-const DTG = function () {
+const DTG = function (option = {}) {
     const dtg = this;
+    const {
+        strict = false,
+        logger
+    } = option;
+
     dtg._map = new Map();
+    dtg._edgeMap = new Map();
+    dtg._option = {
+        strict,
+        logger
+    };
 };
 
 DTG.prototype = {
@@ -31,17 +61,17 @@ DTG.prototype = {
         const dtg = this;
         const vertexStart = startingNode.vertexStart;
 
-        if (dtg.isLeafVertex(vertexStart)) {
-            // reach the end of one of the many possible paths. Collect the visited vertices
+        if (startingNode.vertexEnds.length === 0) {
+            // reach the end of one of the many possible paths or an isolated root. Collect the visited vertices
             collect(visitedVertices);
-        } else if (dtg.isBranchVertex(vertexStart)) {
+        } else if (startingNode.vertexEnds.length > 1) {
             // encounter a split, make copies and collect the visited vertex and continue traveling up all branches
             startingNode.vertexEnds.forEach((vertexEnd) => {
                 const endingNode = dtg._map.get(vertexEnd);
 
                 if (visitedVertices.includes(vertexEnd)) {
                     // reach a loop endpoint. Collect the visited vertices
-                    console.warn(`WARN: DTG._traverse - Detecting a loop going from vertex ${vertexStart} to vertex ${vertexEnd}.`);
+                    log(dtg._option.logger, LOG_LEVEL.WARN, `WARN: DTG._traverse - Detecting a loop going from vertex ${vertexStart} to vertex ${vertexEnd}.`);
                     visitedVertices.push(vertexEnd);
                     collect(visitedVertices);
                 } else {
@@ -55,7 +85,7 @@ DTG.prototype = {
 
             if (visitedVertices.includes(vertexEnd)) {
                 // reach a loop endpoint. Collect the visited vertices and return
-                console.warn(`WARN: DTG._traverse - Detecting a loop going from vertex ${vertexStart} to vertex ${vertexEnd}.`);
+                log(dtg._option.logger, LOG_LEVEL.WARN, `WARN: DTG._traverse - Detecting a loop going from vertex ${vertexStart} to vertex ${vertexEnd}.`);
                 visitedVertices.push(vertexEnd);
                 collect(visitedVertices);
                 return;
@@ -65,6 +95,27 @@ DTG.prototype = {
             dtg._traverse(endingNode, visitedVertices, collect);
         }
     },
+    /**
+     * @description - Private function to create an edge with the provenance of the same edge in another DTG, if it has one.
+     *
+     * @method _copyEdge
+     * @param {object} sourceDTG - the DTG to copy the provenance from
+     * @param {string} vertexStart - starting vertex of the edge
+     * @param {string} vertexEnd - ending vertex of the edge
+     * @returns {void}
+     */
+    _copyEdge: function (sourceDTG, vertexStart, vertexEnd) {
+        const dtg = this;
+        const sourceEdge = sourceDTG.getEdge(vertexStart, vertexEnd);
+
+        dtg.createEdge(vertexStart, vertexEnd);
+        if (sourceEdge !== null) {
+            const edge = dtg._edgeMap.get(JSON.stringify([ vertexStart, vertexEnd ]));
+
+            edge.wordPairs = sourceEdge.wordPairs;
+            edge.support = sourceEdge.support;
+        }
+    },
     /**
      * @description - Check if vertex is a root.
      *
@@ -156,26 +207,75 @@ DTG.prototype = {
                 return startingNode.vertexEnds.some((_vertexEnd) => _vertexEnd === vertexEnd);
             }
         } else {
-            console.warn(`WARN: DTG.hasEdge - Input starting and ending vertices are not strings.`);
+            report(new InvalidInputError(`Input starting and ending vertices are not strings.`, {
+                source: `DTG.hasEdge`
+            }), dtg._option);
         }
         return false;
     },
     /**
-     * @description - Get the number loop in DTG if exits.
-     *                When retrieving all possible path of vertices in DTG,
-     *                loops are detected when there is a duplication in visited vertices.
+     * @description - Get the starting vertices of the edges going into a vertex, in the order the edges were created.
+     *
+     * @method getPredecessors
+     * @param {string} vertex
+     * @returns {array}
+     */
+    getPredecessors: function (vertex) {
+        const dtg = this;
+        return dtg.hasVertex(vertex) ? [ ...dtg._map.get(vertex).vertexStarts ] : [];
+    },
+    /**
+     * @description - Get the ending vertices of the edges going out of a vertex, in the order the edges were created.
+     *
+     * @method getSuccessors
+     * @param {string} vertex
+     * @returns {array}
+     */
+    getSuccessors: function (vertex) {
+        const dtg = this;
+        return dtg.hasVertex(vertex) ? [ ...dtg._map.get(vertex).vertexEnds ] : [];
+    },
+    /**
+     * @description - Get the number of edges going into a vertex.
+     *
+     * @method inDegree
+     * @param {string} vertex
+     * @returns {number}
+     */
+    inDegree: function (vertex) {
+        const dtg = this;
+        return dtg.hasVertex(vertex) ? dtg._map.get(vertex).vertexStarts.length : 0;
+    },
+    /**
+     * @description - Get the number of edges going out of a vertex.
+     *
+     * @method outDegree
+     * @param {string} vertex
+     * @returns {number}
+     */
+    outDegree: function (vertex) {
+        const dtg = this;
+        return dtg.hasVertex(vertex) ? dtg._map.get(vertex).vertexEnds.length : 0;
+    },
+    /**
+     * @description - Get the number of loops in DTG in O(V + E), one for each loop closing back edge as in getLoops.
      *
      * @method getLoopCount
      * @returns {number}
      */
     getLoopCount: function () {
         const dtg = this;
-        const paths = dtg.getPaths();
-
-        return paths.reduce((count, visitedVertices) => {
-            const hasLoop = [ ...new Set(visitedVertices) ].length !== visitedVertices.length;
-            return hasLoop ? count + 1 : count;
-        }, 0);
+        return dtg.getBackEdges().length;
+    },
+    /**
+     * @description - Check if DTG has no loop in O(V + E), that is when a topological sort reaches every vertex.
+     *
+     * @method isAcyclic
+     * @returns {boolean}
+     */
+    isAcyclic: function () {
+        const dtg = this;
+        return dtg.topologicalSort().length === dtg._map.size;
     },
     /**
      * @description - Add a list of vertices.
@@ -190,7 +290,10 @@ DTG.prototype = {
         if (Array.isArray(vertices) && vertices.length && vertices.every((vertex) => typeof vertex === `string`)) {
             vertices.filter((vertex) => {
                 if (dtg.hasVertex(vertex)) {
-                    console.error(`WARN: DTG.addVertices - Vertex ${vertex} is already added.`);
+                    report(new InvalidInputError(`Vertex ${vertex} is already added.`, {
+                        source: `DTG.addVertices`,
+                        chars: [ vertex ]
+                    }), dtg._option);
                     return false;
                 }
                 return true;
@@ -198,47 +301,87 @@ DTG.prototype = {
                 const node = {
                     vertexStart: vertex,
                     isRoot: true,
+                    vertexStarts: [],
                     vertexEnds: []
                 };
 
                 dtg._map.set(vertex, node);
             });
         } else {
-            console.warn(`WARN: DTG.addVertices - Input vertices are not strings or invalid.`);
+            report(new InvalidInputError(`Input vertices are not strings or invalid.`, {
+                source: `DTG.addVertices`
+            }), dtg._option);
         }
     },
     /**
      * @description - Create a forward edge from starting to ending vertices.
+     *                Creating an edge that already exists confirms it, adding to its support count and word pairs.
      *
      * @method createEdge
      * @param {string} vertexStart - starting vertex of an edge
      * @param {string} vertexEnd - ending vertex of an edge
+     * @param {array} wordPair - optional indices of the word pair that produced the edge
      * @returns {void}
      */
-    createEdge: function (vertexStart, vertexEnd) {
+    createEdge: function (vertexStart, vertexEnd, wordPair = null) {
         const dtg = this;
 
         if (typeof vertexStart === `string` && typeof vertexEnd === `string`) {
+            const key = JSON.stringify([ vertexStart, vertexEnd ]);
+
             if (vertexStart === vertexEnd) {
-                console.error(`ERROR: DTG.createEdge - Cannot connect vertex ${vertexStart} to itself.`);
+                report(new InconsistentOrderError(`Cannot connect vertex ${vertexStart} to itself.`, {
+                    source: `DTG.createEdge`,
+                    chars: [ vertexStart, vertexEnd ]
+                }), dtg._option, LOG_LEVEL.ERROR);
             } else if (!dtg.hasVertex(vertexStart)) {
-                console.error(`ERROR: DTG.createEdge - Starting vertex ${vertexStart} is not found.`);
+                report(new InvalidInputError(`Starting vertex ${vertexStart} is not found.`, {
+                    source: `DTG.createEdge`,
+                    chars: [ vertexStart ]
+                }), dtg._option, LOG_LEVEL.ERROR);
             } else if (!dtg.hasVertex(vertexEnd)) {
-                console.error(`ERROR: DTG.createEdge - Ending vertex ${vertexEnd} is not found.`);
-            } else if (dtg.hasEdge(vertexStart, vertexEnd)) {
-                console.error(`ERROR: DTG.createEdge - Starting vertex ${vertexStart} and ending vertex ${vertexEnd} are already connected.`);
+                report(new InvalidInputError(`Ending vertex ${vertexEnd} is not found.`, {
+                    source: `DTG.createEdge`,
+                    chars: [ vertexEnd ]
+                }), dtg._option, LOG_LEVEL.ERROR);
             } else {
-                let startingNode = dtg._map.get(vertexStart);
-                let endingNode = dtg._map.get(vertexEnd);
+                if (dtg._option.strict && dtg._edgeMap.has(key)) {
+                    throw new DuplicateEdgeError(`Edge from vertex ${vertexStart} to vertex ${vertexEnd} is already created.`, {
+                        source: `DTG.createEdge`,
+                        vertexStart,
+                        vertexEnd,
+                        wordPair
+                    });
+                }
+                if (!dtg._edgeMap.has(key)) {
+                    let startingNode = dtg._map.get(vertexStart);
+                    let endingNode = dtg._map.get(vertexEnd);
+
+                    startingNode.vertexEnds.push(vertexEnd);
+                    endingNode.vertexStarts.push(vertexStart);
+                    endingNode.isRoot = false;
 
-                startingNode.vertexEnds.push(vertexEnd);
-                endingNode.isRoot = false;
+                    dtg._map.set(vertexStart, startingNode);
+                    dtg._map.set(vertexEnd, endingNode);
+                    dtg._edgeMap.set(key, {
+                        vertexStart,
+                        vertexEnd,
+                        wordPairs: [],
+                        support: 0
+                    });
+                }
+
+                const edge = dtg._edgeMap.get(key);
 
-                dtg._map.set(vertexStart, startingNode);
-                dtg._map.set(vertexEnd, endingNode);
+                edge.support += 1;
+                if (Array.isArray(wordPair)) {
+                    edge.wordPairs.push([ ...wordPair ]);
+                }
             }
         } else {
-            console.warn(`WARN: DTG.createEdge - Input starting and ending vertices are not strings.`);
+            report(new InvalidInputError(`Input starting and ending vertices are not strings.`, {
+                source: `DTG.createEdge`
+            }), dtg._option);
         }
     },
     /**
@@ -263,56 +406,1718 @@ DTG.prototype = {
                 vertexStart = vertex;
             });
         } else {
-            console.warn(`WARN: DTG.createDaisyChainEdges - Input vertices are not strings or invalid.`);
+            report(new InvalidInputError(`Input vertices are not strings or invalid.`, {
+                source: `DTG.createDaisyChainEdges`
+            }), dtg._option);
         }
     },
     /**
-     * @description - Get a list of all possible paths of DTG. Results are sorted from shortest to longest path.
+     * @description - Remove an edge with its provenance. Its ending vertex becomes a root when no other edge goes into it.
+     *
+     * @method removeEdge
+     * @param {string} vertexStart - starting vertex of the edge
+     * @param {string} vertexEnd - ending vertex of the edge
+     * @returns {void}
+     */
+    removeEdge: function (vertexStart, vertexEnd) {
+        const dtg = this;
+
+        if (typeof vertexStart === `string` && typeof vertexEnd === `string`) {
+            const key = JSON.stringify([ vertexStart, vertexEnd ]);
+
+            if (dtg._edgeMap.has(key)) {
+                const startingNode = dtg._map.get(vertexStart);
+                const endingNode = dtg._map.get(vertexEnd);
+
+                startingNode.vertexEnds = startingNode.vertexEnds.filter((_vertexEnd) => _vertexEnd !== vertexEnd);
+                endingNode.vertexStarts = endingNode.vertexStarts.filter((_vertexStart) => _vertexStart !== vertexStart);
+                endingNode.isRoot = endingNode.vertexStarts.length === 0;
+                dtg._edgeMap.delete(key);
+            } else {
+                report(new InvalidInputError(`Edge from vertex ${vertexStart} to vertex ${vertexEnd} is not found.`, {
+                    source: `DTG.removeEdge`,
+                    chars: [ vertexStart, vertexEnd ]
+                }), dtg._option);
+            }
+        } else {
+            report(new InvalidInputError(`Input starting and ending vertices are not strings.`, {
+                source: `DTG.removeEdge`
+            }), dtg._option);
+        }
+    },
+    /**
+     * @description - Remove a vertex and every edge going into or out of it.
+     *
+     * @method removeVertex
+     * @param {string} vertex
+     * @returns {void}
+     */
+    removeVertex: function (vertex) {
+        const dtg = this;
+
+        if (dtg.hasVertex(vertex)) {
+            const node = dtg._map.get(vertex);
+
+            node.vertexStarts.forEach((vertexStart) => dtg.removeEdge(vertexStart, vertex));
+            node.vertexEnds.forEach((vertexEnd) => dtg.removeEdge(vertex, vertexEnd));
+            dtg._map.delete(vertex);
+        } else {
+            report(new InvalidInputError(`Vertex ${vertex} is not found.`, {
+                source: `DTG.removeVertex`,
+                chars: [ vertex ]
+            }), dtg._option);
+        }
+    },
+    /**
+     * @description - Get the vertices of DTG in topological order using Kahn's algorithm in O(V + E).
+     *                Vertices with no incoming edge are visited first in the order they were added.
+     *                Vertices that are part of a loop or can only be reached through a loop are left out,
+     *                so a result shorter than the vertex count means DTG has a loop.
+     *                Examples:
+     *                  connections:
+     *                    b - a - d
+     *                        |   |
+     *                        c - -
+     *                  result:
+     *                    [ b, a, d, c ]
+     *
+     * @method topologicalSort
+     * @returns {array}
+     */
+    topologicalSort: function () {
+        const dtg = this;
+        const inDegreeMap = new Map();
+        let sortedVertices = [];
+        let index = 0;
+
+        dtg._map.forEach((node) => {
+            if (!inDegreeMap.has(node.vertexStart)) {
+                inDegreeMap.set(node.vertexStart, 0);
+            }
+            node.vertexEnds.forEach((vertexEnd) => {
+                inDegreeMap.set(vertexEnd, (inDegreeMap.get(vertexEnd) || 0) + 1);
+            });
+        });
+        inDegreeMap.forEach((inDegree, vertex) => {
+            if (inDegree === 0) {
+                sortedVertices.push(vertex);
+            }
+        });
+
+        // the sorted vertices list doubles as the queue of vertices with no remaining incoming edge
+        while (index < sortedVertices.length) {
+            const node = dtg._map.get(sortedVertices[index]);
+
+            node.vertexEnds.forEach((vertexEnd) => {
+                const inDegree = inDegreeMap.get(vertexEnd) - 1;
+
+                inDegreeMap.set(vertexEnd, inDegree);
+                if (inDegree === 0) {
+                    sortedVertices.push(vertexEnd);
+                }
+            });
+            index += 1;
+        }
+        return sortedVertices;
+    },
+    /**
+     * @description - Get the longest path of DTG in O(V + E) by relaxing the edges in topological order.
+     *                Vertices that are part of a loop are left out.
      *                Examples:
-     *                  vertices:
-     *                    a, b, c, d, e, f, g
      *                  connections:
      *                    e -
      *                    a - b - c - d
      *                            |
      *                            f - g
-     *                  result paths:
-     *                    [[ e ],
-     *                     [ a, b, c, d ],
-     *                     [ a, b, c, f, g ]]
+     *                  result:
+     *                    [ a, b, c, f, g ]
      *
-     * @method getPaths
+     * @method getLongestPath
      * @returns {array}
      */
-    getPaths: function () {
+    getLongestPath: function () {
         const dtg = this;
-        let paths = [];
+        const sortedVertices = dtg.topologicalSort();
+        const distanceMap = new Map();
+        const prevVertexMap = new Map();
+        let longestPath = [];
+        let vertexLast;
 
-        if (dtg._map.size) {
-            const collect = (visitedVertices) => {
-                paths.push(visitedVertices);
-            };
+        sortedVertices.forEach((vertex) => {
+            distanceMap.set(vertex, 0);
+        });
+        sortedVertices.forEach((vertexStart) => {
+            const distance = distanceMap.get(vertexStart) + 1;
 
-            dtg._map.forEach((node) => {
-                if (node.isRoot) {
-                    const rootNode = node;
-                    let visitedVertices = [ rootNode.vertexStart ];
+            if (vertexLast === undefined || distanceMap.get(vertexStart) > distanceMap.get(vertexLast)) {
+                vertexLast = vertexStart;
+            }
+            dtg._map.get(vertexStart).vertexEnds.forEach((vertexEnd) => {
+                if (distanceMap.has(vertexEnd) && distance > distanceMap.get(vertexEnd)) {
+                    distanceMap.set(vertexEnd, distance);
+                    prevVertexMap.set(vertexEnd, vertexStart);
+                }
+            });
+        });
 
-                    // traverse up DTG and collect all paths of visited vertices
-                    dtg._traverse(rootNode, visitedVertices, collect);
+        // walk back from the farthest vertex to collect the path
+        while (vertexLast !== undefined) {
+            longestPath.push(vertexLast);
+            vertexLast = prevVertexMap.get(vertexLast);
+        }
+        return longestPath.reverse();
+    },
+    /**
+     * @description - Get the edges that close a loop in O(V + E) using an iterative depth first search.
+     *                An edge closes a loop when it goes back to a vertex that is still on the search path.
+     *                DTG has no loop when the result is empty.
+     *
+     * @method getBackEdges
+     * @returns {array}
+     */
+    getBackEdges: function () {
+        const dtg = this;
+        const visitingVertices = new Set();
+        const visitedVertices = new Set();
+        let backEdges = [];
+        let vertices = [];
+
+        // search from the roots first so that back edges point toward the start of a loop
+        dtg._map.forEach((node) => {
+            if (node.isRoot) {
+                vertices.push(node.vertexStart);
+            }
+        });
+        dtg._map.forEach((node) => {
+            if (!node.isRoot) {
+                vertices.push(node.vertexStart);
+            }
+        });
+        vertices.forEach((vertex) => {
+            let stack = [{
+                vertexStart: vertex,
+                index: 0
+            }];
+
+            if (visitedVertices.has(vertex)) {
+                return;
+            }
+            visitingVertices.add(vertex);
+            while (stack.length) {
+                const frame = stack[stack.length - 1];
+                const vertexEnds = dtg._map.get(frame.vertexStart).vertexEnds;
+
+                if (frame.index < vertexEnds.length) {
+                    const vertexEnd = vertexEnds[frame.index];
+
+                    frame.index += 1;
+                    if (visitingVertices.has(vertexEnd)) {
+                        backEdges.push([ frame.vertexStart, vertexEnd ]);
+                    } else if (!visitedVertices.has(vertexEnd)) {
+                        visitingVertices.add(vertexEnd);
+                        stack.push({
+                            vertexStart: vertexEnd,
+                            index: 0
+                        });
+                    }
+                } else {
+                    visitingVertices.delete(frame.vertexStart);
+                    visitedVertices.add(frame.vertexStart);
+                    stack.pop();
+                }
+            }
+        });
+        return backEdges;
+    },
+    /**
+     * @description - Get the shortest path going from starting to ending vertices using a breadth first search.
+     *                The result is empty when the ending vertex cannot be reached.
+     *                Examples:
+     *                  connections:
+     *                    a - b - c - d
+     *                    |           |
+     *                    e - - - - - -
+     *                  path from a to d:
+     *                    [ a, e, d ]
+     *
+     * @method getPath
+     * @param {string} vertexStart - starting vertex of the path
+     * @param {string} vertexEnd - ending vertex of the path
+     * @returns {array}
+     */
+    getPath: function (vertexStart, vertexEnd) {
+        const dtg = this;
+        let path = [];
+
+        if (dtg.hasVertex(vertexStart) && dtg.hasVertex(vertexEnd)) {
+            const prevVertexMap = new Map([[ vertexStart, null ]]);
+            let queue = [ vertexStart ];
+            let index = 0;
+
+            while (index < queue.length && !prevVertexMap.has(vertexEnd)) {
+                const _vertexStart = queue[index];
+
+                dtg._map.get(_vertexStart).vertexEnds.forEach((_vertexEnd) => {
+                    if (!prevVertexMap.has(_vertexEnd)) {
+                        prevVertexMap.set(_vertexEnd, _vertexStart);
+                        queue.push(_vertexEnd);
+                    }
+                });
+                index += 1;
+            }
+            if (prevVertexMap.has(vertexEnd)) {
+                let vertex = vertexEnd;
+
+                while (vertex !== null) {
+                    path.push(vertex);
+                    vertex = prevVertexMap.get(vertex);
                 }
+                path.reverse();
+            }
+        }
+        return path;
+    },
+    /**
+     * @description - Get the loops of DTG, one for each loop closing back edge.
+     *                Each loop is the shortest way around from the ending vertex of the back edge
+     *                back to itself, listed with the first vertex repeated at the end.
+     *                Examples:
+     *                  connections:
+     *                    b - a - d
+     *                        |   |
+     *                        c - -
+     *                  with edges a → d, d → c and c → a, result loops:
+     *                    [[ a, d, c, a ]]
+     *
+     * @method getLoops
+     * @returns {array}
+     */
+    getLoops: function () {
+        const dtg = this;
+
+        // the shortest way around goes from the loop start back to the start of the back edge
+        return dtg.getBackEdges().map(([ vertexStart, vertexEnd ]) => [ ...dtg.getPath(vertexEnd, vertexStart), vertexEnd ]);
+    },
+    /**
+     * @description - Get the strongly connected components of DTG in O(V + E) using an iterative Tarjan's algorithm.
+     *                Each component is a group of vertices that all reach each other, so a component of more than one vertex
+     *                is a group of mutually conflicting vertices. Components are listed in topological order
+     *                and the vertices of a component in the order they were added.
+     *                Examples:
+     *                  connections:
+     *                    b - a - d - e
+     *                        |   |
+     *                        c - -
+     *                  with edges a → d, d → c and c → a, result:
+     *                    [[ b ], [ a, d, c ], [ e ]]
+     *
+     * @method getStronglyConnectedComponents
+     * @returns {array}
+     */
+    getStronglyConnectedComponents: function () {
+        const dtg = this;
+        const vertexOrderMap = new Map([ ...dtg._map.keys() ].map((vertex, order) => [ vertex, order ]));
+        const indexMap = new Map();
+        const lowLinkMap = new Map();
+        const stackedVertices = new Set();
+        let vertexStack = [];
+        let components = [];
+        const visit = (vertex) => {
+            indexMap.set(vertex, indexMap.size);
+            lowLinkMap.set(vertex, indexMap.get(vertex));
+            vertexStack.push(vertex);
+            stackedVertices.add(vertex);
+        };
+
+        dtg._map.forEach((node) => {
+            let callStack = [];
+
+            if (indexMap.has(node.vertexStart)) {
+                return;
+            }
+            visit(node.vertexStart);
+            callStack.push({
+                vertexStart: node.vertexStart,
+                index: 0
             });
+            while (callStack.length) {
+                const frame = callStack[callStack.length - 1];
+                const vertexEnds = dtg._map.get(frame.vertexStart).vertexEnds;
 
-            // sort the paths from shortest to longest
-            paths = paths.sort((pathA, pathB) => {
-                if (pathA.length < pathB.length) {
-                    return -1;
+                if (frame.index < vertexEnds.length) {
+                    const vertexEnd = vertexEnds[frame.index];
+
+                    frame.index += 1;
+                    if (!indexMap.has(vertexEnd)) {
+                        visit(vertexEnd);
+                        callStack.push({
+                            vertexStart: vertexEnd,
+                            index: 0
+                        });
+                    } else if (stackedVertices.has(vertexEnd)) {
+                        lowLinkMap.set(frame.vertexStart, Math.min(lowLinkMap.get(frame.vertexStart), indexMap.get(vertexEnd)));
+                    }
+                } else {
+                    callStack.pop();
+                    if (callStack.length) {
+                        const parentVertex = callStack[callStack.length - 1].vertexStart;
+
+                        lowLinkMap.set(parentVertex, Math.min(lowLinkMap.get(parentVertex), lowLinkMap.get(frame.vertexStart)));
+                    }
+
+                    // the vertex is the root of a component, the vertices above it on the stack belong to that component
+                    if (lowLinkMap.get(frame.vertexStart) === indexMap.get(frame.vertexStart)) {
+                        const component = vertexStack.splice(vertexStack.lastIndexOf(frame.vertexStart));
+
+                        component.forEach((vertex) => stackedVertices.delete(vertex));
+                        components.push(component.sort((vertexA, vertexB) => vertexOrderMap.get(vertexA) - vertexOrderMap.get(vertexB)));
+                    }
                 }
-                return 1;
+            }
+        });
+
+        // Tarjan's algorithm finds the components in reverse topological order
+        return components.reverse();
+    },
+    /**
+     * @description - Get the condensation of DTG, where each strongly connected component is merged into a single vertex.
+     *                The condensation has no loop. Its vertices are the indices of the components, as strings,
+     *                and each of its edges carries the provenance of the edges of DTG going between the two components.
+     *                Examples:
+     *                  connections:
+     *                    b - a - d - e
+     *                        |   |
+     *                        c - -
+     *                  with edges a → d, d → c and c → a, result:
+     *                    components: [[ b ], [ a, d, c ], [ e ]]
+     *                    dtg: 0 → 1 → 2
+     *
+     * @method getCondensation
+     * @returns {object} { components, dtg }
+     */
+    getCondensation: function () {
+        const dtg = this;
+        const components = dtg.getStronglyConnectedComponents();
+        const condensationDTG = new DTG(dtg._option);
+        const componentIndexMap = new Map();
+
+        components.forEach((component, index) => {
+            component.forEach((vertex) => componentIndexMap.set(vertex, `${index}`));
+        });
+        if (components.length) {
+            // add the components in the order of their first vertex, so that the condensation of a DTG without loops sorts the same way
+            condensationDTG.addVertices([ ...new Set([ ...dtg._map.keys() ].map((vertex) => componentIndexMap.get(vertex))) ]);
+            dtg._map.forEach((node) => {
+                node.vertexEnds.forEach((_vertexEnd) => {
+                    const edge = dtg._edgeMap.get(JSON.stringify([ node.vertexStart, _vertexEnd ]));
+                    const vertexStart = componentIndexMap.get(node.vertexStart);
+                    const vertexEnd = componentIndexMap.get(_vertexEnd);
+
+                    if (vertexStart !== vertexEnd) {
+                        if (!condensationDTG.hasEdge(vertexStart, vertexEnd)) {
+                            condensationDTG.createEdge(vertexStart, vertexEnd);
+                            condensationDTG._edgeMap.get(JSON.stringify([ vertexStart, vertexEnd ])).support = 0;
+                        }
+
+                        // merge the provenance of every edge going between the two components
+                        const condensationEdge = condensationDTG._edgeMap.get(JSON.stringify([ vertexStart, vertexEnd ]));
+
+                        condensationEdge.wordPairs.push(...edge.wordPairs.map((wordPair) => [ ...wordPair ]));
+                        condensationEdge.support += edge.support;
+                    }
+                });
             });
         }
-        return paths;
+        return {
+            components,
+            dtg: condensationDTG
+        };
+    },
+    /**
+     * @description - Get a small set of edges whose removal leaves DTG without loops (a feedback arc set).
+     *                Uses the greedy Eades-Lin-Smyth ordering heuristic: sinks are moved to the back, sources to the front,
+     *                and otherwise the vertex with the largest outgoing minus incoming weight goes to the front.
+     *                Edges that point backward in that ordering form the feedback set, and any of them that can be
+     *                put back without creating a loop are then restored, so the result is minimal.
+     *
+     * @method getFeedbackEdges
+     * @param {function} getWeight - optional weight of an edge given its starting and ending vertices, defaults to 1
+     * @returns {array}
+     */
+    getFeedbackEdges: function (getWeight = () => 1) {
+        const dtg = this;
+        const remainingVertices = new Set(dtg._map.keys());
+        const successorMap = new Map();
+        const predecessorMap = new Map();
+        const outWeightMap = new Map();
+        const inWeightMap = new Map();
+        const weightMap = new Map();
+        let headVertices = [];
+        let tailVertices = [];
+        let edges = [];
+
+        remainingVertices.forEach((vertex) => {
+            successorMap.set(vertex, []);
+            predecessorMap.set(vertex, []);
+            outWeightMap.set(vertex, 0);
+            inWeightMap.set(vertex, 0);
+        });
+        dtg._map.forEach((node) => {
+            node.vertexEnds.forEach((vertexEnd) => {
+                const weight = getWeight(node.vertexStart, vertexEnd);
+
+                edges.push([ node.vertexStart, vertexEnd ]);
+                weightMap.set(JSON.stringify([ node.vertexStart, vertexEnd ]), weight);
+                successorMap.get(node.vertexStart).push(vertexEnd);
+                predecessorMap.get(vertexEnd).push(node.vertexStart);
+                outWeightMap.set(node.vertexStart, outWeightMap.get(node.vertexStart) + weight);
+                inWeightMap.set(vertexEnd, inWeightMap.get(vertexEnd) + weight);
+            });
+        });
+
+        const getEdgeWeight = (vertexStart, vertexEnd) => weightMap.get(JSON.stringify([ vertexStart, vertexEnd ]));
+        const removeVertex = (vertex) => {
+            remainingVertices.delete(vertex);
+            successorMap.get(vertex).filter((vertexEnd) => remainingVertices.has(vertexEnd)).forEach((vertexEnd) => {
+                inWeightMap.set(vertexEnd, inWeightMap.get(vertexEnd) - getEdgeWeight(vertex, vertexEnd));
+            });
+            predecessorMap.get(vertex).filter((vertexStart) => remainingVertices.has(vertexStart)).forEach((vertexStart) => {
+                outWeightMap.set(vertexStart, outWeightMap.get(vertexStart) - getEdgeWeight(vertexStart, vertex));
+            });
+        };
+
+        const removeSinksAndSources = () => {
+            let removedCount = 0;
+
+            [ ...remainingVertices ].forEach((vertex) => {
+                if (remainingVertices.has(vertex) && outWeightMap.get(vertex) === 0) {
+                    tailVertices.unshift(vertex);
+                    removeVertex(vertex);
+                    removedCount += 1;
+                } else if (remainingVertices.has(vertex) && inWeightMap.get(vertex) === 0) {
+                    headVertices.push(vertex);
+                    removeVertex(vertex);
+                    removedCount += 1;
+                }
+            });
+            return removedCount;
+        };
+
+        while (remainingVertices.size) {
+            let removedCount = removeSinksAndSources();
+
+            while (removedCount) {
+                removedCount = removeSinksAndSources();
+            }
+            if (remainingVertices.size) {
+                const vertex = [ ...remainingVertices ].reduce((_vertex, __vertex) => {
+                    const delta = outWeightMap.get(__vertex) - inWeightMap.get(__vertex);
+
+                    return delta > outWeightMap.get(_vertex) - inWeightMap.get(_vertex) ? __vertex : _vertex;
+                });
+
+                headVertices.push(vertex);
+                removeVertex(vertex);
+            }
+        }
+
+        const positionMap = new Map([ ...headVertices, ...tailVertices ].map((vertex, position) => [ vertex, position ]));
+        const feedbackEdgeKeys = new Set();
+        const reaches = (vertexStart, vertexEnd) => {
+            const visitedVertices = new Set([ vertexStart ]);
+            let queue = [ vertexStart ];
+            let index = 0;
+
+            while (index < queue.length) {
+                const _vertexStart = queue[index];
+
+                if (_vertexStart === vertexEnd) {
+                    return true;
+                }
+                successorMap.get(_vertexStart).forEach((_vertexEnd) => {
+                    if (!visitedVertices.has(_vertexEnd) && !feedbackEdgeKeys.has(JSON.stringify([ _vertexStart, _vertexEnd ]))) {
+                        visitedVertices.add(_vertexEnd);
+                        queue.push(_vertexEnd);
+                    }
+                });
+                index += 1;
+            }
+            return false;
+        };
+        let feedbackEdges = edges.filter(([ vertexStart, vertexEnd ]) => positionMap.get(vertexStart) > positionMap.get(vertexEnd));
+
+        feedbackEdges.forEach(([ vertexStart, vertexEnd ]) => {
+            feedbackEdgeKeys.add(JSON.stringify([ vertexStart, vertexEnd ]));
+        });
+
+        // restore the heaviest feedback edges first when they do not close a loop
+        [ ...feedbackEdges ].sort(([ vertexStartA, vertexEndA ], [ vertexStartB, vertexEndB ]) => {
+            return getEdgeWeight(vertexStartB, vertexEndB) - getEdgeWeight(vertexStartA, vertexEndA);
+        }).forEach(([ vertexStart, vertexEnd ]) => {
+            const key = JSON.stringify([ vertexStart, vertexEnd ]);
+
+            feedbackEdgeKeys.delete(key);
+            if (reaches(vertexEnd, vertexStart)) {
+                feedbackEdgeKeys.add(key);
+            }
+        });
+        return feedbackEdges.filter(([ vertexStart, vertexEnd ]) => feedbackEdgeKeys.has(JSON.stringify([ vertexStart, vertexEnd ])));
+    },
+    /**
+     * @description - Get an edge with its provenance, or null when there is no such edge.
+     *
+     * @method getEdge
+     * @param {string} vertexStart - starting vertex of the edge
+     * @param {string} vertexEnd - ending vertex of the edge
+     * @returns {object} { vertexStart, vertexEnd, wordPairs, support }
+     */
+    getEdge: function (vertexStart, vertexEnd) {
+        const dtg = this;
+        const key = JSON.stringify([ vertexStart, vertexEnd ]);
+
+        if (dtg._edgeMap.has(key)) {
+            const edge = dtg._edgeMap.get(key);
+
+            return {
+                vertexStart,
+                vertexEnd,
+                wordPairs: edge.wordPairs.map((wordPair) => [ ...wordPair ]),
+                support: edge.support
+            };
+        }
+        return null;
+    },
+    /**
+     * @description - Get every edge with its provenance, going through the vertices in the order they were added.
+     *
+     * @method getEdges
+     * @returns {array} a list of { vertexStart, vertexEnd, wordPairs, support }
+     */
+    getEdges: function () {
+        const dtg = this;
+        let edges = [];
+
+        dtg._map.forEach((node) => {
+            node.vertexEnds.forEach((vertexEnd) => {
+                edges.push(dtg.getEdge(node.vertexStart, vertexEnd));
+            });
+        });
+        return edges;
+    },
+    /**
+     * @description - Get a copy of DTG with the same option, vertices and edges with their provenance,
+     *                so it can be changed, for example to drop a suspect edge, without changing DTG.
+     *
+     * @method clone
+     * @returns {object}
+     */
+    clone: function () {
+        const dtg = this;
+        return dtg.subgraph([ ...dtg._map.keys() ]);
+    },
+    /**
+     * @description - Get the subgraph of DTG induced by a list of vertices, a new DTG with the vertices
+     *                and the edges between them with their provenance. Vertices that are not in DTG are left out.
+     *
+     * @method subgraph
+     * @param {array} vertices
+     * @returns {object}
+     */
+    subgraph: function (vertices) {
+        const dtg = this;
+        const subgraphDTG = new DTG(dtg._option);
+
+        if (Array.isArray(vertices) && vertices.every((vertex) => typeof vertex === `string`)) {
+            const vertexSet = new Set(vertices);
+
+            // keep the vertex order of DTG so that the subgraph sorts its vertices the same way
+            const subgraphVertices = [ ...dtg._map.keys() ].filter((vertex) => vertexSet.has(vertex));
+
+            if (subgraphVertices.length) {
+                subgraphDTG.addVertices(subgraphVertices);
+                subgraphVertices.forEach((vertexStart) => {
+                    dtg._map.get(vertexStart).vertexEnds.filter((vertexEnd) => vertexSet.has(vertexEnd)).forEach((vertexEnd) => {
+                        subgraphDTG._copyEdge(dtg, vertexStart, vertexEnd);
+                    });
+                });
+            }
+        } else {
+            report(new InvalidInputError(`Input vertices are not strings or invalid.`, {
+                source: `DTG.subgraph`
+            }), dtg._option);
+        }
+        return subgraphDTG;
+    },
+    /**
+     * @description - Explain why starting vertex comes before ending vertex.
+     *                The result is the chain of edges, with their provenance, along the shortest path between them,
+     *                or empty when nothing orders starting vertex before ending vertex.
+     *                Examples:
+     *                  connections:
+     *                    b - a - d
+     *                        |   |
+     *                        c - -
+     *                  why is b before c:
+     *                    [{ vertexStart: b, vertexEnd: a, ... }, { vertexStart: a, vertexEnd: c, ... }]
+     *
+     * @method explainOrder
+     * @param {string} vertexStart
+     * @param {string} vertexEnd
+     * @returns {array}
+     */
+    explainOrder: function (vertexStart, vertexEnd) {
+        const dtg = this;
+        const path = dtg.getPath(vertexStart, vertexEnd);
+
+        return path.slice(1).map((_vertexEnd, index) => dtg.getEdge(path[index], _vertexEnd));
+    },
+    /**
+     * @description - Get the transitive closure of DTG, a new DTG with an edge from every vertex to every other vertex it reaches.
+     *                Edges of DTG keep their provenance and the added edges have none.
+     *
+     * @method getTransitiveClosure
+     * @returns {object}
+     */
+    getTransitiveClosure: function () {
+        const dtg = this;
+        const closureDTG = new DTG(dtg._option);
+
+        if (dtg._map.size) {
+            closureDTG.addVertices([ ...dtg._map.keys() ]);
+            dtg._map.forEach((node) => {
+                const visitedVertices = new Set([ node.vertexStart ]);
+                let queue = [ node.vertexStart ];
+                let index = 0;
+
+                while (index < queue.length) {
+                    dtg._map.get(queue[index]).vertexEnds.forEach((vertexEnd) => {
+                        if (!visitedVertices.has(vertexEnd)) {
+                            visitedVertices.add(vertexEnd);
+                            queue.push(vertexEnd);
+                        }
+                    });
+                    index += 1;
+                }
+
+                // keep the vertex order of a breadth first search, direct edges come first
+                queue.slice(1).forEach((vertexEnd) => {
+                    closureDTG._copyEdge(dtg, node.vertexStart, vertexEnd);
+                });
+            });
+        }
+        return closureDTG;
+    },
+    /**
+     * @description - Get the pairs of vertices whose relative order is unknown, where neither vertex reaches the other.
+     *                Each pair lists its vertices in the order they were added.
+     *                Examples:
+     *                  connections:
+     *                    b - a - d
+     *                        |
+     *                        c
+     *                  result:
+     *                    [[ d, c ]]
+     *
+     * @method getIncomparablePairs
+     * @returns {array}
+     */
+    getIncomparablePairs: function () {
+        const dtg = this;
+        const closureDTG = dtg.getTransitiveClosure();
+        const vertices = [ ...dtg._map.keys() ];
+        let pairs = [];
+
+        vertices.forEach((vertexA, index) => {
+            vertices.slice(index + 1).forEach((vertexB) => {
+                if (!closureDTG.hasEdge(vertexA, vertexB) && !closureDTG.hasEdge(vertexB, vertexA)) {
+                    pairs.push([ vertexA, vertexB ]);
+                }
+            });
+        });
+        return pairs;
+    },
+    /**
+     * @description - Get the vertices whose position is unknown, the ones in at least one incomparable pair, in O(V + E).
+     *                In a topological order, a vertex is comparable to every other vertex when it is the only sink of the vertices
+     *                up to it and the only source of the vertices from it. The sinks and sources of every prefix and suffix are
+     *                counted in one sweep over the edges. Vertices that are part of a loop are unordered too.
+     *                Examples:
+     *                  connections:
+     *                    b - a - d
+     *                        |
+     *                        c
+     *                  result:
+     *                    [ d, c ]
+     *
+     * @method getUnorderedVertices
+     * @returns {array}
+     */
+    getUnorderedVertices: function () {
+        const dtg = this;
+        const sortedVertices = dtg.topologicalSort();
+        const positionMap = new Map(sortedVertices.map((vertex, position) => [ vertex, position ]));
+        const minSuccessorPositions = sortedVertices.map(() => sortedVertices.length);
+        const maxPredecessorPositions = sortedVertices.map(() => -1);
+        let sinkCountChanges = Array(sortedVertices.length + 1).fill(0);
+        let sourceCountChanges = Array(sortedVertices.length + 1).fill(0);
+        let sinkCount = 0;
+        let sourceCount = 0;
+        let orderedVertices = new Set();
+
+        sortedVertices.forEach((vertexStart, position) => {
+            dtg._map.get(vertexStart).vertexEnds.forEach((vertexEnd) => {
+                if (positionMap.has(vertexEnd)) {
+                    minSuccessorPositions[position] = Math.min(minSuccessorPositions[position], positionMap.get(vertexEnd));
+                    maxPredecessorPositions[positionMap.get(vertexEnd)] = Math.max(maxPredecessorPositions[positionMap.get(vertexEnd)], position);
+                }
+            });
+        });
+
+        // a vertex is a sink of the prefixes ending before its first successor, and a source of the suffixes starting after its last predecessor
+        sortedVertices.forEach((vertex, position) => {
+            sinkCountChanges[position] += 1;
+            sinkCountChanges[minSuccessorPositions[position]] -= 1;
+            sourceCountChanges[maxPredecessorPositions[position] + 1] += 1;
+            sourceCountChanges[position + 1] -= 1;
+        });
+        sortedVertices.forEach((vertex, position) => {
+            sinkCount += sinkCountChanges[position];
+            sourceCount += sourceCountChanges[position];
+            if (sinkCount === 1 && sourceCount === 1) {
+                orderedVertices.add(vertex);
+            }
+        });
+        return [ ...dtg._map.keys() ].filter((vertex) => !orderedVertices.has(vertex));
+    },
+    /**
+     * @description - Get the earliest and latest positions (0 based) each vertex can take in a topological order of DTG.
+     *                A vertex comes no earlier than the number of vertices reaching it
+     *                and no later than the number of vertices it does not reach. Meant for DTG without loops.
+     *                Examples:
+     *                  connections:
+     *                    b - a - d
+     *                        |
+     *                        c
+     *                  result:
+     *                    [{ vertex: b, earliest: 0, latest: 0 }, { vertex: a, earliest: 1, latest: 1 },
+     *                     { vertex: d, earliest: 2, latest: 3 }, { vertex: c, earliest: 2, latest: 3 }]
+     *
+     * @method getRankBounds
+     * @returns {array}
+     */
+    getRankBounds: function () {
+        const dtg = this;
+        const closureDTG = dtg.getTransitiveClosure();
+        const ancestorCountMap = new Map([ ...dtg._map.keys() ].map((vertex) => [ vertex, 0 ]));
+        let rankBounds = [];
+
+        closureDTG._map.forEach((node) => {
+            node.vertexEnds.forEach((vertexEnd) => {
+                ancestorCountMap.set(vertexEnd, ancestorCountMap.get(vertexEnd) + 1);
+            });
+        });
+        closureDTG._map.forEach((node) => {
+            rankBounds.push({
+                vertex: node.vertexStart,
+                earliest: ancestorCountMap.get(node.vertexStart),
+                latest: closureDTG._map.size - 1 - node.vertexEnds.length
+            });
+        });
+        return rankBounds;
+    },
+    /**
+     * @description - Get the transitive reduction of DTG, a new DTG without the redundant edges.
+     *                Edges that are part of a loop are kept. The remaining edges keep their provenance.
+     *                Examples:
+     *                  connections:
+     *                    b - a - d
+     *                        |   |
+     *                        c - -
+     *                  result connections:
+     *                    b - a - d - c
+     *
+     * @method getTransitiveReduction
+     * @returns {object}
+     */
+    getTransitiveReduction: function () {
+        const dtg = this;
+        const reductionDTG = new DTG(dtg._option);
+        const redundantEdgeKeys = new Set(dtg.getRedundantEdges().map((edge) => JSON.stringify(edge)));
+
+        if (dtg._map.size) {
+            reductionDTG.addVertices([ ...dtg._map.keys() ]);
+            dtg._map.forEach((node) => {
+                node.vertexEnds.filter((vertexEnd) => !redundantEdgeKeys.has(JSON.stringify([ node.vertexStart, vertexEnd ]))).forEach((vertexEnd) => {
+                    reductionDTG._copyEdge(dtg, node.vertexStart, vertexEnd);
+                });
+            });
+        }
+        return reductionDTG;
+    },
+    /**
+     * @description - Get the edges that are implied by a longer path going the same way,
+     *                such as a → c when there are also edges a → b and b → c.
+     *                Edges that are part of a loop are left out.
+     *
+     * @method getRedundantEdges
+     * @returns {array}
+     */
+    getRedundantEdges: function () {
+        const dtg = this;
+        const loopEdgeKeys = new Set(dtg.getLoopEdges().map((edge) => JSON.stringify(edge)));
+        let redundantEdges = [];
+
+        dtg._map.forEach((node) => {
+            node.vertexEnds.forEach((vertexEnd) => {
+                if (!loopEdgeKeys.has(JSON.stringify([ node.vertexStart, vertexEnd ]))) {
+                    // the edge is redundant when its ending vertex can be reached through any other outgoing edge
+                    const visitedVertices = new Set(node.vertexEnds.filter((_vertexEnd) => _vertexEnd !== vertexEnd));
+                    let queue = [ ...visitedVertices ];
+                    let index = 0;
+
+                    while (index < queue.length && !visitedVertices.has(vertexEnd)) {
+                        dtg._map.get(queue[index]).vertexEnds.forEach((_vertexEnd) => {
+                            if (!visitedVertices.has(_vertexEnd)) {
+                                visitedVertices.add(_vertexEnd);
+                                queue.push(_vertexEnd);
+                            }
+                        });
+                        index += 1;
+                    }
+                    if (visitedVertices.has(vertexEnd)) {
+                        redundantEdges.push([ node.vertexStart, vertexEnd ]);
+                    }
+                }
+            });
+        });
+        return redundantEdges;
+    },
+    /**
+     * @description - Get every edge that is part of a loop, that is every edge whose ending vertex leads back to its starting vertex.
+     *
+     * @method getLoopEdges
+     * @returns {array}
+     */
+    getLoopEdges: function () {
+        const dtg = this;
+        let loopEdges = [];
+
+        dtg._map.forEach((node) => {
+            node.vertexEnds.forEach((vertexEnd) => {
+                if (dtg.getPath(vertexEnd, node.vertexStart).length) {
+                    loopEdges.push([ node.vertexStart, vertexEnd ]);
+                }
+            });
+        });
+        return loopEdges;
+    },
+    /**
+     * @description - Get the edges of least total weight whose removal leaves DTG without loops (a minimum feedback arc set).
+     *                Only the edges that are part of a loop can be in the set, so each group of vertices joined by loop edges
+     *                is solved on its own. Groups of up to exactLimit vertices are solved exactly with a dynamic programming pass
+     *                over the sets of vertices placed first, in O(2^n * E). Larger groups fall back to the getFeedbackEdges heuristic.
+     *
+     * @method getMinimumFeedbackEdges
+     * @param {function} getWeight - optional weight of an edge given its starting and ending vertices, defaults to 1
+     * @param {number} exactLimit - the largest group of vertices solved exactly, defaults to 16 and is capped at 24
+     * @returns {array}
+     */
+    getMinimumFeedbackEdges: function (getWeight = () => 1, exactLimit = 16) {
+        const dtg = this;
+        const loopEdges = dtg.getLoopEdges();
+        const neighborMap = new Map();
+        const visitedVertices = new Set();
+        let feedbackEdges = [];
+
+        loopEdges.forEach(([ vertexStart, vertexEnd ]) => {
+            [[ vertexStart, vertexEnd ], [ vertexEnd, vertexStart ]].forEach(([ vertex, neighborVertex ]) => {
+                if (!neighborMap.has(vertex)) {
+                    neighborMap.set(vertex, []);
+                }
+                neighborMap.get(vertex).push(neighborVertex);
+            });
+        });
+
+        // the vertices joined by loop edges are the groups of vertices that all reach each other
+        neighborMap.forEach((neighborVertices, vertex) => {
+            if (!visitedVertices.has(vertex)) {
+                let group = [ vertex ];
+                let index = 0;
+
+                visitedVertices.add(vertex);
+                while (index < group.length) {
+                    neighborMap.get(group[index]).forEach((neighborVertex) => {
+                        if (!visitedVertices.has(neighborVertex)) {
+                            visitedVertices.add(neighborVertex);
+                            group.push(neighborVertex);
+                        }
+                    });
+                    index += 1;
+                }
+
+                const groupSet = new Set(group);
+                const groupEdges = loopEdges.filter(([ vertexStart, vertexEnd ]) => groupSet.has(vertexStart) && groupSet.has(vertexEnd));
+
+                if (group.length <= Math.min(exactLimit, MAX_EXACT_FEEDBACK_VERTICES)) {
+                    feedbackEdges.push(...dtg._solveFeedbackEdges(group, groupEdges, getWeight));
+                } else {
+                    const groupDTG = new DTG(dtg._option);
+
+                    groupDTG.addVertices(group);
+                    groupEdges.forEach(([ vertexStart, vertexEnd ]) => {
+                        groupDTG.createEdge(vertexStart, vertexEnd);
+                    });
+                    feedbackEdges.push(...groupDTG.getFeedbackEdges(getWeight));
+                }
+            }
+        });
+        return feedbackEdges;
+    },
+    /**
+     * @description - Private function to exactly solve the minimum feedback arc set of a small group of vertices.
+     *                The least weight of going backward when the vertices of a set are placed first is found for every set,
+     *                adding one vertex at a time. Placing a vertex after a set sends its edges into the set backward.
+     *
+     * @method _solveFeedbackEdges
+     * @param {array} vertices - the group of vertices
+     * @param {array} edges - the edges within the group
+     * @param {function} getWeight - weight of an edge given its starting and ending vertices
+     * @returns {array}
+     */
+    _solveFeedbackEdges: function (vertices, edges, getWeight) {
+        const indexMap = new Map(vertices.map((vertex, index) => [ vertex, index ]));
+        const outEdges = vertices.map(() => []);
+        const setCount = 2 ** vertices.length;
+        const costs = new Float64Array(setCount).fill(Infinity);
+        const lastIndices = new Int32Array(setCount).fill(-1);
+        let positions = new Array(vertices.length);
+        let set = setCount - 1;
+        let position = vertices.length - 1;
+
+        edges.forEach(([ vertexStart, vertexEnd ]) => {
+            outEdges[indexMap.get(vertexStart)].push({
+                bit: 2 ** indexMap.get(vertexEnd),
+                weight: getWeight(vertexStart, vertexEnd)
+            });
+        });
+        costs[0] = 0;
+        for (let placedSet = 0; placedSet < setCount; placedSet += 1) {
+            if (costs[placedSet] !== Infinity) {
+                vertices.forEach((vertex, index) => {
+                    const bit = 2 ** index;
+
+                    if ((placedSet & bit) === 0) {
+                        const cost = outEdges[index].reduce((_cost, edge) => (placedSet & edge.bit) !== 0 ? _cost + edge.weight : _cost, costs[placedSet]);
+
+                        if (cost < costs[placedSet | bit]) {
+                            costs[placedSet | bit] = cost;
+                            lastIndices[placedSet | bit] = index;
+                        }
+                    }
+                });
+            }
+        }
+
+        // walk back from the set of all vertices to recover the order
+        while (set > 0) {
+            const index = lastIndices[set];
+
+            positions[index] = position;
+            position -= 1;
+            set -= 2 ** index;
+        }
+        return edges.filter(([ vertexStart, vertexEnd ]) => positions[indexMap.get(vertexStart)] > positions[indexMap.get(vertexEnd)]);
+    },
+    /**
+     * @description - Lazily enumerate every topological order (linear extension) of DTG.
+     *                Orders are generated by always picking the next vertex with no remaining incoming edge
+     *                in the order the vertices were added. DTG with a loop has no topological order.
+     *                Examples:
+     *                  connections:
+     *                    a - b
+     *                    |
+     *                    c
+     *                  result orders:
+     *                    [ a, b, c ]
+     *                    [ a, c, b ]
+     *
+     * @method enumerateTopologicalSorts
+     * @param {number} limit - the maximum number of orders to generate
+     * @returns {object}
+     */
+    enumerateTopologicalSorts: function *enumerateTopologicalSorts (limit = Infinity) {
+        const dtg = this;
+        const vertices = [ ...dtg._map.keys() ];
+        const inDegreeMap = new Map(vertices.map((vertex) => [ vertex, 0 ]));
+        const sortedVertices = [];
+        const sortedVertexSet = new Set();
+        let count = 0;
+
+        if (dtg.topologicalSort().length !== vertices.length) {
+            return;
+        }
+        dtg._map.forEach((node) => {
+            node.vertexEnds.forEach((vertexEnd) => {
+                inDegreeMap.set(vertexEnd, inDegreeMap.get(vertexEnd) + 1);
+            });
+        });
+
+        const extend = function *extend () {
+            if (sortedVertices.length === vertices.length) {
+                count += 1;
+                yield [ ...sortedVertices ];
+                return;
+            }
+            for (const vertex of vertices) {
+                if (count >= limit) {
+                    return;
+                }
+                if (!sortedVertexSet.has(vertex) && inDegreeMap.get(vertex) === 0) {
+                    const vertexEnds = dtg._map.get(vertex).vertexEnds;
+
+                    sortedVertices.push(vertex);
+                    sortedVertexSet.add(vertex);
+                    vertexEnds.forEach((vertexEnd) => {
+                        inDegreeMap.set(vertexEnd, inDegreeMap.get(vertexEnd) - 1);
+                    });
+
+                    yield *extend();
+
+                    vertexEnds.forEach((vertexEnd) => {
+                        inDegreeMap.set(vertexEnd, inDegreeMap.get(vertexEnd) + 1);
+                    });
+                    sortedVertexSet.delete(vertex);
+                    sortedVertices.pop();
+                }
+            }
+        };
+
+        if (limit > 0) {
+            yield *extend();
+        }
+    },
+    /**
+     * @description - Private function to split DTG into its weakly connected components, the groups of vertices
+     *                linked by edges in either direction.
+     *
+     * @method _getComponents
+     * @returns {array} a list of vertex lists
+     */
+    _getComponents: function () {
+        const dtg = this;
+        const visitedVertices = new Set();
+        let components = [];
+
+        dtg._map.forEach((node, vertex) => {
+            if (!visitedVertices.has(vertex)) {
+                let component = [ vertex ];
+                let index = 0;
+
+                visitedVertices.add(vertex);
+                while (index < component.length) {
+                    const componentNode = dtg._map.get(component[index]);
+
+                    [ ...componentNode.vertexStarts, ...componentNode.vertexEnds ].forEach((neighborVertex) => {
+                        if (!visitedVertices.has(neighborVertex)) {
+                            visitedVertices.add(neighborVertex);
+                            component.push(neighborVertex);
+                        }
+                    });
+                    index += 1;
+                }
+                components.push(component);
+            }
+        });
+        return components;
+    },
+    /**
+     * @description - Private function to estimate the number of topological orders of a weakly connected component of an acyclic DTG.
+     *                Each sample builds one order, picking each next vertex at random among the vertices left without
+     *                an unplaced predecessor, and the product of the number of choices at each step is an unbiased estimate
+     *                of the count (Knuth's estimator of the size of a search tree). The estimate is the mean over the samples.
+     *
+     * @method _estimateComponentOrders
+     * @param {array} component - the vertices of the component
+     * @param {number} sampleCount
+     * @param {function} random
+     * @returns {number}
+     */
+    _estimateComponentOrders: function (component, sampleCount, random) {
+        const dtg = this;
+        const sourceInDegreeMap = new Map(component.map((vertex) => [ vertex, dtg.inDegree(vertex) ]));
+        let total = 0;
+
+        for (let sample = 0; sample < sampleCount; sample += 1) {
+            const inDegreeMap = new Map(sourceInDegreeMap);
+            let sources = component.filter((vertex) => inDegreeMap.get(vertex) === 0);
+            let product = 1;
+
+            while (sources.length) {
+                const index = Math.floor(random() * sources.length);
+                const vertex = sources[index];
+
+                product *= sources.length;
+                sources[index] = sources[sources.length - 1];
+                sources.pop();
+                dtg._map.get(vertex).vertexEnds.forEach((vertexEnd) => {
+                    inDegreeMap.set(vertexEnd, inDegreeMap.get(vertexEnd) - 1);
+                    if (inDegreeMap.get(vertexEnd) === 0) {
+                        sources.push(vertexEnd);
+                    }
+                });
+            }
+            total += product;
+        }
+        return sampleCount > 0 ? total / sampleCount : 0;
+    },
+    /**
+     * @description - Count the topological orders (linear extensions) of DTG without listing them.
+     *                DTG is split into weakly connected components. The orders of each component are counted
+     *                with a dynamic programming pass over its sets of already placed vertices, and the components
+     *                are interleaved with a multinomial coefficient.
+     *                The pass keeps one entry per set of placed vertices that can start an order, so it takes O(S·V²) time
+     *                and O(S·V) memory for the S such sets of a layer, and S grows exponentially with the number of mutually
+     *                unordered vertices. The orders of a component whose layer holds more than stateLimit sets are estimated
+     *                instead, see estimateTopologicalSorts, and a LimitExceededError is reported, or thrown in strict mode.
+     *                DTG with a loop has no topological order.
+     *                Counts above Number.MAX_SAFE_INTEGER are approximate.
+     *
+     * @method countTopologicalSorts
+     * @param {object} option - stateLimit (the most sets of placed vertices in a layer, defaults to 100000),
+     *                          and for the estimate sampleCount and random, see estimateTopologicalSorts
+     * @returns {number}
+     */
+    countTopologicalSorts: function ({
+        stateLimit = 100000,
+        sampleCount = 1000,
+        random = Math.random
+    } = {}) {
+        const dtg = this;
+        const vertices = [ ...dtg._map.keys() ];
+        let placedCount = 0;
+        let isLimitExceeded = false;
+
+        if (dtg.topologicalSort().length !== vertices.length) {
+            return 0;
+        } else if (dtg.getLongestPath().length === vertices.length) {
+            // a longest path through every vertex is the only possible order
+            return 1;
+        }
+
+        const count = dtg._getComponents().reduce((_count, component) => {
+            const indexMap = new Map(component.map((vertex, index) => [ vertex, index ]));
+            const predecessorIndices = component.map((vertex) => dtg.getPredecessors(vertex).map((predecessor) => indexMap.get(predecessor)));
+
+            // each layer maps a set of placed vertices (as a 0/1 key) to the number of ways to place them,
+            // a layer that outgrows the limit is dropped as soon as it does
+            const expandLayer = (_layer) => {
+                const nextLayer = new Map();
+
+                _layer.forEach((layerCount, key) => {
+                    predecessorIndices.forEach((indices, index) => {
+                        if (nextLayer.size <= stateLimit && key.charAt(index) === `0` && indices.every((predecessorIndex) => key.charAt(predecessorIndex) === `1`)) {
+                            const nextKey = `${key.substring(0, index)}1${key.substring(index + 1)}`;
+
+                            nextLayer.set(nextKey, (nextLayer.get(nextKey) || 0) + layerCount);
+                        }
+                    });
+                });
+                return nextLayer.size > stateLimit ? null : nextLayer;
+            };
+            let layer = new Map([[ `0`.repeat(component.length), 1 ]]);
+            let coefficient = 1;
+
+            for (let step = 0; step < component.length && layer !== null; step += 1) {
+                layer = expandLayer(layer);
+            }
+            if (layer === null) {
+                isLimitExceeded = true;
+            }
+
+            // interleave this component with the previous ones, binomial(placedCount + component.length, component.length)
+            for (let step = 1; step <= component.length; step += 1) {
+                coefficient = coefficient * (placedCount + step) / step;
+            }
+            placedCount += component.length;
+
+            return _count * Math.round(coefficient) * (layer !== null ? [ ...layer.values() ][0] : dtg._estimateComponentOrders(component, sampleCount, random));
+        }, 1);
+
+        if (isLimitExceeded) {
+            report(new LimitExceededError(`Counting the topological orders exactly needs more than ${stateLimit} sets of placed vertices. The count is estimated.`, {
+                source: `DTG.countTopologicalSorts`,
+                limit: stateLimit
+            }), dtg._option);
+        }
+        return count;
+    },
+    /**
+     * @description - Estimate the number of topological orders of DTG in O(sampleCount·(V + E)) time and O(V) memory.
+     *                The orders of each weakly connected component are estimated with Knuth's estimator: each sample builds
+     *                one order, picking each next vertex at random among the vertices left without an unplaced predecessor,
+     *                and the product of the number of choices at each step is an unbiased estimate of the count.
+     *                The components are interleaved with a multinomial coefficient as in countTopologicalSorts.
+     *                The estimate is exact for a chain or a vertex followed by unordered vertices and gets noisier
+     *                as the orders of a component get less alike.
+     *                DTG with a loop has no topological order.
+     *
+     * @method estimateTopologicalSorts
+     * @param {object} option - sampleCount (defaults to 1000) and random (defaults to Math.random)
+     * @returns {number}
+     */
+    estimateTopologicalSorts: function ({
+        sampleCount = 1000,
+        random = Math.random
+    } = {}) {
+        const dtg = this;
+        let placedCount = 0;
+
+        if (!dtg.isAcyclic()) {
+            return 0;
+        }
+        return dtg._getComponents().reduce((count, component) => {
+            let coefficient = 1;
+
+            for (let step = 1; step <= component.length; step += 1) {
+                coefficient = coefficient * (placedCount + step) / step;
+            }
+            placedCount += component.length;
+
+            return count * Math.round(coefficient) * dtg._estimateComponentOrders(component, sampleCount, random);
+        }, 1);
+    },
+    /**
+     * @description - Get, for each vertex, the earliest and latest positions (0 based) it can take in a topological order of DTG,
+     *                the fraction of the topological orders that place it at each position, and for each pair of vertices
+     *                the probability that the first one comes before the second one.
+     *                With up to exactLimit vertices every order is counted with a dynamic programming pass over the sets of
+     *                already placed vertices, forward for the ways to place a set and backward for the ways to finish the order.
+     *                Otherwise the orders are sampled with a random walk that swaps adjacent vertices without an edge between them,
+     *                which in the long run visits every order with the same chance. The walk starts with a burn-in of V² swaps,
+     *                and each sample costs O(mixingSteps) since ranks and pair orders are only counted again when a swap changes them.
+     *                DTG with a loop has no topological order and gets no ranks.
+     *                Examples:
+     *                  connections:
+     *                    b - a - d
+     *                        |
+     *                        c
+     *                  result:
+     *                    {
+     *                        exact: true,
+     *                        orderCount: 2,
+     *                        ranks: [{ vertex: b, earliest: 0, latest: 0, fractions: [ 1, 0, 0, 0 ] },
+     *                                { vertex: a, earliest: 1, latest: 1, fractions: [ 0, 1, 0, 0 ] },
+     *                                { vertex: d, earliest: 2, latest: 3, fractions: [ 0, 0, 0.5, 0.5 ] },
+     *                                { vertex: c, earliest: 2, latest: 3, fractions: [ 0, 0, 0.5, 0.5 ] }],
+     *                        pairProbabilities: [[ 0, 1, 1, 1 ], [ 0, 0, 1, 1 ], [ 0, 0, 0, 0.5 ], [ 0, 0, 0.5, 0 ]]
+     *                    }
+     *
+     * @method getRankDistribution
+     * @param {object} option - exactLimit (defaults to 12), and for sampling sampleCount (defaults to 1000),
+     *                          mixingSteps (the swaps tried between samples, defaults to the vertex count)
+     *                          and random (defaults to Math.random)
+     * @returns {object} exact, orderCount (the number of orders, or of samples), ranks and pairProbabilities,
+     *                   whose rows and columns follow the vertices of ranks
+     */
+    getRankDistribution: function ({
+        exactLimit = 12,
+        sampleCount = 1000,
+        mixingSteps,
+        random = Math.random
+    } = {}) {
+        const dtg = this;
+        const vertices = [ ...dtg._map.keys() ];
+        const vertexCount = vertices.length;
+        const isExact = vertexCount <= exactLimit;
+        const rankCounts = vertices.map(() => Array(vertexCount).fill(0));
+        const beforeCounts = vertices.map(() => Array(vertexCount).fill(0));
+        let orderCount = 0;
+
+        if (!dtg.isAcyclic()) {
+            return {
+                exact: true,
+                orderCount: 0,
+                ranks: [],
+                pairProbabilities: []
+            };
+        }
+
+        if (isExact) {
+            const indexMap = new Map(vertices.map((vertex, index) => [ vertex, index ]));
+            const predecessorIndices = vertices.map((vertex) => dtg.getPredecessors(vertex).map((predecessor) => indexMap.get(predecessor)));
+            const getNextKeys = (key) => {
+                let nextKeys = [];
+
+                predecessorIndices.forEach((indices, index) => {
+                    if (key.charAt(index) === `0` && indices.every((predecessorIndex) => key.charAt(predecessorIndex) === `1`)) {
+                        nextKeys.push([ index, `${key.substring(0, index)}1${key.substring(index + 1)}` ]);
+                    }
+                });
+                return nextKeys;
+            };
+            let layers = [ new Map([[ `0`.repeat(vertexCount), 1 ]]) ];
+            let finishCountMap = new Map([[ `1`.repeat(vertexCount), 1 ]]);
+
+            // each layer maps a set of placed vertices (as a 0/1 key) to the number of ways to place them
+            for (let step = 0; step < vertexCount; step += 1) {
+                const nextLayer = new Map();
+
+                layers[step].forEach((layerCount, key) => {
+                    getNextKeys(key).forEach(([ , nextKey ]) => {
+                        nextLayer.set(nextKey, (nextLayer.get(nextKey) || 0) + layerCount);
+                    });
+                });
+                layers.push(nextLayer);
+            }
+
+            // going back through the layers, each set of placed vertices gets the number of ways to place the rest
+            for (let step = vertexCount - 1; step >= 0; step -= 1) {
+                layers[step].forEach((layerCount, key) => {
+                    finishCountMap.set(key, getNextKeys(key).reduce((finishCount, [ , nextKey ]) => finishCount + finishCountMap.get(nextKey), 0));
+                });
+            }
+            orderCount = finishCountMap.get(`0`.repeat(vertexCount));
+
+            // placing a vertex at a step counts for every order going through both sets of placed vertices
+            layers.slice(0, vertexCount).forEach((layer, step) => {
+                layer.forEach((layerCount, key) => {
+                    getNextKeys(key).forEach(([ index, nextKey ]) => {
+                        const wayCount = layerCount * finishCountMap.get(nextKey);
+
+                        rankCounts[index][step] += wayCount;
+                        vertices.forEach((vertex, placedIndex) => {
+                            if (key.charAt(placedIndex) === `1`) {
+                                beforeCounts[placedIndex][index] += wayCount;
+                            }
+                        });
+                    });
+                });
+            });
+        } else {
+            const indexMap = new Map(vertices.map((vertex, index) => [ vertex, index ]));
+            const stepCount = mixingSteps !== undefined ? mixingSteps : vertexCount;
+            const order = dtg.topologicalSort().map((vertex) => indexMap.get(vertex));
+            const positionSinces = vertices.map(() => 0);
+            const pairSinces = vertices.map(() => Array(vertexCount).fill(0));
+            let recordedCount = 0;
+
+            // a rank or a pair order only changes when two adjacent vertices are swapped, so the samples it held for
+            // are counted at the swap instead of going over every vertex and pair at every sample
+            const walk = (walkStepCount) => {
+                for (let step = 0; step < walkStepCount && vertexCount > 1; step += 1) {
+                    const position = Math.floor(random() * (vertexCount - 1));
+                    const index = order[position];
+                    const nextIndex = order[position + 1];
+
+                    // adjacent vertices of a topological order are ordered only by a direct edge
+                    if (random() < 0.5 && !dtg.hasEdge(vertices[index], vertices[nextIndex])) {
+                        rankCounts[index][position] += recordedCount - positionSinces[index];
+                        rankCounts[nextIndex][position + 1] += recordedCount - positionSinces[nextIndex];
+                        beforeCounts[index][nextIndex] += recordedCount - pairSinces[index][nextIndex];
+                        positionSinces[index] = recordedCount;
+                        positionSinces[nextIndex] = recordedCount;
+                        pairSinces[nextIndex][index] = recordedCount;
+                        order[position] = nextIndex;
+                        order[position + 1] = index;
+                    }
+                }
+            };
+
+            // the first walk moves away from the starting order, then each sample is one sweep of swaps away from the last
+            walk(vertexCount * vertexCount);
+            for (let sample = 0; sample < sampleCount; sample += 1) {
+                walk(stepCount);
+                recordedCount += 1;
+            }
+            order.forEach((index, position) => {
+                rankCounts[index][position] += recordedCount - positionSinces[index];
+                for (let laterPosition = position + 1; laterPosition < vertexCount; laterPosition += 1) {
+                    beforeCounts[index][order[laterPosition]] += recordedCount - pairSinces[index][order[laterPosition]];
+                }
+            });
+            orderCount = sampleCount;
+        }
+
+        const rankBoundMap = new Map(dtg.getRankBounds().map((rankBound) => [ rankBound.vertex, rankBound ]));
+
+        return {
+            exact: isExact,
+            orderCount,
+            ranks: vertices.map((vertex, index) => {
+                return {
+                    vertex,
+                    earliest: rankBoundMap.get(vertex).earliest,
+                    latest: rankBoundMap.get(vertex).latest,
+                    fractions: rankCounts[index].map((rankCount) => orderCount ? rankCount / orderCount : 0)
+                };
+            }),
+            pairProbabilities: beforeCounts.map((counts) => counts.map((beforeCount) => orderCount ? beforeCount / orderCount : 0))
+        };
+    },
+    /**
+     * @description - Get a list of all possible paths of DTG. Results are sorted from shortest to longest path.
+     *                The number of paths can grow exponentially with the branches, so prefer topologicalSort
+     *                or getLongestPath when only an ordering is needed.
+     *                Examples:
+     *                  vertices:
+     *                    a, b, c, d, e, f, g
+     *                  connections:
+     *                    e -
+     *                    a - b - c - d
+     *                            |
+     *                            f - g
+     *                  result paths:
+     *                    [[ e ],
+     *                     [ a, b, c, d ],
+     *                     [ a, b, c, f, g ]]
+     *
+     * @method getPaths
+     * @returns {array}
+     */
+    getPaths: function () {
+        const dtg = this;
+        let paths = [];
+
+        if (dtg._map.size) {
+            const collect = (visitedVertices) => {
+                paths.push(visitedVertices);
+            };
+
+            dtg._map.forEach((node) => {
+                if (node.isRoot) {
+                    const rootNode = node;
+                    let visitedVertices = [ rootNode.vertexStart ];
+
+                    // traverse up DTG and collect all paths of visited vertices
+                    dtg._traverse(rootNode, visitedVertices, collect);
+                }
+            });
+
+            // sort the paths from shortest to longest
+            paths = paths.sort((pathA, pathB) => {
+                if (pathA.length < pathB.length) {
+                    return -1;
+                }
+                return 1;
+            });
+        }
+        return paths;
+    },
+    /**
+     * @description - Private function to sort the edges of DTG into the kinds highlighted by the serializers.
+     *                loop      - the edge is part of a loop
+     *                path      - the edge joins two adjacent vertices of the given path
+     *                redundant - the edge is implied by a longer path going the same way
+     *                edge      - any other edge
+     *
+     * @method _classifyEdges
+     * @param {array} path - the highlighted path of vertices
+     * @returns {array}
+     */
+    _classifyEdges: function (path) {
+        const dtg = this;
+        const loopEdgeKeys = new Set(dtg.getLoopEdges().map((edge) => JSON.stringify(edge)));
+        const redundantEdgeKeys = new Set(dtg.getRedundantEdges().map((edge) => JSON.stringify(edge)));
+        const pathEdgeKeys = new Set(path.slice(1).map((vertexEnd, index) => JSON.stringify([ path[index], vertexEnd ])));
+        let edges = [];
+
+        dtg._map.forEach((node) => {
+            node.vertexEnds.forEach((vertexEnd) => {
+                const key = JSON.stringify([ node.vertexStart, vertexEnd ]);
+                let kind = `edge`;
+
+                if (loopEdgeKeys.has(key)) {
+                    kind = `loop`;
+                } else if (pathEdgeKeys.has(key)) {
+                    kind = `path`;
+                } else if (redundantEdgeKeys.has(key)) {
+                    kind = `redundant`;
+                }
+                edges.push({
+                    vertexStart: node.vertexStart,
+                    vertexEnd,
+                    kind
+                });
+            });
+        });
+        return edges;
+    },
+    /**
+     * @description - Serialize DTG to the Graphviz DOT language.
+     *                Vertices and edges of the path are drawn in blue, redundant edges are dashed and loop edges are red.
+     *                Examples:
+     *                  connections:
+     *                    b - a - c
+     *                    |       |
+     *                    - - - - -
+     *                  result:
+     *                    digraph "DTG" {
+     *                        rankdir=LR;
+     *                        "b" [style=filled, fillcolor=lightblue];
+     *                        "a" [style=filled, fillcolor=lightblue];
+     *                        "c" [style=filled, fillcolor=lightblue];
+     *                        "b" -> "a" [color=blue, penwidth=2];
+     *                        "b" -> "c" [style=dashed, color=gray];
+     *                        "a" -> "c" [color=blue, penwidth=2];
+     *                    }
+     *
+     * @method toDOT
+     * @param {object} option - name (the graph name, defaults to DTG) and path (the highlighted path, defaults to the longest path)
+     * @returns {string}
+     */
+    toDOT: function ({
+        name = `DTG`,
+        path = this.getLongestPath()
+    } = {}) {
+        const dtg = this;
+        const pathVertexSet = new Set(path);
+        const toId = (vertex) => `"${vertex.replace(/\\/g, `\\\\`).replace(/"/g, `\\"`).replace(/\n/g, `\\n`)}"`;
+        const edgeAttributes = {
+            loop: ` [color=red]`,
+            path: ` [color=blue, penwidth=2]`,
+            redundant: ` [style=dashed, color=gray]`,
+            edge: ``
+        };
+        let lines = [ `digraph ${toId(name)} {`, `    rankdir=LR;` ];
+
+        dtg._map.forEach((node) => {
+            lines.push(`    ${toId(node.vertexStart)}${pathVertexSet.has(node.vertexStart) ? ` [style=filled, fillcolor=lightblue]` : ``};`);
+        });
+        dtg._classifyEdges(path).forEach((edge) => {
+            lines.push(`    ${toId(edge.vertexStart)} -> ${toId(edge.vertexEnd)}${edgeAttributes[edge.kind]};`);
+        });
+        lines.push(`}`);
+        return `${lines.join(`\n`)}\n`;
+    },
+    /**
+     * @description - Serialize DTG to a Mermaid flowchart.
+     *                Vertices get the ids v0, v1, ... in the order they were added and are labeled with the vertex.
+     *                Edges of the path are thick, redundant edges are dotted and loop edges are red.
+     *                Examples:
+     *                  connections:
+     *                    b - a
+     *                  result:
+     *                    graph LR
+     *                        v0["b"]
+     *                        v1["a"]
+     *                        v0 ==> v1
+     *                        classDef path fill:lightblue
+     *                        class v0,v1 path
+     *
+     * @method toMermaid
+     * @param {object} option - path (the highlighted path, defaults to the longest path)
+     * @returns {string}
+     */
+    toMermaid: function ({
+        path = this.getLongestPath()
+    } = {}) {
+        const dtg = this;
+        const idMap = new Map([ ...dtg._map.keys() ].map((vertex, index) => [ vertex, `v${index}` ]));
+        const arrows = {
+            loop: `-->`,
+            path: `==>`,
+            redundant: `-.->`,
+            edge: `-->`
+        };
+        const pathIds = path.filter((vertex) => idMap.has(vertex)).map((vertex) => idMap.get(vertex));
+        let loopEdgeIndices = [];
+        let lines = [ `graph LR` ];
+
+        idMap.forEach((id, vertex) => {
+            lines.push(`    ${id}["${vertex.replace(/#/g, `#35;`).replace(/"/g, `#quot;`)}"]`);
+        });
+        dtg._classifyEdges(path).forEach((edge, index) => {
+            if (edge.kind === `loop`) {
+                loopEdgeIndices.push(index);
+            }
+            lines.push(`    ${idMap.get(edge.vertexStart)} ${arrows[edge.kind]} ${idMap.get(edge.vertexEnd)}`);
+        });
+        if (loopEdgeIndices.length) {
+            lines.push(`    linkStyle ${loopEdgeIndices.join(`,`)} stroke:red`);
+        }
+        if (pathIds.length) {
+            lines.push(`    classDef path fill:lightblue`, `    class ${pathIds.join(`,`)} path`);
+        }
+        return `${lines.join(`\n`)}\n`;
+    },
+    /**
+     * @description - Serialize DTG to a JSON adjacency list that DTG.fromJSON loads back.
+     *                Each node lists its vertex and the ending vertices of its edges in the order they were added.
+     *                The path, redundant and loop edges are included for inspection and ignored by DTG.fromJSON.
+     *                It is also called by JSON.stringify(dtg).
+     *                Examples:
+     *                  connections:
+     *                    b - a
+     *                  result:
+     *                    {
+     *                        nodes: [{ vertexStart: b, vertexEnds: [ a ] }, { vertexStart: a, vertexEnds: []}],
+     *                        path: [ b, a ],
+     *                        redundantEdges: [],
+     *                        loopEdges: []
+     *                    }
+     *
+     * @method toJSON
+     * @param {object} option - path (the highlighted path, defaults to the longest path)
+     * @returns {object}
+     */
+    toJSON: function (option = {}) {
+        const dtg = this;
+        // JSON.stringify calls toJSON with the property key instead of an option
+        const path = typeof option === `object` && Array.isArray(option.path) ? option.path : dtg.getLongestPath();
+        let nodes = [];
+
+        dtg._map.forEach((node) => {
+            nodes.push({
+                vertexStart: node.vertexStart,
+                vertexEnds: [ ...node.vertexEnds ]
+            });
+        });
+        return {
+            nodes,
+            path: [ ...path ],
+            redundantEdges: dtg.getRedundantEdges(),
+            loopEdges: dtg.getLoopEdges()
+        };
+    }
+};
+
+/**
+ * @description - Load a DTG from the JSON adjacency list made by toJSON, given as an object or a string.
+ *
+ * @function fromJSON
+ * @param {object|string} json
+ * @param {object} option - DTG option, see DTG
+ * @returns {object}
+ */
+DTG.fromJSON = function (json, option = {}) {
+    const dtg = new DTG(option);
+    let data = json;
+
+    if (typeof json === `string`) {
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            data = null;
+        }
+    }
+    if (data !== null && typeof data === `object` && Array.isArray(data.nodes) && data.nodes.every((node) => {
+        return node !== null && typeof node === `object` && typeof node.vertexStart === `string` &&
+               Array.isArray(node.vertexEnds) && node.vertexEnds.every((vertexEnd) => typeof vertexEnd === `string`);
+    })) {
+        if (data.nodes.length) {
+            dtg.addVertices(data.nodes.map((node) => node.vertexStart));
+            data.nodes.forEach((node) => {
+                node.vertexEnds.forEach((vertexEnd) => {
+                    dtg.createEdge(node.vertexStart, vertexEnd);
+                });
+            });
+        }
+    } else {
+        report(new InvalidInputError(`Input JSON is not a DTG adjacency list or invalid.`, {
+            source: `DTG.fromJSON`
+        }), dtg._option);
     }
+    return dtg;
 };
 
 export default DTG;
@@ -0,0 +1,154 @@
+/*
+ *
+ * Typed errors thrown in strict mode, with the same structured fields as the diagnostics.
+ *
+ */
+`use strict`; // eslint-disable-line
+
+import { DIAGNOSTIC_CODE } from './diagnostic';
+
+/**
+ * @description - The base class of the typed errors.
+ *                code        - one of the diagnostic codes
+ *                source      - the function or method that raised the error
+ *                chars       - the characters involved, if any
+ *                diagnostics - a list of { code, message, chars, wordPair } behind the error
+ *
+ * @class AlphabetError
+ * @param {string} message
+ * @param {object} detail - code, source, chars and diagnostics
+ */
+class AlphabetError extends Error {
+    constructor (message, {
+        code,
+        source = null,
+        chars = [],
+        diagnostics = []
+    } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.source = source;
+        this.chars = chars;
+        this.diagnostics = diagnostics;
+    }
+}
+
+/**
+ * @description - Error for an input that is not of the expected type or shape, such as words that are not strings.
+ *
+ * @class InvalidInputError
+ * @param {string} message
+ * @param {object} detail - source, chars and diagnostics
+ */
+class InvalidInputError extends AlphabetError {
+    constructor (message, detail = {}) {
+        super(message, {
+            ...detail,
+            code: DIAGNOSTIC_CODE.INVALID_INPUT
+        });
+    }
+}
+
+/**
+ * @description - Error for a word list that no alphabet can produce, because its characters form a loop
+ *                or a word is placed before its own prefix.
+ *                wordPair - the { indices, words } of the word pair behind the first contradiction, or null
+ *
+ * @class InconsistentOrderError
+ * @param {string} message
+ * @param {object} detail - code (defaults to LOOP_DETECTED), source, chars, wordPair and diagnostics
+ */
+class InconsistentOrderError extends AlphabetError {
+    constructor (message, {
+        code = DIAGNOSTIC_CODE.LOOP_DETECTED,
+        wordPair = null,
+        ...detail
+    } = {}) {
+        super(message, {
+            ...detail,
+            code
+        });
+        this.wordPair = wordPair;
+    }
+}
+
+/**
+ * @description - Error for a word list that does not have enough information to derive the complete order of the alphabet.
+ *                alphabet - the partial alphabet that could be extracted
+ *
+ * @class InsufficientInformationError
+ * @param {string} message
+ * @param {object} detail - source, chars (the characters left out of the order), alphabet and diagnostics
+ */
+class InsufficientInformationError extends AlphabetError {
+    constructor (message, {
+        alphabet = [],
+        ...detail
+    } = {}) {
+        super(message, {
+            ...detail,
+            code: DIAGNOSTIC_CODE.INSUFFICIENT_INFORMATION
+        });
+        this.alphabet = alphabet;
+    }
+}
+
+/**
+ * @description - Error for an edge that is created again in a strict DTG.
+ *                vertexStart - starting vertex of the edge
+ *                vertexEnd   - ending vertex of the edge
+ *                wordPair    - the word pair indices given with the edge, or null
+ *
+ * @class DuplicateEdgeError
+ * @param {string} message
+ * @param {object} detail - source, vertexStart, vertexEnd and wordPair
+ */
+class DuplicateEdgeError extends AlphabetError {
+    constructor (message, {
+        vertexStart,
+        vertexEnd,
+        wordPair = null,
+        ...detail
+    } = {}) {
+        super(message, {
+            ...detail,
+            code: DIAGNOSTIC_CODE.DUPLICATE_EDGE,
+            chars: [ vertexStart, vertexEnd ]
+        });
+        this.vertexStart = vertexStart;
+        this.vertexEnd = vertexEnd;
+        this.wordPair = wordPair;
+    }
+}
+
+/**
+ * @description - Error for an exact computation that would need more memory than its limit allows,
+ *                such as counting the orders of a wide partial order. The result is estimated instead.
+ *                limit - the limit that was exceeded
+ *
+ * @class LimitExceededError
+ * @param {string} message
+ * @param {object} detail - source, limit and diagnostics
+ */
+class LimitExceededError extends AlphabetError {
+    constructor (message, {
+        limit,
+        ...detail
+    } = {}) {
+        super(message, {
+            ...detail,
+            code: DIAGNOSTIC_CODE.LIMIT_EXCEEDED
+        });
+        this.limit = limit;
+    }
+}
+
+export {
+    AlphabetError,
+    InvalidInputError,
+    InconsistentOrderError,
+    InsufficientInformationError,
+    DuplicateEdgeError,
+    LimitExceededError
+};
@@ -0,0 +1,383 @@
+/*
+ *
+ * An incremental alphabet extractor that accepts a sorted word list in streaming batches.
+ *
+ */
+`use strict`; // eslint-disable-line
+
+import DTG from './directed-graph-tree';
+
+import { createTokenizer } from './tokenizer';
+
+import { addPairConstraint } from './constraint-extractor';
+
+import { report } from './logger';
+
+import {
+    InvalidInputError,
+    InconsistentOrderError
+} from './errors';
+
+import {
+    EXTRACTION_STATUS,
+    DIAGNOSTIC_CODE,
+    createDiagnostic
+} from './diagnostic';
+
+/**
+ * @description - Incremental extractor events.
+ *                determined    - the alphabet just became fully determined, the listener gets the alphabet
+ *                contradiction - a word pair just contradicted the earlier ones, the listener gets the diagnostic
+ *
+ * @constant EXTRACTOR_EVENT
+ */
+const EXTRACTOR_EVENT = {
+    DETERMINED: `determined`,
+    CONTRADICTION: `contradiction`
+};
+
+/**
+ * @description - An AlphabetExtractor module. It keeps its constraint DTG and the last seen word,
+ *                so each new word only adds the constraint of the adjacent pair it forms with the previous word.
+ *
+ *                Example:
+ *                      const extractor = new AlphabetExtractor();
+ *
+ *                      extractor.on(`determined`, (alphabet) => console.log(alphabet));
+ *                      extractor.addWords([ `bca`, `aaa`, `acb` ]);
+ *                      extractor.addWords([ `ddb`, `dca` ]); // logs [ b, a, d, c ]
+ *
+ * @module AlphabetExtractor
+ * @param {object} option - tokenizer option, see createTokenizer, strict (throw an InvalidInputError instead of logging invalid input,
+ *                          and an InconsistentOrderError for a word that contradicts the earlier ones)
+ *                          and logger, see setLogger
+ * @return {object}
+ */
+const AlphabetExtractor = function (option = {}) {
+    const extractor = this;
+    const {
+        strict = false,
+        logger
+    } = option;
+
+    extractor._tokenize = createTokenizer(option);
+    extractor._option = {
+        strict,
+        logger
+    };
+    extractor._dtg = new DTG({
+        logger
+    });
+    extractor._chars = new Set();
+    extractor._edgeMap = new Map();
+    extractor._contradictions = [];
+    extractor._listenerMap = new Map();
+    extractor._lastWord = null;
+    extractor._lastSymbols = null;
+    extractor._wordCount = 0;
+    extractor._status = EXTRACTION_STATUS.INVALID_INPUT;
+    extractor._alphabet = [];
+};
+
+AlphabetExtractor.prototype = {
+    /* ----- AlphabetExtractor Prototype Definitions --------------------- */
+    /**
+     * @description - Private function to call the listeners of an event.
+     *
+     * @method _emit
+     * @param {string} eventName
+     * @param {*} payload
+     * @returns {void}
+     */
+    _emit: function (eventName, payload) {
+        const extractor = this;
+
+        if (extractor._listenerMap.has(eventName)) {
+            extractor._listenerMap.get(eventName).forEach((listener) => listener(payload));
+        }
+    },
+    /**
+     * @description - Private function to add a word and derive the constraint of the adjacent pair it forms with the previous word.
+     *
+     * @method _addWord
+     * @param {string} word
+     * @returns {array} the new contradictions
+     */
+    _addWord: function (word) {
+        const extractor = this;
+        const dtg = extractor._dtg;
+        const symbols = extractor._tokenize(word);
+        const newChars = [ ...new Set(symbols) ].filter((char) => !extractor._chars.has(char));
+        const index = extractor._wordCount;
+        const pairWords = {
+            [index - 1]: extractor._lastWord,
+            [index]: word
+        };
+        let contradictions = [];
+
+        if (newChars.length) {
+            newChars.forEach((char) => extractor._chars.add(char));
+            dtg.addVertices(newChars);
+        }
+
+        if (extractor._lastSymbols !== null) {
+            const prevSymbols = extractor._lastSymbols;
+            const edge = addPairConstraint(extractor._edgeMap, prevSymbols, symbols, [ index - 1, index ]);
+
+            if (edge !== null && edge.wordPairs.length === 1) {
+                // the new edge closes a loop when its ending vertex already reaches its starting vertex
+                const path = dtg.getPath(edge.vertexEnd, edge.vertexStart);
+
+                dtg.createEdge(edge.vertexStart, edge.vertexEnd);
+                if (path.length) {
+                    const loopChars = [ edge.vertexStart, ...path ];
+
+                    contradictions.push(createDiagnostic(
+                        DIAGNOSTIC_CODE.LOOP_DETECTED,
+                        `Input list of words are not alphabetically sorted. Characters ${loopChars.join(` → `)} form a loop.`, {
+                            chars: loopChars,
+                            wordPair: [ index - 1, index ]
+                        }, pairWords
+                    ));
+                }
+            } else if (edge === null && prevSymbols.length > symbols.length) {
+                contradictions.push(createDiagnostic(
+                    DIAGNOSTIC_CODE.PREFIX_VIOLATION,
+                    `Word ${extractor._lastWord} is placed before its own prefix ${word}.`, {
+                        wordPair: [ index - 1, index ]
+                    }, pairWords
+                ));
+            }
+        }
+
+        extractor._lastWord = word;
+        extractor._lastSymbols = symbols;
+        extractor._wordCount += 1;
+        return contradictions;
+    },
+    /**
+     * @description - Private function to record new contradictions, update the status and emit the events.
+     *                In strict mode the first new contradiction is then thrown as an InconsistentOrderError, like extractAlphabet does.
+     *
+     * @method _update
+     * @param {array} contradictions - the new contradictions
+     * @param {string} source - the method that added the words
+     * @returns {void}
+     */
+    _update: function (contradictions, source) {
+        const extractor = this;
+        const prevStatus = extractor._status;
+
+        extractor._contradictions.push(...contradictions);
+        extractor._alphabet = extractor._dtg.getLongestPath();
+        if (extractor._contradictions.length) {
+            extractor._status = EXTRACTION_STATUS.INCONSISTENT;
+        } else if (extractor._chars.size && extractor._alphabet.length === extractor._chars.size) {
+            extractor._status = EXTRACTION_STATUS.COMPLETE;
+        } else {
+            extractor._status = EXTRACTION_STATUS.AMBIGUOUS;
+        }
+
+        contradictions.forEach((contradiction) => {
+            extractor._emit(EXTRACTOR_EVENT.CONTRADICTION, contradiction);
+        });
+        if (extractor._status === EXTRACTION_STATUS.COMPLETE && prevStatus !== EXTRACTION_STATUS.COMPLETE) {
+            extractor._emit(EXTRACTOR_EVENT.DETERMINED, extractor.getAlphabet());
+        }
+        if (extractor._option.strict && contradictions.length) {
+            throw new InconsistentOrderError(contradictions[0].message, {
+                source,
+                code: contradictions[0].code,
+                chars: contradictions[0].chars,
+                wordPair: contradictions[0].wordPair,
+                diagnostics: contradictions
+            });
+        }
+    },
+    /**
+     * @description - Add a listener to an event.
+     *
+     * @method on
+     * @param {string} eventName - one of the extractor events
+     * @param {function} listener
+     * @returns {object}
+     */
+    on: function (eventName, listener) {
+        const extractor = this;
+
+        if (Object.values(EXTRACTOR_EVENT).includes(eventName) && typeof listener === `function`) {
+            if (!extractor._listenerMap.has(eventName)) {
+                extractor._listenerMap.set(eventName, []);
+            }
+            extractor._listenerMap.get(eventName).push(listener);
+        } else {
+            report(new InvalidInputError(`Input event name or listener is invalid.`, {
+                source: `AlphabetExtractor.on`
+            }), extractor._option);
+        }
+        return extractor;
+    },
+    /**
+     * @description - Remove a listener from an event.
+     *
+     * @method off
+     * @param {string} eventName - one of the extractor events
+     * @param {function} listener
+     * @returns {object}
+     */
+    off: function (eventName, listener) {
+        const extractor = this;
+
+        if (extractor._listenerMap.has(eventName)) {
+            extractor._listenerMap.set(eventName, extractor._listenerMap.get(eventName).filter((_listener) => _listener !== listener));
+        }
+        return extractor;
+    },
+    /**
+     * @description - Add the next word of the sorted word list.
+     *
+     * @method addWord
+     * @param {string} word
+     * @returns {object}
+     */
+    addWord: function (word) {
+        const extractor = this;
+
+        if (typeof word === `string`) {
+            extractor._update(extractor._addWord(word), `AlphabetExtractor.addWord`);
+        } else {
+            report(new InvalidInputError(`Input word is not a string.`, {
+                source: `AlphabetExtractor.addWord`
+            }), extractor._option);
+        }
+        return extractor;
+    },
+    /**
+     * @description - Add the next batch of words of the sorted word list.
+     *                The status is updated once for the whole batch, and an empty batch is ignored.
+     *
+     * @method addWords
+     * @param {array} words
+     * @returns {object}
+     */
+    addWords: function (words) {
+        const extractor = this;
+
+        if (Array.isArray(words) && words.every((word) => typeof word === `string`)) {
+            // an empty batch changes nothing
+            if (words.length) {
+                extractor._update(words.map((word) => extractor._addWord(word)).flat(), `AlphabetExtractor.addWords`);
+            }
+        } else {
+            report(new InvalidInputError(`Input words are not strings or invalid.`, {
+                source: `AlphabetExtractor.addWords`
+            }), extractor._option);
+        }
+        return extractor;
+    },
+    /**
+     * @description - Add the words of a Node Readable stream or any (async) iterable.
+     *                A byte or text stream, such as fs.createReadStream, is read as one word per line and blank lines are skipped.
+     *                Other sources give one word or one array of words per item.
+     *
+     *                Example:
+     *                      await extractor.addWordsFrom(fs.createReadStream(`words.txt`));
+     *
+     * @method addWordsFrom
+     * @param {object} source - a Readable stream or an async iterable
+     * @param {object} option - text (read the source as lines, detected from the stream by default)
+     *                          and batchSize (the number of words per status update of a word source, defaults to 1000)
+     * @returns {object} a promise of the status
+     */
+    addWordsFrom: async function (source, {
+        text = source !== null && typeof source === `object` && source.readableObjectMode === false,
+        batchSize = 1000
+    } = {}) {
+        const extractor = this;
+        let remainder = ``;
+        let batch = [];
+        const flush = () => {
+            if (batch.length) {
+                extractor.addWords(batch);
+                batch = [];
+            }
+        };
+
+        if (text && typeof source.setEncoding === `function`) {
+            // decode as utf8 so that multi-byte characters split across chunks stay whole
+            source.setEncoding(`utf8`);
+        }
+        for await (const chunk of source) {
+            if (text) {
+                const lines = `${remainder}${chunk}`.split(/\r?\n/);
+
+                remainder = lines.pop();
+                batch = lines.filter((line) => line !== ``);
+                flush();
+            } else {
+                batch.push(...(Array.isArray(chunk) ? chunk : [ chunk ]));
+                if (batch.length >= batchSize) {
+                    flush();
+                }
+            }
+        }
+        if (remainder !== ``) {
+            batch.push(remainder);
+        }
+        flush();
+        return extractor.getStatus();
+    },
+    /**
+     * @description - Get the current alphabet, the longest path of the constraint DTG.
+     *
+     * @method getAlphabet
+     * @returns {array}
+     */
+    getAlphabet: function () {
+        const extractor = this;
+        return [ ...extractor._alphabet ];
+    },
+    /**
+     * @description - Get the current status: complete, ambiguous, inconsistent or invalid-input before any word is added.
+     *
+     * @method getStatus
+     * @returns {string}
+     */
+    getStatus: function () {
+        const extractor = this;
+        return extractor._status;
+    },
+    /**
+     * @description - Get the constraint edges derived so far with the word pairs supporting them.
+     *
+     * @method getEdges
+     * @returns {array}
+     */
+    getEdges: function () {
+        const extractor = this;
+        return [ ...extractor._edgeMap.values() ];
+    },
+    /**
+     * @description - Get the contradictions found so far, and the missing information diagnostic while the alphabet is ambiguous.
+     *
+     * @method getDiagnostics
+     * @returns {array}
+     */
+    getDiagnostics: function () {
+        const extractor = this;
+
+        if (extractor._status === EXTRACTION_STATUS.AMBIGUOUS) {
+            return [ ...extractor._contradictions, createDiagnostic(
+                DIAGNOSTIC_CODE.INSUFFICIENT_INFORMATION,
+                `Input list of words do not have enough information to derive the complete order of the alphabet.`
+            ) ];
+        }
+        return [ ...extractor._contradictions ];
+    }
+};
+
+export {
+    EXTRACTOR_EVENT
+};
+
+export default AlphabetExtractor;
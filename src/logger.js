@@ -0,0 +1,106 @@
+/*
+ *
+ * A pluggable logger for the warnings of the lenient mode, and the strict mode switch that throws them instead.
+ *
+ */
+`use strict`; // eslint-disable-line
+
+/**
+ * @description - Log levels, the names of the logger methods that are called.
+ *
+ * @constant LOG_LEVEL
+ */
+const LOG_LEVEL = {
+    WARN: `warn`,
+    ERROR: `error`
+};
+
+let defaultLogger = console;
+
+/**
+ * @description - Private function to check if a logger can be used: null to silence the messages,
+ *                a function called with the level, the message and the error, or an object with warn and error methods such as console.
+ *
+ * @function isLogger
+ * @param {*} logger
+ * @return {boolean}
+ */
+const isLogger = (logger) => {
+    return logger === null || typeof logger === `function` || (typeof logger === `object` &&
+           Object.values(LOG_LEVEL).every((level) => typeof logger[level] === `function`));
+};
+
+/**
+ * @description - Set the logger used when no logger option is given. It defaults to console.
+ *
+ *                Example:
+ *                      setLogger(null); // silence every warning
+ *                      setLogger((level, message, error) => myService.log(level, message, error.source));
+ *
+ * @function setLogger
+ * @param {object|function|null} logger - an object with warn and error methods, a function called with the level,
+ *                                        the message and the error, or null
+ * @return {void}
+ */
+const setLogger = (logger) => {
+    if (isLogger(logger)) {
+        defaultLogger = logger;
+    } else {
+        defaultLogger.warn(`WARN: setLogger - Input logger is not a function, an object with warn and error methods or null.`);
+    }
+};
+
+/**
+ * @description - Get the logger used when no logger option is given.
+ *
+ * @function getLogger
+ * @return {object|function|null}
+ */
+const getLogger = () => defaultLogger;
+
+/**
+ * @description - Log a message with the logger option, or with the default logger when the option is not given.
+ *
+ * @function log
+ * @param {object|function|null|undefined} logger
+ * @param {string} level - one of the log levels
+ * @param {string} message
+ * @param {object} error - the error behind the message, if any
+ * @return {void}
+ */
+const log = (logger, level, message, error = null) => {
+    const _logger = logger === undefined || !isLogger(logger) ? defaultLogger : logger;
+
+    if (typeof _logger === `function`) {
+        _logger(level, message, error);
+    } else if (_logger !== null) {
+        _logger[level](message);
+    }
+};
+
+/**
+ * @description - Throw an error in strict mode, or log it as a message of the form `WARN: source - message` in lenient mode.
+ *
+ * @function report
+ * @param {object} error - an error with a source, see AlphabetError
+ * @param {object} option - strict (defaults to false) and logger
+ * @param {string} level - one of the log levels, defaults to warn
+ * @return {void}
+ */
+const report = (error, {
+    strict = false,
+    logger
+} = {}, level = LOG_LEVEL.WARN) => {
+    if (strict) {
+        throw error;
+    }
+    log(logger, level, `${level.toUpperCase()}: ${error.source} - ${error.message}`, error);
+};
+
+export {
+    LOG_LEVEL,
+    setLogger,
+    getLogger,
+    log,
+    report
+};
@@ -0,0 +1,17 @@
+/*
+ *
+ * Worker thread entry that runs the requests of the server posted to it one at a time, see createServer.
+ *
+ */
+`use strict`; // eslint-disable-line
+
+import { parentPort } from 'worker_threads';
+
+import { runEndpoint } from './server';
+
+parentPort.on(`message`, ({
+    endpoint,
+    body
+}) => {
+    parentPort.postMessage(runEndpoint(endpoint, body));
+});
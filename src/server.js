@@ -0,0 +1,305 @@
+/*
+ *
+ * An optional HTTP server that exposes the extraction, the validation and the constraint graph export as JSON endpoints.
+ *
+ */
+`use strict`; // eslint-disable-line
+
+import http from 'http';
+
+import os from 'os';
+
+import path from 'path';
+
+import Collator from './collator';
+
+import {
+    extractAlphabet,
+    extractAlphabetRobust,
+    getConstraintDTG
+} from './alphabet-extractor';
+
+import {
+    EXTRACTION_STATUS,
+    DIAGNOSTIC_CODE,
+    createDiagnostic
+} from './diagnostic';
+
+import {
+    LOG_LEVEL,
+    log
+} from './logger';
+
+import { TOKENIZER_OPTION_NAMES } from './tokenizer';
+
+import { createWorkerPool } from './worker';
+
+/**
+ * @description - Server endpoints, each one takes a POSTed JSON object.
+ *                extract  - { words, option } gets the result of extractAlphabet, or of extractAlphabetRobust with the robust option
+ *                validate - { words, alphabet, option } gets the result of Collator validate
+ *                graph    - { words, option, format } gets the constraint DTG as JSON, or as DOT when format is dot
+ *
+ * @constant SERVER_ENDPOINT
+ */
+const SERVER_ENDPOINT = {
+    EXTRACT: `/extract`,
+    VALIDATE: `/validate`,
+    GRAPH: `/graph`
+};
+
+/**
+ * @description - Options a request can set on top of the tokenizer options, and the largest exactLimit it can ask for,
+ *                the default of extractAlphabetRobust. Any other option is dropped.
+ *
+ * @constant REQUEST_OPTION_NAMES
+ */
+const REQUEST_OPTION_NAMES = [ ...TOKENIZER_OPTION_NAMES, `robust`, `exactLimit`, `unknownChar` ];
+const MAX_EXACT_LIMIT = 16;
+
+/**
+ * @description - Pick the options of a request body. Only the listed options are kept and exactLimit is clamped,
+ *                so a request cannot ask for more exact work than the server allows.
+ *
+ *                Example:
+ *                      pickRequestOption({ words: [], option: { mode: `grapheme`, exactLimit: 24, sampleCount: 1e9 } })
+ *                      Output: { mode: grapheme, exactLimit: 16 }
+ *
+ * @function pickRequestOption
+ * @param {object} body
+ * @return {object}
+ */
+const pickRequestOption = (body) => {
+    const requestOption = body !== null && typeof body === `object` && body.option !== null && typeof body.option === `object` ? body.option : {};
+
+    return REQUEST_OPTION_NAMES.filter((name) => requestOption[name] !== undefined).reduce((option, name) => {
+        if (name !== `exactLimit`) {
+            option[name] = requestOption[name];
+        } else if (Number.isFinite(requestOption.exactLimit)) {
+            option.exactLimit = Math.min(Math.max(Math.floor(requestOption.exactLimit), 0), MAX_EXACT_LIMIT);
+        }
+        return option;
+    }, {});
+};
+
+/**
+ * @description - Private function to create the response of a request that could not be served,
+ *                with the same structure as an extraction result.
+ *
+ * @function createErrorResponse
+ * @param {number} statusCode
+ * @param {string} code - one of the diagnostic codes
+ * @param {string} message
+ * @return {object}
+ */
+const createErrorResponse = (statusCode, code, message) => {
+    return {
+        statusCode,
+        contentType: `application/json`,
+        text: JSON.stringify({
+            status: EXTRACTION_STATUS.INVALID_INPUT,
+            diagnostics: [ createDiagnostic(code, message) ]
+        })
+    };
+};
+
+/**
+ * @description - Run an endpoint on a parsed request body. The option of the body can hold the tokenizer options that JSON can carry,
+ *                robust, unknownChar and exactLimit up to 16, other options are dropped.
+ *                The library is never strict and never logs on behalf of a request, its diagnostics are in the response instead.
+ *
+ *                Example:
+ *                      runEndpoint(`/extract`, { words: [ `bca`, `aaa`, `acb`, `ddb`, `dca` ] })
+ *                      Output: { statusCode: 200, contentType: application/json, text: {"alphabet":["b","a","d","c"],"status":"complete",...} }
+ *
+ * @function runEndpoint
+ * @param {string} endpoint - one of the server endpoints
+ * @param {object} body
+ * @return {object} the statusCode, contentType and text of the response
+ */
+const runEndpoint = (endpoint, body) => {
+    const option = {
+        ...pickRequestOption(body),
+        strict: false,
+        logger: null
+    };
+    let response;
+
+    if (body === null || typeof body !== `object` || !Array.isArray(body.words) || !body.words.every((word) => typeof word === `string`)) {
+        response = createErrorResponse(400, DIAGNOSTIC_CODE.INVALID_INPUT, `Request words are not a list of strings.`);
+    } else if (endpoint === SERVER_ENDPOINT.EXTRACT) {
+        response = {
+            statusCode: 200,
+            contentType: `application/json`,
+            text: JSON.stringify(option.robust ? extractAlphabetRobust(body.words, option) : extractAlphabet(body.words, option))
+        };
+    } else if (endpoint === SERVER_ENDPOINT.VALIDATE) {
+        if (typeof body.alphabet !== `string` && !Array.isArray(body.alphabet)) {
+            response = createErrorResponse(400, DIAGNOSTIC_CODE.INVALID_INPUT, `Request alphabet is not a list of characters or a string.`);
+        } else {
+            response = {
+                statusCode: 200,
+                contentType: `application/json`,
+                text: JSON.stringify(new Collator(body.alphabet, option).validate(body.words))
+            };
+        }
+    } else if (endpoint === SERVER_ENDPOINT.GRAPH) {
+        const format = body.format === undefined ? `json` : body.format;
+
+        if (format === `json`) {
+            response = {
+                statusCode: 200,
+                contentType: `application/json`,
+                text: JSON.stringify(getConstraintDTG(body.words, option))
+            };
+        } else if (format === `dot`) {
+            response = {
+                statusCode: 200,
+                contentType: `text/vnd.graphviz`,
+                text: getConstraintDTG(body.words, option).toDOT()
+            };
+        } else {
+            response = createErrorResponse(400, DIAGNOSTIC_CODE.INVALID_INPUT, `Request format ${format} is not json or dot.`);
+        }
+    } else {
+        response = createErrorResponse(404, DIAGNOSTIC_CODE.INVALID_INPUT, `Endpoint ${endpoint} is not found.`);
+    }
+    return response;
+};
+
+/**
+ * @description - Private function to read the body of a request up to a size limit.
+ *                The promise resolves to null when the body is larger than the limit, the rest of it is then dropped.
+ *
+ * @function readBody
+ * @param {object} request
+ * @param {number} maxBodySize - in bytes
+ * @return {object} a promise of the text
+ */
+const readBody = (request, maxBodySize) => new Promise((resolve, reject) => {
+    let chunks = [];
+    let size = 0;
+
+    request.on(`data`, (chunk) => {
+        size += chunk.length;
+        if (size > maxBodySize) {
+            request.removeAllListeners(`data`);
+            request.resume();
+            resolve(null);
+        } else {
+            chunks.push(chunk);
+        }
+    });
+    request.on(`end`, () => resolve(Buffer.concat(chunks).toString(`utf8`)));
+    request.on(`error`, reject);
+});
+
+/**
+ * @description - Create an HTTP server with the extract, validate and graph endpoints. Requests and responses are JSON,
+ *                with the same status and diagnostic structure as the library, except the graph endpoint with the dot format.
+ *                Requests that cannot be served get an invalid-input status with a diagnostic:
+ *                400 for a body that is not JSON or not valid, 404 for an unknown endpoint, 405 for a method other than POST,
+ *                413 (REQUEST_TOO_LARGE) for a body larger than maxBodySize and 503 (TIMEOUT) for a request that is not answered
+ *                within timeout of its arrival, waiting for a busy worker included.
+ *                Requests run in a pool of worker threads so that they can be stopped at the timeout, the workers are reused
+ *                across requests and stopped when the server closes. With a timeout of 0 requests run in the server thread without a time limit.
+ *
+ *                Example:
+ *                      createServer({ maxBodySize: 65536, timeout: 5000 }).listen(8080);
+ *
+ *                      $ curl -d '{"words":["bca","aaa","acb","ddb","dca"]}' localhost:8080/extract
+ *                      {"alphabet":["b","a","d","c"],"status":"complete",...}
+ *
+ * @function createServer
+ * @param {object} option - maxBodySize (in bytes, defaults to 1 MiB), timeout (in milliseconds, defaults to 10 seconds),
+ *                          workerCount (defaults to the number of CPUs) and logger for the requests that fail unexpectedly, see setLogger
+ * @return {object} a node http server, not listening yet
+ */
+const createServer = (option = {}) => {
+    const {
+        maxBodySize = 1048576,
+        timeout = 10000,
+        workerCount = os.cpus().length,
+        logger
+    } = option;
+    const pool = timeout > 0 ? createWorkerPool(path.join(__dirname, `server-worker.js`), {
+        size: workerCount,
+        timeout
+    }) : null;
+    const send = (response, {
+        statusCode,
+        contentType,
+        text
+    }, headers = {}) => {
+        response.writeHead(statusCode, {
+            'Content-Type': `${contentType}; charset=utf-8`,
+            'Content-Length': Buffer.byteLength(text),
+            ...headers
+        });
+        response.end(text);
+    };
+    const server = http.createServer(async (request, response) => {
+        // the time limit counts from the arrival of the request, so it covers reading the body and waiting for a worker
+        const deadline = Date.now() + timeout;
+        let endpoint;
+
+        try {
+            try {
+                endpoint = new URL(request.url, `http://localhost`).pathname;
+            } catch (error) {
+                send(response, createErrorResponse(400, DIAGNOSTIC_CODE.INVALID_INPUT, `Request target ${request.url} is not a valid URL.`));
+                return;
+            }
+            if (!Object.values(SERVER_ENDPOINT).includes(endpoint)) {
+                send(response, createErrorResponse(404, DIAGNOSTIC_CODE.INVALID_INPUT, `Endpoint ${endpoint} is not found.`));
+            } else if (request.method !== `POST`) {
+                send(response, createErrorResponse(405, DIAGNOSTIC_CODE.INVALID_INPUT, `Method ${request.method} is not allowed, use POST.`), {
+                    Allow: `POST`
+                });
+            } else if (Number(request.headers[`content-length`]) > maxBodySize) {
+                send(response, createErrorResponse(413, DIAGNOSTIC_CODE.REQUEST_TOO_LARGE, `Request body is larger than ${maxBodySize} bytes.`), {
+                    Connection: `close`
+                });
+            } else {
+                const text = await readBody(request, maxBodySize);
+                let body;
+
+                if (text === null) {
+                    send(response, createErrorResponse(413, DIAGNOSTIC_CODE.REQUEST_TOO_LARGE, `Request body is larger than ${maxBodySize} bytes.`), {
+                        Connection: `close`
+                    });
+                    return;
+                }
+                try {
+                    body = JSON.parse(text);
+                } catch (error) {
+                    send(response, createErrorResponse(400, DIAGNOSTIC_CODE.INVALID_INPUT, `Request body is not JSON. ${error.message}`));
+                    return;
+                }
+                send(response, pool !== null ? await pool.run({
+                    endpoint,
+                    body
+                }, deadline) : runEndpoint(endpoint, body));
+            }
+        } catch (error) {
+            if (error.code === `ETIMEDOUT`) {
+                send(response, createErrorResponse(503, DIAGNOSTIC_CODE.TIMEOUT, `Request did not finish within ${timeout}ms.`));
+            } else {
+                log(logger, LOG_LEVEL.ERROR, `ERROR: server - ${error.message}`, error);
+                send(response, createErrorResponse(500, DIAGNOSTIC_CODE.INVALID_INPUT, `Request could not be served.`));
+            }
+        }
+    });
+
+    if (pool !== null) {
+        server.on(`close`, pool.close);
+    }
+    return server;
+};
+
+export {
+    SERVER_ENDPOINT,
+    pickRequestOption,
+    runEndpoint,
+    createServer
+};
@@ -0,0 +1,357 @@
+/*
+ *
+ * A pluggable word tokenizer that splits words into the symbols of an alphabet.
+ *
+ */
+`use strict`; // eslint-disable-line
+
+import { report } from './logger';
+
+import { InvalidInputError } from './errors';
+
+/**
+ * @description - Tokenizer modes.
+ *                code-unit      - UTF-16 code units, the same as word.split(``)
+ *                code-point     - Unicode code points, so astral-plane characters stay whole
+ *                grapheme       - user-perceived characters (extended grapheme clusters),
+ *                                 so combining marks and emoji sequences stay with their base character
+ *
+ * @constant TOKENIZER_MODE
+ */
+const TOKENIZER_MODE = {
+    CODE_UNIT: `code-unit`,
+    CODE_POINT: `code-point`,
+    GRAPHEME: `grapheme`
+};
+
+/**
+ * @description - Unicode normalization forms accepted by String.prototype.normalize.
+ *
+ * @constant NORMALIZATION_FORMS
+ */
+const NORMALIZATION_FORMS = [ `NFC`, `NFD`, `NFKC`, `NFKD` ];
+
+/**
+ * @description - Names of the tokenizer options that JSON can carry, the ones that can be sent to a worker thread or over HTTP.
+ *                A custom tokenizer function can not.
+ *
+ * @constant TOKENIZER_OPTION_NAMES
+ */
+const TOKENIZER_OPTION_NAMES = [ `mode`, `normalization`, `useSegmenter`, `graphemes`, `caseInsensitive`, `accentInsensitive`, `equivalences` ];
+
+const EXTENDING_PATTERN = /^[\p{M}\u200C\u200D\u{1F3FB}-\u{1F3FF}\u{E0020}-\u{E007F}]$/u;
+const REGIONAL_INDICATOR_PATTERN = /^[\u{1F1E6}-\u{1F1FF}]$/u;
+
+// the consonants and the viramas (linkers) of the scripts that form conjuncts across a virama,
+// Devanagari, Bengali, Gujarati, Oriya, Telugu and Malayalam
+const CONJUNCT_CONSONANT_PATTERN = /^[\u0915-\u0939\u0958-\u095F\u0978-\u097F\u0995-\u09A8\u09AA-\u09B0\u09B2\u09B6-\u09B9\u09DC\u09DD\u09DF\u09F0\u09F1\u0A95-\u0AA8\u0AAA-\u0AB0\u0AB2\u0AB3\u0AB5-\u0AB9\u0AF9\u0B15-\u0B28\u0B2A-\u0B30\u0B32\u0B33\u0B35-\u0B39\u0B5C\u0B5D\u0B5F\u0B71\u0C15-\u0C28\u0C2A-\u0C39\u0C58-\u0C5A\u0D15-\u0D3A]$/u;
+const CONJUNCT_LINKER_PATTERN = /^[\u094D\u09CD\u0ACD\u0B4D\u0C4D\u0D4D]$/u;
+
+/**
+ * @description - Hangul syllable types of the Unicode grapheme cluster rules.
+ *
+ * @constant HANGUL_TYPE
+ */
+const HANGUL_TYPE = {
+    L: `L`,
+    V: `V`,
+    T: `T`,
+    LV: `LV`,
+    LVT: `LVT`
+};
+
+/**
+ * @description - Private function to get the Hangul syllable type of a code point: a leading consonant (L), a vowel (V),
+ *                a trailing consonant (T) jamo, or a precomposed syllable with (LVT) or without (LV) a trailing consonant.
+ *
+ * @function getHangulType
+ * @param {string} codePoint
+ * @return {string} one of the Hangul types, or null for any other code point
+ */
+const getHangulType = (codePoint) => {
+    const value = codePoint.codePointAt(0);
+
+    if ((value >= 0x1100 && value <= 0x115F) || (value >= 0xA960 && value <= 0xA97C)) {
+        return HANGUL_TYPE.L;
+    } else if ((value >= 0x1160 && value <= 0x11A7) || (value >= 0xD7B0 && value <= 0xD7C6)) {
+        return HANGUL_TYPE.V;
+    } else if ((value >= 0x11A8 && value <= 0x11FF) || (value >= 0xD7CB && value <= 0xD7FB)) {
+        return HANGUL_TYPE.T;
+    } else if (value >= 0xAC00 && value <= 0xD7A3) {
+        return (value - 0xAC00) % 28 === 0 ? HANGUL_TYPE.LV : HANGUL_TYPE.LVT;
+    }
+    return null;
+};
+
+/**
+ * @description - Private function to tell whether two adjacent Hangul code points belong to the same syllable:
+ *                a leading consonant goes on with any syllable part but a trailing consonant, a vowel with a vowel or a trailing consonant
+ *                and a trailing consonant with a trailing consonant.
+ *
+ * @function isHangulSyllable
+ * @param {string} previousType - the Hangul type of the previous code point
+ * @param {string} type - the Hangul type of the code point
+ * @return {boolean}
+ */
+const isHangulSyllable = (previousType, type) => {
+    if (previousType === HANGUL_TYPE.L) {
+        return type !== null && type !== HANGUL_TYPE.T;
+    } else if (previousType === HANGUL_TYPE.V || previousType === HANGUL_TYPE.LV) {
+        return type === HANGUL_TYPE.V || type === HANGUL_TYPE.T;
+    } else if (previousType === HANGUL_TYPE.T || previousType === HANGUL_TYPE.LVT) {
+        return type === HANGUL_TYPE.T;
+    }
+    return false;
+};
+
+/**
+ * @description - Split a word into grapheme clusters without Intl.Segmenter.
+ *                This is a simplified version of the Unicode extended grapheme cluster rules:
+ *                combining marks, zero width joiners/non-joiners, emoji modifiers and tag characters extend the previous cluster,
+ *                a character after a zero width joiner joins the previous cluster, regional indicators pair up into flags
+ *                and CR LF stays together. Hangul jamo join into syllables, and a consonant after a virama joins
+ *                the previous consonant into a conjunct in the Indic scripts that form them, such as क्ष in Devanagari.
+ *
+ *                Example:
+ *                      segmentGraphemes(`क्षण`)
+ *                      Output: [ क्ष, ण ]
+ *
+ *                      segmentGraphemes(`한글`.normalize(`NFD`))
+ *                      Output: [ 한, 글 ] as two clusters of three jamo each
+ *
+ * @function segmentGraphemes
+ * @param {string} word
+ * @return {array}
+ */
+const segmentGraphemes = (word) => {
+    let clusters = [];
+    let regionalIndicatorCount = 0;
+    let previousHangulType = null;
+
+    // 0 outside a conjunct, 1 after a consonant and 2 after a consonant and a virama, with marks in between
+    let conjunctState = 0;
+
+    Array.from(word).forEach((codePoint) => {
+        const lastIndex = clusters.length - 1;
+        const cluster = clusters[lastIndex];
+        const hangulType = getHangulType(codePoint);
+        const isConjunctConsonant = CONJUNCT_CONSONANT_PATTERN.test(codePoint);
+
+        if (cluster === undefined) {
+            clusters.push(codePoint);
+        } else if (EXTENDING_PATTERN.test(codePoint) || cluster.endsWith(`\u200D`) || (cluster === `\r` && codePoint === `\n`)) {
+            clusters[lastIndex] = `${cluster}${codePoint}`;
+        } else if (REGIONAL_INDICATOR_PATTERN.test(codePoint) && regionalIndicatorCount % 2 === 1) {
+            clusters[lastIndex] = `${cluster}${codePoint}`;
+        } else if (isHangulSyllable(previousHangulType, hangulType) || (isConjunctConsonant && conjunctState === 2)) {
+            clusters[lastIndex] = `${cluster}${codePoint}`;
+        } else {
+            clusters.push(codePoint);
+        }
+        regionalIndicatorCount = REGIONAL_INDICATOR_PATTERN.test(codePoint) ? regionalIndicatorCount + 1 : 0;
+        previousHangulType = hangulType;
+        if (isConjunctConsonant) {
+            conjunctState = 1;
+        } else if (CONJUNCT_LINKER_PATTERN.test(codePoint) && conjunctState > 0) {
+            conjunctState = 2;
+        } else if (!EXTENDING_PATTERN.test(codePoint)) {
+            conjunctState = 0;
+        }
+    });
+    return clusters;
+};
+
+/**
+ * @description - Private function to merge the symbols of a word into multi-character letters (digraphs and longer)
+ *                using greedy longest match, so [ c, h, a ] becomes [ ch, a ] when ch is a listed letter.
+ *                Each symbol is traced with the raw text of the word it came from, and merged symbols join their raw texts.
+ *
+ * @function mergeGraphemes
+ * @param {array} tracedSymbols - a list of { symbol, raw }
+ * @param {set} graphemeSet - the listed multi-character letters
+ * @param {number} maxLength - the largest number of symbols in a listed letter
+ * @return {array}
+ */
+const mergeGraphemes = (tracedSymbols, graphemeSet, maxLength) => {
+    let mergedSymbols = [];
+    let index = 0;
+
+    while (index < tracedSymbols.length) {
+        let length = Math.min(maxLength, tracedSymbols.length - index);
+
+        while (length > 1 && !graphemeSet.has(tracedSymbols.slice(index, index + length).map((tracedSymbol) => tracedSymbol.symbol).join(``))) {
+            length -= 1;
+        }
+
+        const mergedTracedSymbols = tracedSymbols.slice(index, index + length);
+
+        mergedSymbols.push({
+            symbol: mergedTracedSymbols.map((tracedSymbol) => tracedSymbol.symbol).join(``),
+            raw: mergedTracedSymbols.map((tracedSymbol) => tracedSymbol.raw).join(``)
+        });
+        index += length;
+    }
+    return mergedSymbols;
+};
+
+/**
+ * @description - Create a tracing tokenizer function that splits a word into a list of { symbol, raw } where raw is the text of the word
+ *                the symbol came from. The raw text differs from the symbol when characters are folded together with the
+ *                caseInsensitive, accentInsensitive or equivalences options.
+ *
+ *                Example:
+ *                      createTracingTokenizer({ caseInsensitive: true, equivalences: { ß: `ss`, '-': `` } })(`Fuß-ball`)
+ *                      Output: [{ symbol: f, raw: F }, { symbol: u, raw: u }, { symbol: s, raw: ß }, { symbol: s, raw: ß }, { symbol: b, raw: b }, ...]
+ *
+ * @function createTracingTokenizer
+ * @param {object} option - see createTokenizer
+ * @return {function}
+ */
+const createTracingTokenizer = ({
+    mode = TOKENIZER_MODE.CODE_UNIT,
+    normalization = null,
+    useSegmenter = true,
+    tokenizer = null,
+    graphemes = [],
+    caseInsensitive = false,
+    accentInsensitive = false,
+    equivalences = {},
+    strict = false,
+    logger
+} = {}) => {
+    const reportOption = {
+        strict,
+        logger
+    };
+    let normalize = (word) => word;
+    let split = (word) => word.split(``);
+    let fold = (symbol) => symbol;
+    let merge = (tracedSymbols) => tracedSymbols;
+    let equivalenceMap = new Map();
+
+    if (normalization !== null) {
+        if (NORMALIZATION_FORMS.includes(normalization)) {
+            normalize = (word) => word.normalize(normalization);
+        } else {
+            report(new InvalidInputError(`Normalization form ${normalization} is invalid. Words will not be normalized.`, {
+                source: `createTokenizer`
+            }), reportOption);
+        }
+    }
+
+    if (typeof tokenizer === `function`) {
+        split = tokenizer;
+    } else if (mode === TOKENIZER_MODE.CODE_POINT) {
+        split = (word) => Array.from(word);
+    } else if (mode === TOKENIZER_MODE.GRAPHEME) {
+        if (useSegmenter && typeof Intl === `object` && typeof Intl.Segmenter === `function`) {
+            const segmenter = new Intl.Segmenter(undefined, {
+                granularity: `grapheme`
+            });
+
+            split = (word) => Array.from(segmenter.segment(word), (segmentData) => segmentData.segment);
+        } else {
+            split = segmentGraphemes;
+        }
+    } else if (mode !== TOKENIZER_MODE.CODE_UNIT) {
+        report(new InvalidInputError(`Tokenizer mode ${mode} is invalid. Using ${TOKENIZER_MODE.CODE_UNIT} mode.`, {
+            source: `createTokenizer`
+        }), reportOption);
+    }
+
+    if (equivalences !== null && typeof equivalences === `object` && Object.values(equivalences).every((equivalent) => typeof equivalent === `string`)) {
+        equivalenceMap = new Map(Object.entries(equivalences));
+    } else {
+        report(new InvalidInputError(`Input equivalences are not strings or invalid.`, {
+            source: `createTokenizer`
+        }), reportOption);
+    }
+    if (caseInsensitive || accentInsensitive || equivalenceMap.size) {
+        fold = (symbol) => {
+            let foldedSymbol = symbol;
+
+            if (equivalenceMap.has(foldedSymbol)) {
+                return equivalenceMap.get(foldedSymbol);
+            }
+            if (caseInsensitive) {
+                foldedSymbol = foldedSymbol.toLowerCase();
+            }
+            if (accentInsensitive) {
+                // strip the combining marks of the decomposed symbol, a lone mark is dropped
+                foldedSymbol = normalize(foldedSymbol.normalize(`NFD`).replace(/\p{M}/gu, ``));
+            }
+            return equivalenceMap.has(foldedSymbol) ? equivalenceMap.get(foldedSymbol) : foldedSymbol;
+        };
+    }
+
+    const baseSplit = split;
+    const foldSplit = (word) => baseSplit(normalize(word)).map((raw) => {
+        const foldedSymbol = fold(raw);
+
+        // a symbol folded into several characters, such as ß into ss, is split again, and one folded into nothing is dropped
+        // even when a custom tokenizer splits an empty string into an empty symbol
+        return (foldedSymbol === raw ? [ raw ] : baseSplit(foldedSymbol).filter((symbol) => symbol !== ``)).map((symbol) => {
+            return {
+                symbol,
+                raw
+            };
+        });
+    }).flat();
+
+    if (Array.isArray(graphemes) && graphemes.length) {
+        if (graphemes.every((grapheme) => typeof grapheme === `string` && grapheme.length)) {
+            const graphemeSymbols = graphemes.map((grapheme) => foldSplit(grapheme).map((tracedSymbol) => tracedSymbol.symbol));
+            const graphemeSet = new Set(graphemeSymbols.map((symbols) => symbols.join(``)));
+            const maxLength = Math.max(...graphemeSymbols.map((symbols) => symbols.length));
+
+            merge = (tracedSymbols) => mergeGraphemes(tracedSymbols, graphemeSet, maxLength);
+        } else {
+            report(new InvalidInputError(`Input graphemes are not strings or invalid.`, {
+                source: `createTokenizer`
+            }), reportOption);
+        }
+    }
+    return (word) => merge(foldSplit(word));
+};
+
+/**
+ * @description - Create a tokenizer function that splits a word into a list of symbols.
+ *                A word is normalized, split into symbols, folded and merged into multi-character letters, in that order.
+ *                A custom tokenizer function can be plugged in with the tokenizer option in place of the mode. It gets the normalized
+ *                word, and its symbols then go through the same folding and merging as the symbols of the built-in modes.
+ *                Multi-character letters such as Spanish ch and ll or Hungarian dzs can be listed with the graphemes option.
+ *                They are matched greedily, longest first, so they become single symbols of the alphabet.
+ *                Characters can be folded together: caseInsensitive folds A into a, accentInsensitive folds é into e,
+ *                and equivalences maps a character to its equivalent, such as { ß: ss }, or to an empty string to ignore it,
+ *                such as { '-': `` } for hyphens.
+ *
+ *                Example:
+ *                      createTokenizer({ mode: `grapheme`, normalization: `NFC` })(`naïve`)
+ *                      Output: [ n, a, ï, v, e ]
+ *
+ *                      createTokenizer({ graphemes: [ `dz`, `dzs` ] })(`dzsem`)
+ *                      Output: [ dzs, e, m ]
+ *
+ *                      createTokenizer({ caseInsensitive: true, accentInsensitive: true, equivalences: { '-': `` } })(`Élan-vital`)
+ *                      Output: [ e, l, a, n, v, i, t, a, l ]
+ *
+ * @function createTokenizer
+ * @param {object} option - mode, normalization, useSegmenter (defaults to true, set to false to force the bundled fallback),
+ *                          tokenizer, graphemes, caseInsensitive, accentInsensitive, equivalences,
+ *                          and strict (throw an InvalidInputError instead of logging an invalid option) and logger, see setLogger
+ * @return {function}
+ */
+const createTokenizer = (option = {}) => {
+    const tokenize = createTracingTokenizer(option);
+
+    return (word) => tokenize(word).map((tracedSymbol) => tracedSymbol.symbol);
+};
+
+export {
+    TOKENIZER_MODE,
+    NORMALIZATION_FORMS,
+    TOKENIZER_OPTION_NAMES,
+    segmentGraphemes,
+    createTracingTokenizer,
+    createTokenizer
+};
@@ -0,0 +1,379 @@
+/*
+ *
+ * Generate random word lists sorted with a known alphabet, and measure how well the extractor recovers the alphabet from them.
+ *
+ */
+`use strict`; // eslint-disable-line
+
+import DTG from './directed-graph-tree';
+
+import {
+    getConstraintDTG,
+    extractAlphabetChars
+} from './alphabet-extractor';
+
+import { report } from './logger';
+
+import { InvalidInputError } from './errors';
+
+/**
+ * @description - Create a seeded random number generator (mulberry32), so a word list can be generated again from its seed.
+ *                The state is kept in 32-bit integer arithmetic, so every seed gets the full period of 2^32 draws.
+ *
+ *                Example:
+ *                      const random = createRandom(42);
+ *
+ *                      random(); // the same number in [0, 1) for the seed 42 on every run
+ *
+ * @function createRandom
+ * @param {number} seed
+ * @return {function} a function returning a number in [0, 1)
+ */
+const createRandom = (seed) => {
+    let state = Math.floor(seed) | 0;
+
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+
+        let value = Math.imul(state ^ (state >>> 15), 1 | state);
+
+        value ^= value + Math.imul(value ^ (value >>> 7), 61 | value);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * @description - Private function to draw a word length from a length distribution,
+ *                either a list of weights where the first weight is for words of length 1, or a function of the random generator.
+ *
+ * @function drawLength
+ * @param {array|function} lengthDistribution
+ * @param {function} random
+ * @return {number}
+ */
+const drawLength = (lengthDistribution, random) => {
+    if (typeof lengthDistribution === `function`) {
+        return Math.max(1, Math.floor(lengthDistribution(random)));
+    }
+
+    const totalWeight = lengthDistribution.reduce((sum, weight) => sum + weight, 0);
+    let threshold = random() * totalWeight;
+
+    return lengthDistribution.findIndex((weight) => {
+        threshold -= weight;
+        return threshold < 0;
+    }) + 1 || lengthDistribution.length;
+};
+
+/**
+ * @description - Private function to check if an alphabet is a non-empty list of unique non-empty strings.
+ *
+ * @function isAlphabet
+ * @param {*} alphabet
+ * @return {boolean}
+ */
+const isAlphabet = (alphabet) => {
+    return Array.isArray(alphabet) && alphabet.length > 0 && alphabet.every((char) => typeof char === `string` && char.length) &&
+           new Set(alphabet).size === alphabet.length;
+};
+
+/**
+ * @description - Private function to build the constraint DTG of a sorted list of words already split into symbols.
+ *
+ * @function createSymbolListDTG
+ * @param {array} symbolLists
+ * @return {object}
+ */
+const createSymbolListDTG = (symbolLists) => {
+    const dtg = new DTG({
+        logger: null
+    });
+
+    dtg.addVertices([ ...new Set(symbolLists.flat()) ]);
+    symbolLists.slice(1).forEach((symbols, index) => {
+        const position = symbols.findIndex((symbol, _position) => symbol !== symbolLists[index][_position]);
+
+        if (position >= 0 && position < symbolLists[index].length) {
+            dtg.createEdge(symbolLists[index][position], symbols[position]);
+        }
+    });
+    return dtg;
+};
+
+/**
+ * @description - Generate a random list of unique words sorted with the given alphabet.
+ *                Words are drawn with a length distribution until there are count of them, or until too many drawn words are repeats.
+ *                unconstrained     - pairs of characters the word list must not order, neither directly nor through other characters.
+ *                                    Drawn words that would order them are skipped
+ *                determinate       - add the words needed to order every pair of characters other than the unconstrained ones,
+ *                                    on top of the count
+ *                misSortedPairCount - the number of adjacent word pairs swapped at random once the list is sorted,
+ *                                    the pairs do not overlap
+ *                The result holds the words, the indices of the mis-sorted pairs and the seed to generate the same list again.
+ *
+ *                Example:
+ *                      generateWordList([ `b`, `a`, `d`, `c` ], {
+ *                          count: 5,
+ *                          determinate: true,
+ *                          seed: 7
+ *                      })
+ *                      Output: { words: [ b, acb, dbaa, dab, ddaab, c ], misSortedPairs: [], seed: 7 }
+ *
+ * @function generateWordList
+ * @param {array} alphabet - the ordered characters of the alphabet
+ * @param {object} option - count (defaults to 100), lengthDistribution (length weights or a function of the random generator,
+ *                          defaults to lengths 1 to 5 evenly), determinate, misSortedPairCount, unconstrained, seed, strict and logger
+ * @return {object}
+ */
+const generateWordList = (alphabet, option = {}) => {
+    const {
+        count = 100,
+        lengthDistribution = [ 1, 1, 1, 1, 1 ],
+        determinate = false,
+        misSortedPairCount = 0,
+        unconstrained = [],
+        seed = Math.floor(Math.random() * 2147483648)
+    } = option;
+    let result = {
+        words: [],
+        misSortedPairs: [],
+        seed
+    };
+
+    if (!isAlphabet(alphabet)) {
+        report(new InvalidInputError(`Input alphabet is not unique strings or invalid.`, {
+            source: `generateWordList`
+        }), option);
+    } else if ((!Array.isArray(lengthDistribution) && typeof lengthDistribution !== `function`) ||
+               (Array.isArray(lengthDistribution) && !lengthDistribution.some((weight) => weight > 0))) {
+        report(new InvalidInputError(`Input length distribution is not a list of weights or a function.`, {
+            source: `generateWordList`
+        }), option);
+    } else if (!Array.isArray(unconstrained) || !unconstrained.every((pair) => Array.isArray(pair) && pair.length === 2 &&
+                                                                             pair.every((char) => alphabet.includes(char)))) {
+        report(new InvalidInputError(`Input unconstrained pairs are not pairs of alphabet characters.`, {
+            source: `generateWordList`
+        }), option);
+    } else {
+        const random = createRandom(seed);
+        const rankMap = new Map(alphabet.map((char, rank) => [ char, rank ]));
+        const unconstrainedKeys = new Set(unconstrained.map(([ charA, charB ]) => JSON.stringify([ charA, charB ].sort())));
+        const wordKeys = new Set();
+        let symbolLists = [];
+
+        const compare = (symbolsA, symbolsB) => {
+            const position = symbolsA.findIndex((symbol, _position) => symbol !== symbolsB[_position]);
+
+            if (position < 0) {
+                return symbolsA.length - symbolsB.length;
+            } else if (position >= symbolsB.length) {
+                return 1;
+            }
+            return rankMap.get(symbolsA[position]) - rankMap.get(symbolsB[position]);
+        };
+
+        // the unconstrained pairs must stay incomparable through any chain of constraints
+        const isAllowed = () => {
+            if (!unconstrained.length) {
+                return true;
+            }
+
+            const closureDTG = createSymbolListDTG(symbolLists).getTransitiveClosure();
+
+            return unconstrained.every(([ charA, charB ]) => !closureDTG.hasEdge(charA, charB) && !closureDTG.hasEdge(charB, charA));
+        };
+
+        // insert the words in sorted order, and take them back out if they order an unconstrained pair
+        const tryInsert = (newSymbolLists) => {
+            const insertedSymbolLists = newSymbolLists.filter((symbols) => !wordKeys.has(JSON.stringify(symbols)));
+
+            insertedSymbolLists.forEach((symbols) => {
+                let index = 0;
+
+                while (index < symbolLists.length && compare(symbolLists[index], symbols) < 0) {
+                    index += 1;
+                }
+                symbolLists.splice(index, 0, symbols);
+                wordKeys.add(JSON.stringify(symbols));
+            });
+            if (!isAllowed()) {
+                symbolLists = symbolLists.filter((symbols) => !insertedSymbolLists.includes(symbols));
+                insertedSymbolLists.forEach((symbols) => wordKeys.delete(JSON.stringify(symbols)));
+                return false;
+            }
+            return true;
+        };
+
+        let attempt = 0;
+
+        while (symbolLists.length < count && attempt < count * 10) {
+            const symbols = [ ...Array(drawLength(lengthDistribution, random)).keys() ].map(() => alphabet[Math.floor(random() * alphabet.length)]);
+
+            tryInsert([ symbols ]);
+            attempt += 1;
+        }
+
+        if (determinate) {
+            const findMissingPair = () => {
+                const closureDTG = createSymbolListDTG(symbolLists).getTransitiveClosure();
+                let missingPair = null;
+
+                alphabet.some((charA, index) => alphabet.slice(index + 1).some((charB) => {
+                    if (!unconstrainedKeys.has(JSON.stringify([ charA, charB ].sort())) &&
+                        !closureDTG.hasEdge(charA, charB) && !closureDTG.hasEdge(charB, charA)) {
+                        missingPair = [ charA, charB ];
+                    }
+                    return missingPair !== null;
+                }));
+                return missingPair;
+            };
+            let missingPair = findMissingPair();
+
+            // a pair is ordered by two words that share a prefix and go on with each character,
+            // the empty prefix is tried first and then the prefixes of the words in the list
+            while (missingPair !== null) {
+                const [ charA, charB ] = missingPair;
+                const prefixKeys = [ `[]`, ...symbolLists.flatMap((symbols) => symbols.map((symbol, position) => JSON.stringify(symbols.slice(0, position + 1)))) ];
+                const prefixes = [ ...new Set(prefixKeys) ].map((prefixKey) => JSON.parse(prefixKey));
+                const isOrdered = prefixes.some((prefix) => tryInsert([[ ...prefix, charA ], [ ...prefix, charB ]]));
+
+                if (!isOrdered) {
+                    report(new InvalidInputError(`Characters ${charA} and ${charB} cannot be ordered without ordering an unconstrained pair.`, {
+                        source: `generateWordList`,
+                        chars: [ charA, charB ]
+                    }), option);
+                    break;
+                }
+                missingPair = findMissingPair();
+            }
+        }
+
+        result.words = symbolLists.map((symbols) => symbols.join(``));
+
+        if (misSortedPairCount > 0) {
+            const candidateIndices = [ ...Array(Math.max(0, result.words.length - 1)).keys() ];
+            let misSortedIndices = [];
+
+            // swapped pairs are picked at random and must not share a word
+            while (misSortedIndices.length < misSortedPairCount && candidateIndices.length) {
+                const index = candidateIndices.splice(Math.floor(random() * candidateIndices.length), 1)[0];
+
+                if (!misSortedIndices.some((misSortedIndex) => Math.abs(misSortedIndex - index) < 2)) {
+                    misSortedIndices.push(index);
+                }
+            }
+            if (misSortedIndices.length < misSortedPairCount) {
+                report(new InvalidInputError(`Word list is too short to mis-sort ${misSortedPairCount} word pairs.`, {
+                    source: `generateWordList`
+                }), option);
+            }
+            misSortedIndices.sort((a, b) => a - b).forEach((index) => {
+                [ result.words[index], result.words[index + 1] ] = [ result.words[index + 1], result.words[index] ];
+            });
+            result.misSortedPairs = misSortedIndices.map((index) => [ index, index + 1 ]);
+        }
+    }
+    return result;
+};
+
+/**
+ * @description - Measure how well the alphabet is recovered from generated word lists.
+ *                Each trial generates a word list with the generator option and the next seed, extracts its alphabet with extractAlphabetChars
+ *                and checks its constraint DTG for loops and for characters left unordered.
+ *                The report holds the number of trials, of exactly recovered alphabets, of acyclic and of fully ordered DTGs,
+ *                the accuracy (the share of exactly recovered alphabets), the pair accuracy (the mean share of character pairs
+ *                placed in the right order) and the seeds of the trials that failed.
+ *
+ *                Example:
+ *                      measureRecovery([ `b`, `a`, `d`, `c` ], {
+ *                          trials: 10,
+ *                          count: 5,
+ *                          determinate: true,
+ *                          seed: 1
+ *                      })
+ *                      Output: { trials: 10, recovered: 10, acyclic: 10, determined: 10, accuracy: 1, pairAccuracy: 1, failedSeeds: [] }
+ *
+ * @function measureRecovery
+ * @param {array} alphabet - the ordered characters of the alphabet
+ * @param {object} option - trials (defaults to 100), generator option, see generateWordList, tokenizer option, see createTokenizer,
+ *                          and robust, see extractAlphabetChars
+ * @return {object}
+ */
+const measureRecovery = (alphabet, option = {}) => {
+    const {
+        trials = 100,
+        seed = Math.floor(Math.random() * 2147483648)
+    } = option;
+    let recovery = {
+        trials,
+        recovered: 0,
+        acyclic: 0,
+        determined: 0,
+        accuracy: 0,
+        pairAccuracy: 0,
+        failedSeeds: []
+    };
+
+    if (!isAlphabet(alphabet)) {
+        report(new InvalidInputError(`Input alphabet is not unique strings or invalid.`, {
+            source: `measureRecovery`
+        }), option);
+        return recovery;
+    }
+
+    const pairCount = alphabet.length * (alphabet.length - 1) / 2;
+    let pairAccuracySum = 0;
+
+    for (let trial = 0; trial < trials; trial += 1) {
+        const {
+            words
+        } = generateWordList(alphabet, {
+            ...option,
+            seed: seed + trial
+        });
+        const extractedAlphabet = extractAlphabetChars(words, {
+            ...option,
+            logger: null,
+            strict: false
+        });
+        const dtg = getConstraintDTG(words, {
+            ...option,
+            logger: null
+        });
+        const isAcyclic = dtg.isAcyclic();
+        const rankMap = new Map(extractedAlphabet.map((char, rank) => [ char, rank ]));
+        let orderedPairCount = 0;
+
+        alphabet.forEach((charA, index) => {
+            alphabet.slice(index + 1).forEach((charB) => {
+                if (rankMap.has(charA) && rankMap.has(charB) && rankMap.get(charA) < rankMap.get(charB)) {
+                    orderedPairCount += 1;
+                }
+            });
+        });
+        pairAccuracySum += pairCount ? orderedPairCount / pairCount : 1;
+
+        if (isAcyclic) {
+            recovery.acyclic += 1;
+        }
+        if (isAcyclic && alphabet.every((char) => dtg.hasVertex(char)) && !dtg.getIncomparablePairs().length) {
+            recovery.determined += 1;
+        }
+        if (extractedAlphabet.length === alphabet.length && extractedAlphabet.every((char, index) => char === alphabet[index])) {
+            recovery.recovered += 1;
+        } else {
+            recovery.failedSeeds.push(seed + trial);
+        }
+    }
+    if (trials > 0) {
+        recovery.accuracy = recovery.recovered / trials;
+        recovery.pairAccuracy = pairAccuracySum / trials;
+    }
+    return recovery;
+};
+
+export {
+    createRandom,
+    generateWordList,
+    measureRecovery
+};
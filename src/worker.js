@@ -0,0 +1,246 @@
+/*
+ *
+ * Run source modules in worker threads, once or from a pool, loading them through babel like the command-line tool does.
+ *
+ */
+`use strict`; // eslint-disable-line
+
+import os from 'os';
+
+import path from 'path';
+
+import { Worker } from 'worker_threads';
+
+/**
+ * @description - Private function to start a worker thread that loads a source module through babel.
+ *                Babel is anchored to the source directory of the package, so the sources compile whatever the working directory
+ *                of the process is, and also when the package is installed inside node_modules.
+ *
+ * @function startWorker
+ * @param {string} workerPath - the absolute path of the module
+ * @param {*} input - the data sent to the worker in workerData.input, it must be cloneable
+ * @return {object}
+ */
+const startWorker = (workerPath, input) => {
+    return new Worker(`
+        const { workerData } = require('worker_threads');
+
+        require(workerData.babelRegisterPath)({
+            cwd: workerData.packagePath,
+            only: [ workerData.sourcePath ],
+            ignore: [],
+            comments: false,
+            presets: [[ workerData.babelPresetPath, { targets: { node: 'current' } } ]]
+        });
+        require(workerData.workerPath);
+    `, {
+        eval: true,
+        workerData: {
+            babelRegisterPath: require.resolve(`@babel/register`),
+            babelPresetPath: require.resolve(`@babel/preset-env`),
+            packagePath: path.join(__dirname, `..`),
+            sourcePath: __dirname,
+            workerPath,
+            input
+        }
+    });
+};
+
+/**
+ * @description - Private function to create the error of a worker that runs longer than its time limit.
+ *
+ * @function createTimeoutError
+ * @param {number} timeout
+ * @return {object}
+ */
+const createTimeoutError = (timeout) => {
+    const error = new Error(`Worker did not finish within ${timeout}ms.`);
+
+    error.code = `ETIMEDOUT`;
+    return error;
+};
+
+/**
+ * @description - Run a source module in a worker thread and get the first message it posts back.
+ *                The module reads its input from workerData.input. A worker that runs longer than the timeout is stopped
+ *                and the promise is rejected with an error whose code is ETIMEDOUT.
+ *
+ *                Example:
+ *                      runWorker(path.join(__dirname, `constraint-worker.js`), { words, option }).then((rangeConstraints) => ...);
+ *
+ * @function runWorker
+ * @param {string} workerPath - the absolute path of the module
+ * @param {*} input - the data sent to the worker, it must be cloneable
+ * @param {number} timeout - the time limit in milliseconds, 0 for none
+ * @return {object} a promise of the message
+ */
+const runWorker = (workerPath, input, timeout = 0) => new Promise((resolve, reject) => {
+    const worker = startWorker(workerPath, input);
+    const timer = timeout > 0 ? setTimeout(() => {
+        worker.terminate();
+        reject(createTimeoutError(timeout));
+    }, timeout) : null;
+
+    worker.once(`message`, (message) => {
+        clearTimeout(timer);
+        resolve(message);
+    });
+    worker.once(`error`, (error) => {
+        clearTimeout(timer);
+        reject(error);
+    });
+    worker.once(`exit`, (exitCode) => {
+        clearTimeout(timer);
+        if (exitCode !== 0) {
+            reject(new Error(`Worker stopped with exit code ${exitCode}.`));
+        }
+    });
+});
+
+/**
+ * @description - Create a pool of worker threads that run a source module over and over, so the cost of starting a worker
+ *                and of loading the sources through babel is paid once per worker instead of once per job.
+ *                The module answers each message it gets on parentPort with one message. Workers are started when jobs need them
+ *                and jobs wait in order for an idle worker. The time limit of a job counts from the run call, so it covers the wait
+ *                for a worker: a job past its deadline is dropped from the queue, or its worker is stopped and replaced.
+ *                Idle workers do not keep the process alive.
+ *
+ *                Example:
+ *                      const pool = createWorkerPool(path.join(__dirname, `server-worker.js`), { timeout: 5000 });
+ *
+ *                      pool.run({ endpoint, body }).then((response) => ...);
+ *                      pool.run({ endpoint, body }, arrivalTime + 5000).then((response) => ...);
+ *                      pool.close();
+ *
+ * @function createWorkerPool
+ * @param {string} workerPath - the absolute path of the module
+ * @param {object} option - size (the most workers, defaults to the number of CPUs) and timeout (the time limit of a job in milliseconds, 0 for none)
+ * @return {object} run(input, deadline), a promise of the message answering the input where deadline is a time in milliseconds
+ *                  since the epoch and defaults to the timeout from now, and close()
+ */
+const createWorkerPool = (workerPath, option = {}) => {
+    const {
+        size = os.cpus().length,
+        timeout = 0
+    } = option;
+    const workers = new Set();
+    const idleWorkers = [];
+    const runningJobs = new Map();
+    let jobs = [];
+    let closed = false;
+
+    // a job ends once, with its message, an error, the exit of its worker or the deadline. A worker that does not answer is stopped
+    const endJob = (worker, stopWorker) => {
+        const job = runningJobs.get(worker);
+
+        if (stopWorker) {
+            workers.delete(worker);
+            if (idleWorkers.includes(worker)) {
+                idleWorkers.splice(idleWorkers.indexOf(worker), 1);
+            }
+            worker.terminate();
+        }
+        if (job === undefined) {
+            return null;
+        }
+        clearTimeout(job.timer);
+        runningJobs.delete(worker);
+        if (!stopWorker) {
+            idleWorkers.push(worker);
+        }
+        job.done();
+        return job;
+    };
+    const expireJob = (job, limit) => {
+        if (jobs.includes(job)) {
+            jobs.splice(jobs.indexOf(job), 1);
+            job.reject(createTimeoutError(limit));
+        } else if (runningJobs.get(job.worker) === job) {
+            endJob(job.worker, true).reject(createTimeoutError(limit));
+        }
+    };
+    const addWorker = () => {
+        const worker = startWorker(workerPath, null);
+
+        worker.unref();
+        worker.on(`message`, (message) => {
+            const job = endJob(worker, false);
+
+            if (job !== null) {
+                job.resolve(message);
+            }
+        });
+        worker.on(`error`, (error) => {
+            const job = endJob(worker, true);
+
+            if (job !== null) {
+                job.reject(error);
+            }
+        });
+        worker.on(`exit`, (exitCode) => {
+            const job = endJob(worker, true);
+
+            if (job !== null) {
+                job.reject(new Error(`Worker stopped with exit code ${exitCode}.`));
+            }
+        });
+        workers.add(worker);
+        return worker;
+    };
+    const runJob = (worker, job) => new Promise((done) => {
+        job.worker = worker;
+        job.done = done;
+        runningJobs.set(worker, job);
+        worker.postMessage(job.input);
+    });
+    const dispatch = () => {
+        while (!closed && jobs.length && (idleWorkers.length || workers.size < size)) {
+            runJob(idleWorkers.length ? idleWorkers.pop() : addWorker(), jobs.shift()).then(dispatch);
+        }
+    };
+
+    return {
+        run: (input, deadline = timeout > 0 ? Date.now() + timeout : Infinity) => new Promise((resolve, reject) => {
+            if (closed) {
+                reject(new Error(`Worker pool is closed.`));
+            } else {
+                const limit = Math.max(0, deadline - Date.now());
+                const job = {
+                    input,
+                    resolve,
+                    reject,
+                    timer: null
+                };
+
+                if (Number.isFinite(limit)) {
+                    job.timer = setTimeout(() => expireJob(job, limit), limit);
+                }
+                jobs.push(job);
+                dispatch();
+            }
+        }),
+        close: () => {
+            closed = true;
+            jobs.forEach(({
+                reject,
+                timer
+            }) => {
+                clearTimeout(timer);
+                reject(new Error(`Worker pool is closed.`));
+            });
+            jobs = [];
+            [ ...workers ].forEach((worker) => {
+                const job = endJob(worker, true);
+
+                if (job !== null) {
+                    job.reject(new Error(`Worker pool is closed.`));
+                }
+            });
+        }
+    };
+};
+
+export {
+    runWorker,
+    createWorkerPool
+};